@@ -1,7 +1,29 @@
-import React, { useState, useContext, createContext, useMemo, useEffect } from 'react';
-import { DollarSign, TrendingUp, CreditCard, Users, LogOut, Bell, X, AlertCircle, Shield, Calendar, Search, FileText, CheckCircle, Activity } from 'lucide-react';
+import React, { useState, useContext, createContext, useMemo, useEffect, useRef } from 'react';
+import { DollarSign, TrendingUp, CreditCard, Users, LogOut, Bell, X, AlertCircle, Shield, Calendar, Search, FileText, CheckCircle, Activity, Zap, ArrowLeftRight, Settings, Lock, Calculator } from 'lucide-react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 
+// ============================================================================
+// SIMULATED CLOCK
+// ============================================================================
+
+// Every business date reads from here so the demo can fast-forward time
+const clock = {
+  offsetMs: 0,
+  
+  now: () => new Date(Date.now() + clock.offsetMs),
+  
+  setOffset: (offsetMs) => {
+    clock.offsetMs = offsetMs;
+  },
+  
+  offsetAfterAdvance: ({ days = 0, months = 0 }, fromOffsetMs = clock.offsetMs) => {
+    const target = new Date(Date.now() + fromOffsetMs);
+    target.setMonth(target.getMonth() + months);
+    target.setDate(target.getDate() + days);
+    return target.getTime() - Date.now();
+  }
+};
+
 // ============================================================================
 // CONTEXT & STATE MANAGEMENT
 // ============================================================================
@@ -12,32 +34,71 @@ const initialUsers = [
   { 
     id: 1, 
     email: 'lender@demo.com', 
-    password: 'demo123', 
+    passwordHash: {
+      algorithm: 'PBKDF2-SHA256',
+      iterations: 100000,
+      salt: '5f1c8e2a9b3d4c7e6a0f1b2c3d4e5f60',
+      hash: '7a70d1c98f11838939404abdcc3423d290ed98cce7fafb8bd13e05d302bfa4b3'
+    },
     name: 'John Lender', 
-    accountBalance: 50000, 
     creditScore: 750, 
     totalInvested: 25000, 
     totalReturns: 1850, 
     loansFunded: [], 
     loansBorrowed: [], 
-    accountCreated: new Date(Date.now() - 180 * 24 * 60 * 60 * 1000), 
+    accountCreated: new Date(clock.now().getTime() - 180 * 24 * 60 * 60 * 1000), 
     verified: true, 
-    riskProfile: 'conservative' 
+    riskProfile: 'conservative',
+    roles: ['lender'],
+    suspended: false,
+    mfa: null,
+    kycStatus: 'approved'
   },
   { 
     id: 2, 
     email: 'borrower@demo.com', 
-    password: 'demo123', 
+    passwordHash: {
+      algorithm: 'PBKDF2-SHA256',
+      iterations: 100000,
+      salt: 'a3e7b2d9c4f1086e5b2a9d7c3e1f4b68',
+      hash: 'efc47fd0ab27b4316c743a8d65a7f3676ac6e3b96ca5a405b739917ad45e2edf'
+    },
     name: 'Sarah Borrower', 
-    accountBalance: 1000, 
     creditScore: 680, 
     totalInvested: 0, 
     totalReturns: 0, 
     loansFunded: [], 
     loansBorrowed: [], 
-    accountCreated: new Date(Date.now() - 90 * 24 * 60 * 60 * 1000), 
+    accountCreated: new Date(clock.now().getTime() - 90 * 24 * 60 * 60 * 1000), 
+    verified: true, 
+    riskProfile: 'moderate',
+    roles: ['borrower'],
+    suspended: false,
+    mfa: null,
+    kycStatus: 'approved'
+  },
+  { 
+    id: 3, 
+    email: 'admin@demo.com', 
+    passwordHash: {
+      algorithm: 'PBKDF2-SHA256',
+      iterations: 100000,
+      salt: 'c81d4e2f7a9b0365d2e8f1a47b3c9e05',
+      hash: '000d7891e48bc194ff2a26148429ad8e21d2e0153f9ecbbf0387d5a5f5f3a342'
+    },
+    name: 'Alex Operator', 
+    creditScore: 0, 
+    totalInvested: 0, 
+    totalReturns: 0, 
+    loansFunded: [], 
+    loansBorrowed: [], 
+    accountCreated: new Date(clock.now().getTime() - 365 * 24 * 60 * 60 * 1000), 
     verified: true, 
-    riskProfile: 'moderate' 
+    riskProfile: 'moderate',
+    roles: ['admin'],
+    suspended: false,
+    mfa: null,
+    kycStatus: 'approved'
   }
 ];
 
@@ -51,16 +112,39 @@ const initialLoanRequests = [
     interestRate: 8.5, 
     duration: 36, 
     status: 'pending', 
-    requestDate: new Date().toLocaleDateString(), 
+    requestDate: clock.now().toLocaleDateString(), 
     purpose: 'Business Expansion', 
-    riskRating: 'B+' 
+    riskRating: 'B+',
+    commitments: [],
+    fundingDeadline: new Date(clock.now().getTime() + 14 * 24 * 60 * 60 * 1000)
   }
 ];
 
+// Operator-adjustable settings, edited from the admin console
+const initialPlatformSettings = {
+  stepUpThreshold: 5000,
+  // 'flag' lists off-band requests with a warning, 'block' rejects them
+  pricingEnforcement: 'flag'
+};
+
 // ============================================================================
 // UTILITY FUNCTIONS - CALCULATIONS
 // ============================================================================
 
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Timestamp-based ids that stay unique when several records are created in the same millisecond
+let lastGeneratedId = 0;
+const generateId = () => {
+  lastGeneratedId = Math.max(Date.now(), lastGeneratedId + 1);
+  return lastGeneratedId;
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Supported: 'actual/365', 'actual/360', '30/360'
+const DAY_COUNT_CONVENTION = 'actual/365';
+
 const calculations = {
   calculateAmortization: (amount, rate, duration) => {
     const monthlyRate = rate / 100 / 12;
@@ -74,6 +158,7 @@ const calculations = {
   
   calculateMinimumPayment: (loan) => {
     if (!loan) return '0.00';
+    if (loan.scheduledPayment) return loan.scheduledPayment.toFixed(2);
     const monthlyRate = (loan.interestRate || 0) / 100 / 12;
     const totalPayments = loan.totalPayments || 1;
     const amount = loan.amount || 0;
@@ -82,52 +167,198 @@ const calculations = {
     return monthlyPayment.toFixed(2);
   },
   
-  calculateRiskRating: (creditScore, amount, duration) => {
-    let score = 0;
-    if (creditScore >= 740) score += 3;
-    else if (creditScore >= 670) score += 2;
-    else score += 1;
+  // Level monthly payment that retires the balance over the given number of payments
+  amortizedPayment: (balance, annualRate, payments) => {
+    const monthlyRate = annualRate / 100 / 12;
+    if (payments <= 0) return balance;
+    return monthlyRate === 0
+      ? balance / payments
+      : (balance * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -payments));
+  },
+  
+  generateAmortizationSchedule: (loan) => {
+    const schedule = [];
+    if (!loan) return schedule;
+    
+    const amount = loan.amount || 0;
+    const monthlyRate = (loan.interestRate || 0) / 100 / 12;
+    const totalPayments = loan.totalPayments || loan.duration || 0;
+    const paymentsMade = Math.min(loan.paymentsMade || 0, totalPayments);
+    
+    if (amount <= 0 || totalPayments <= 0) return schedule;
+    
+    const originalPayment = calculations.amortizedPayment(amount, loan.interestRate || 0, totalPayments);
     
-    if (amount < 10000) score += 3;
-    else if (amount < 25000) score += 2;
-    else score += 1;
+    const addInstallment = (paymentNumber, balance, isPaid, monthlyPayment) => {
+      const dueDate = new Date(loan.fundedDate || clock.now());
+      dueDate.setMonth(dueDate.getMonth() + paymentNumber);
+      const interest = roundCents(balance * monthlyRate);
+      const isFinal = paymentNumber === totalPayments || balance + interest <= monthlyPayment;
+      const payment = isFinal ? roundCents(balance + interest) : roundCents(monthlyPayment);
+      const principal = roundCents(payment - interest);
+      const remainingBalance = Math.max(0, roundCents(balance - principal));
+      schedule.push({ paymentNumber, dueDate, payment, principal, interest, remainingBalance, isPaid });
+      return remainingBalance;
+    };
+    
+    // Installments already paid follow the original terms
+    let balance = amount;
+    for (let i = 1; i <= paymentsMade; i++) {
+      balance = addInstallment(i, balance, true, originalPayment);
+    }
     
-    if (duration <= 24) score += 3;
-    else if (duration <= 48) score += 2;
-    else score += 1;
+    // The rest is projected from the actual outstanding balance, so extra payments shorten the schedule
+    // unless the loan was re-amortized to a lower payment
+    balance = loan.outstandingBalance ?? balance;
+    for (let i = paymentsMade + 1; i <= totalPayments && balance > 0; i++) {
+      balance = addInstallment(i, balance, false, loan.scheduledPayment || originalPayment);
+    }
     
-    const ratings = ['C-', 'C', 'C+', 'B-', 'B', 'B+', 'A-', 'A', 'A+'];
-    return ratings[Math.min(score - 1, 8)];
+    return schedule;
   },
   
-  generatePaymentSchedule: (loan) => {
-    const payments = [];
-    if (!loan) return payments;
+  // Runs the remaining schedule forward with an extra amount going to principal every month
+  projectPayoff: (loan, extraMonthly = 0) => {
+    const remaining = calculations.generateAmortizationSchedule(loan).filter(installment => !installment.isPaid);
+    if (remaining.length === 0) {
+      return { scheduledPayment: 0, months: 0, totalInterest: 0, payoffDate: null, balances: [] };
+    }
     
-    const remainingBalance = loan.outstandingBalance || 0;
     const monthlyRate = (loan.interestRate || 0) / 100 / 12;
-    const totalPayments = loan.totalPayments || 1;
-    const amount = loan.amount || 0;
-    const paymentsMade = loan.paymentsMade || 0;
+    const scheduledPayment = remaining[0].payment;
+    let balance = roundCents(remaining[0].principal + remaining[0].remainingBalance);
+    let totalInterest = 0;
+    const balances = [];
     
-    if (monthlyRate === 0 || totalPayments === 0 || remainingBalance <= 0) return payments;
+    // Extra payments can only shorten the schedule, so the last original due date is a hard stop
+    while (balance > 0 && balances.length < remaining.length) {
+      const interest = roundCents(balance * monthlyRate);
+      const isLast = balances.length === remaining.length - 1;
+      const principal = isLast ? balance : Math.min(balance, roundCents(scheduledPayment + extraMonthly - interest));
+      totalInterest += interest;
+      balance = roundCents(balance - principal);
+      balances.push({ dueDate: remaining[balances.length].dueDate, balance });
+    }
     
-    const monthlyPayment = (amount * monthlyRate) / (1 - Math.pow(1 + monthlyRate, -totalPayments));
-    let balance = remainingBalance;
-    
-    for (let i = paymentsMade + 1; i <= totalPayments && i <= paymentsMade + 6; i++) {
-      if (balance <= 0) break;
-      const paymentDate = new Date(loan.fundedDate || new Date());
-      paymentDate.setMonth(paymentDate.getMonth() + i);
-      payments.push({ 
-        paymentNumber: i, 
-        dueDate: paymentDate.toLocaleDateString(), 
-        amount: Math.min(monthlyPayment, balance).toFixed(2) 
-      });
-      balance -= monthlyPayment;
+    return {
+      scheduledPayment,
+      months: balances.length,
+      totalInterest: roundCents(totalInterest),
+      payoffDate: balances[balances.length - 1].dueDate,
+      balances
+    };
+  },
+  
+  generatePaymentSchedule: (loan) => {
+    return calculations.generateAmortizationSchedule(loan)
+      .filter(installment => !installment.isPaid)
+      .slice(0, 6)
+      .map(installment => ({
+        paymentNumber: installment.paymentNumber,
+        dueDate: installment.dueDate.toLocaleDateString(),
+        amount: installment.payment.toFixed(2)
+      }));
+  },
+  
+  // Accrues on exact elapsed time, including partial days, so accrual periods that end
+  // mid-day (a payment at noon) chain together without dropping or double-counting time
+  dayCountFraction: (startDate, endDate, convention = DAY_COUNT_CONVENTION) => {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (end <= start) return 0;
+    
+    if (convention === '30/360') {
+      const startDay = Math.min(start.getDate(), 30);
+      const endDay = startDay === 30 ? Math.min(end.getDate(), 30) : end.getDate();
+      const timeOfDay = (date) => date - new Date(date).setHours(0, 0, 0, 0);
+      const days = (end.getFullYear() - start.getFullYear()) * 360 +
+        (end.getMonth() - start.getMonth()) * 30 +
+        (endDay - startDay) +
+        (timeOfDay(end) - timeOfDay(start)) / MS_PER_DAY;
+      return Math.max(0, days) / 360;
+    }
+    
+    const days = (end - start) / MS_PER_DAY;
+    return days / (convention === 'actual/360' ? 360 : 365);
+  },
+  
+  calculateAccruedInterest: (loan, asOf = clock.now()) => {
+    if (!loan || !loan.outstandingBalance) return 0;
+    const accrualStart = loan.interestAccruedThrough || loan.fundedDate;
+    const fraction = calculations.dayCountFraction(accrualStart, asOf, loan.dayCountConvention);
+    const accrued = loan.outstandingBalance * ((loan.interestRate || 0) / 100) * fraction;
+    return roundCents((loan.unpaidInterest || 0) + accrued);
+  },
+  
+  calculatePayoffAmount: (loan, asOf = clock.now()) => {
+    if (!loan) return 0;
+    return roundCents(
+      (loan.lateFeesDue || 0) + (loan.outstandingBalance || 0) + calculations.calculateAccruedInterest(loan, asOf)
+    );
+  },
+  
+  // Applies a payment to late fees first, then accrued interest, then principal
+  allocatePayment: (loan, amount, asOf = clock.now()) => {
+    const lateFees = roundCents(Math.min(amount, loan.lateFeesDue || 0));
+    const interestDue = calculations.calculateAccruedInterest(loan, asOf);
+    const interest = roundCents(Math.min(amount - lateFees, interestDue));
+    const principal = roundCents(Math.min(amount - lateFees - interest, loan.outstandingBalance || 0));
+    return {
+      lateFees,
+      interest,
+      principal,
+      applied: roundCents(lateFees + interest + principal),
+      outstandingBalance: roundCents((loan.outstandingBalance || 0) - principal),
+      unpaidInterest: roundCents(interestDue - interest),
+      lateFeesDue: roundCents((loan.lateFeesDue || 0) - lateFees)
+    };
+  },
+  
+  // Splits an amount by weight to the cent; the last share absorbs rounding
+  splitProRata: (total, weights) => {
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+    if (totalWeight === 0) return weights.map(() => 0);
+    let allocated = 0;
+    return weights.map((weight, i) => {
+      if (i === weights.length - 1) return roundCents(total - allocated);
+      const share = roundCents(total * weight / totalWeight);
+      allocated += share;
+      return share;
+    });
+  },
+  
+  // Annualized yield (nominal, compounded monthly) that discounts monthly cash flows back to the price
+  yieldToMaturity: (price, cashFlows) => {
+    if (price <= 0 || cashFlows.length === 0) return 0;
+    const presentValue = (monthlyRate) =>
+      cashFlows.reduce((sum, flow, i) => sum + flow / Math.pow(1 + monthlyRate, i + 1), 0);
+    
+    let low = -0.99;
+    let high = 1;
+    for (let i = 0; i < 100; i++) {
+      const mid = (low + high) / 2;
+      if (presentValue(mid) > price) low = mid;
+      else high = mid;
     }
+    return ((low + high) / 2) * 12 * 100;
+  },
+  
+  // Annualized rate (%) at which dated cash flows net to zero; null when there is no sign change to solve for
+  xirr: (flows) => {
+    if (flows.length < 2) return null;
+    const start = flows.reduce((first, f) => (f.date < first ? f.date : first), flows[0].date);
+    const netPresentValue = (annualRate) => flows.reduce((sum, f) =>
+      sum + f.amount / Math.pow(1 + annualRate, (f.date - start) / (365 * MS_PER_DAY)), 0);
     
-    return payments;
+    let low = -0.99;
+    let high = 10;
+    if (Math.sign(netPresentValue(low)) === Math.sign(netPresentValue(high))) return null;
+    for (let i = 0; i < 200; i++) {
+      const mid = (low + high) / 2;
+      if (Math.sign(netPresentValue(mid)) === Math.sign(netPresentValue(low))) low = mid;
+      else high = mid;
+    }
+    return ((low + high) / 2) * 100;
   },
   
   calculateROI: (invested, returns) => {
@@ -176,6 +407,605 @@ const validators = {
   }
 };
 
+// ============================================================================
+// UTILITY FUNCTIONS - AUTH
+// ============================================================================
+
+const PASSWORD_HASH_CONFIG = {
+  algorithm: 'PBKDF2-SHA256',
+  iterations: 100000,
+  saltBytes: 16,
+  keyBits: 256
+};
+
+// Sessions expire on real time, not the simulated clock, so fast-forwarding the demo doesn't log users out
+const SESSION_CONFIG = {
+  ttlMs: 8 * 60 * 60 * 1000,
+  tokenBytes: 32
+};
+
+const toHex = (bytes) => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+
+const fromHex = (hex) => new Uint8Array(hex.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+
+const randomHex = (byteCount) => toHex(crypto.getRandomValues(new Uint8Array(byteCount)));
+
+const passwords = {
+  hash: async (password, salt = randomHex(PASSWORD_HASH_CONFIG.saltBytes), iterations = PASSWORD_HASH_CONFIG.iterations) => {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: fromHex(salt), iterations },
+      key,
+      PASSWORD_HASH_CONFIG.keyBits
+    );
+    return { algorithm: PASSWORD_HASH_CONFIG.algorithm, iterations, salt, hash: toHex(new Uint8Array(bits)) };
+  },
+  
+  // Compares every character so the time taken doesn't reveal how much of the hash matched
+  verify: async (password, record) => {
+    if (!record || record.algorithm !== PASSWORD_HASH_CONFIG.algorithm) return false;
+    const { hash } = await passwords.hash(password, record.salt, record.iterations);
+    if (hash.length !== record.hash.length) return false;
+    let diff = 0;
+    for (let i = 0; i < hash.length; i++) {
+      diff |= hash.charCodeAt(i) ^ record.hash.charCodeAt(i);
+    }
+    return diff === 0;
+  }
+};
+
+// Codes follow real time so they match the user's authenticator app, whatever the demo clock says
+const MFA_CONFIG = {
+  issuer: 'P2P Lending',
+  secretBytes: 20,
+  digits: 6,
+  periodSeconds: 30,
+  algorithm: 'SHA-1',
+  window: 1
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32 = {
+  encode: (bytes) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    bytes.forEach(byte => {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    });
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+  },
+  
+  decode: (text) => {
+    const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error(`Invalid base32 character "${char}"`);
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+    return new Uint8Array(bytes);
+  }
+};
+
+// RFC 6238 time-based one-time passwords over RFC 4226 HOTP. Times are passed in explicitly and
+// digits/algorithm can be overridden, so the RFC's Appendix B vectors can be checked offline.
+const totp = {
+  generateSecret: () => base32.encode(crypto.getRandomValues(new Uint8Array(MFA_CONFIG.secretBytes))),
+  
+  timeStep: (timeMs, periodSeconds = MFA_CONFIG.periodSeconds) => Math.floor(timeMs / 1000 / periodSeconds),
+  
+  hotp: async (secret, counter, { digits = MFA_CONFIG.digits, algorithm = MFA_CONFIG.algorithm } = {}) => {
+    const key = await crypto.subtle.importKey('raw', base32.decode(secret), { name: 'HMAC', hash: algorithm }, false, ['sign']);
+    const message = new Uint8Array(8);
+    let remaining = counter;
+    for (let i = 7; i >= 0; i--) {
+      message[i] = remaining % 256;
+      remaining = Math.floor(remaining / 256);
+    }
+    
+    const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+    const offset = mac[mac.length - 1] & 15;
+    const binary = ((mac[offset] & 127) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+    return String(binary % Math.pow(10, digits)).padStart(digits, '0');
+  },
+  
+  generate: (secret, timeMs = Date.now(), options = {}) =>
+    totp.hotp(secret, totp.timeStep(timeMs, options.periodSeconds), options),
+  
+  // Returns the matching time step, or null. Steps at or before lastUsedStep are rejected so a code can't be replayed.
+  verify: async (secret, code, { timeMs = Date.now(), lastUsedStep = -1, window = MFA_CONFIG.window, ...options } = {}) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized)) return null;
+    
+    const current = totp.timeStep(timeMs, options.periodSeconds);
+    for (let step = current - window; step <= current + window; step++) {
+      if (step > lastUsedStep && await totp.hotp(secret, step, options) === normalized) return step;
+    }
+    return null;
+  },
+  
+  otpauthUri: (secret, accountName) =>
+    `otpauth://totp/${encodeURIComponent(`${MFA_CONFIG.issuer}:${accountName}`)}?secret=${secret}&issuer=${encodeURIComponent(MFA_CONFIG.issuer)}&digits=${MFA_CONFIG.digits}&period=${MFA_CONFIG.periodSeconds}`,
+  
+  formatSecret: (secret) => secret.match(/.{1,4}/g).join(' ')
+};
+
+// QR codes (ISO/IEC 18004) in byte mode at error correction level M, enough for setup links.
+// Only versions 1-10 are supported, which hold up to 213 bytes.
+const QR_CONFIG = {
+  // Indexed by version; level M only
+  eccCodewordsPerBlock: [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26],
+  errorCorrectionBlocks: [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5],
+  maxVersion: 10,
+  // Format information bits for level M
+  levelBits: 0
+};
+
+const qrCode = {
+  gfMultiply: (x, y) => {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  },
+  
+  reedSolomonDivisor: (degree) => {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        result[j] = qrCode.gfMultiply(result[j], root);
+        if (j + 1 < degree) result[j] ^= result[j + 1];
+      }
+      root = qrCode.gfMultiply(root, 2);
+    }
+    return result;
+  },
+  
+  reedSolomonRemainder: (data, divisor) => {
+    const result = divisor.map(() => 0);
+    data.forEach(byte => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, i) => {
+        result[i] ^= qrCode.gfMultiply(coefficient, factor);
+      });
+    });
+    return result;
+  },
+  
+  rawDataModules: (version) => {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const alignmentCount = Math.floor(version / 7) + 2;
+      result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  },
+  
+  dataCodewords: (version) =>
+    Math.floor(qrCode.rawDataModules(version) / 8) -
+    QR_CONFIG.eccCodewordsPerBlock[version] * QR_CONFIG.errorCorrectionBlocks[version],
+  
+  alignmentPositions: (version) => {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const size = version * 4 + 17;
+    const step = Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const result = [6];
+    for (let position = size - 7; result.length < count; position -= step) result.splice(1, 0, position);
+    return result;
+  },
+  
+  // Mode indicator, length and data bytes, then terminator and padding up to the version's capacity
+  encodeData: (bytes, version) => {
+    const bits = [];
+    const append = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    const capacityBits = qrCode.dataCodewords(version) * 8;
+    append(4, 4);
+    append(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) append(pad, 8);
+    
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    return codewords;
+  },
+  
+  // Splits data into blocks, appends each block's error correction and interleaves the result
+  addErrorCorrection: (data, version) => {
+    const blockCount = QR_CONFIG.errorCorrectionBlocks[version];
+    const eccLength = QR_CONFIG.eccCodewordsPerBlock[version];
+    const rawCodewords = Math.floor(qrCode.rawDataModules(version) / 8);
+    const shortBlockCount = blockCount - rawCodewords % blockCount;
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = qrCode.reedSolomonDivisor(eccLength);
+    
+    const blocks = [];
+    for (let i = 0, k = 0; i < blockCount; i++) {
+      const block = data.slice(k, k + shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1));
+      k += block.length;
+      const ecc = qrCode.reedSolomonRemainder(block, divisor);
+      if (i < shortBlockCount) block.push(0);
+      blocks.push([...block, ...ecc]);
+    }
+    
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        // Short blocks carry a placeholder at the position only long blocks have data for
+        if (i !== shortBlockLength - eccLength || j >= shortBlockCount) result.push(block[i]);
+      });
+    }
+    return result;
+  },
+  
+  // 15-bit BCH code of the error correction level and mask, XORed so it is never all light
+  formatBits: (mask) => {
+    const data = (QR_CONFIG.levelBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    return ((data << 10) | remainder) ^ 0x5412;
+  },
+  
+  // 18-bit Golay code of the version, only drawn from version 7 up
+  versionBits: (version) => {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    return (version << 12) | remainder;
+  },
+  
+  maskApplies: (mask, x, y) => [
+    (x + y) % 2 === 0,
+    y % 2 === 0,
+    x % 3 === 0,
+    (x + y) % 3 === 0,
+    (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    x * y % 2 + x * y % 3 === 0,
+    (x * y % 2 + x * y % 3) % 2 === 0,
+    ((x + y) % 2 + x * y % 3) % 2 === 0
+  ][mask],
+  
+  // Scores the row/column run, 2x2 block and dark balance rules; any mask decodes, this only picks a clean one
+  penalty: (modules) => {
+    const size = modules.length;
+    let score = 0;
+    const scoreRuns = (get) => {
+      for (let a = 0; a < size; a++) {
+        let run = 1;
+        for (let b = 1; b <= size; b++) {
+          if (b < size && get(a, b) === get(a, b - 1)) {
+            run++;
+          } else {
+            if (run >= 5) score += run - 2;
+            run = 1;
+          }
+        }
+      }
+    };
+    scoreRuns((y, x) => modules[y][x]);
+    scoreRuns((x, y) => modules[y][x]);
+    
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const color = modules[y][x];
+          if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) score += 3;
+        }
+      }
+    }
+    return score + Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+  },
+  
+  // Returns a square matrix of booleans, true for dark modules, or null if the text is too long
+  encode: (text) => {
+    const bytes = Array.from(new TextEncoder().encode(text));
+    let version = 1;
+    while (version <= QR_CONFIG.maxVersion && qrCode.dataCodewords(version) < bytes.length + (version < 10 ? 2 : 3)) version++;
+    if (version > QR_CONFIG.maxVersion) return null;
+    
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+      modules[y][x] = dark;
+      reserved[y][x] = true;
+    };
+    
+    // Timing patterns, then finders with their separators, then alignment patterns
+    for (let i = 0; i < size; i++) {
+      setFunction(6, i, i % 2 === 0);
+      setFunction(i, 6, i % 2 === 0);
+    }
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    });
+    const alignments = qrCode.alignmentPositions(version);
+    const last = alignments.length - 1;
+    alignments.forEach((cx, i) => alignments.forEach((cy, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }));
+    
+    const drawFormatBits = (mask) => {
+      const bits = qrCode.formatBits(mask);
+      const bit = (i) => ((bits >>> i) & 1) === 1;
+      
+      for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+      setFunction(8, 7, bit(6));
+      setFunction(8, 8, bit(7));
+      setFunction(7, 8, bit(8));
+      for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+      for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+      for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+      setFunction(8, size - 8, true);
+    };
+    drawFormatBits(0);
+    
+    if (version >= 7) {
+      const bits = qrCode.versionBits(version);
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) === 1;
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        setFunction(a, b, dark);
+        setFunction(b, a, dark);
+      }
+    }
+    
+    // Codewords fill two-module columns in a zigzag from the bottom right, skipping the vertical timing column
+    const codewords = qrCode.addErrorCorrection(qrCode.encodeData(bytes, version), version);
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const y = ((right + 1) & 2) === 0 ? size - 1 - vertical : vertical;
+          if (!reserved[y][x] && bitIndex < codewords.length * 8) {
+            modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+            bitIndex++;
+          }
+        }
+      }
+    }
+    
+    const applyMask = (mask) => modules.map((row, y) => row.map((dark, x) =>
+      !reserved[y][x] && qrCode.maskApplies(mask, x, y) ? !dark : dark
+    ));
+    let best = null;
+    for (let mask = 0; mask < 8; mask++) {
+      drawFormatBits(mask);
+      const candidate = applyMask(mask);
+      const score = qrCode.penalty(candidate);
+      if (!best || score < best.score) best = { score, matrix: candidate };
+    }
+    return best.matrix;
+  }
+};
+
+const ROLES = ['borrower', 'lender', 'admin'];
+
+const rolePermissions = {
+  borrower: ['request_loans'],
+  lender: ['fund_loans', 'auto_invest', 'trade_notes'],
+  admin: ['admin_console', 'manage_clock', 'review_kyc']
+};
+
+const access = {
+  hasRole: (user, role) => !!user && (user.roles || []).includes(role),
+  
+  // Suspended users keep their data but lose every permission
+  can: (user, permission) => !!user && !user.suspended &&
+    (user.roles || []).some(role => (rolePermissions[role] || []).includes(permission))
+};
+
+const sessions = {
+  create: (userId) => {
+    const createdAt = Date.now();
+    return {
+      token: randomHex(SESSION_CONFIG.tokenBytes),
+      userId,
+      createdAt,
+      expiresAt: createdAt + SESSION_CONFIG.ttlMs
+    };
+  },
+  
+  isValid: (session, now = Date.now()) => !!session && session.expiresAt > now
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS - KYC
+// ============================================================================
+
+// Documents are kept as data URLs alongside the rest of the persisted state, so they're capped in size
+const KYC_CONFIG = {
+  maxDocumentBytes: 2 * 1024 * 1024,
+  acceptedTypes: ['image/jpeg', 'image/png', 'application/pdf'],
+  documentTypes: {
+    passport: 'Passport',
+    drivers_license: "Driver's License",
+    national_id: 'National ID Card'
+  },
+  minimumAge: 18
+};
+
+const kyc = {
+  // The verified flag is only ever set by an approved review
+  isVerified: (user) => !!user?.verified && user.kycStatus === 'approved',
+  
+  statusLabel: (status) => ({
+    unverified: 'Not verified',
+    pending: 'Under review',
+    approved: 'Verified',
+    rejected: 'Rejected'
+  }[status] || status),
+  
+  statusColor: (status) => ({
+    pending: 'text-yellow-400',
+    approved: 'text-green-400',
+    rejected: 'text-red-400'
+  }[status] || 'text-gray-400'),
+  
+  validateSubmission: ({ legalName, dateOfBirth, documentType, document }) => {
+    const errors = {};
+    if (!legalName?.trim()) errors.legalName = 'Enter your full legal name';
+    
+    const birthDate = new Date(dateOfBirth);
+    const adultOn = new Date(birthDate);
+    adultOn.setFullYear(adultOn.getFullYear() + KYC_CONFIG.minimumAge);
+    if (!dateOfBirth || isNaN(birthDate)) errors.dateOfBirth = 'Enter your date of birth';
+    else if (adultOn > clock.now()) errors.dateOfBirth = `You must be at least ${KYC_CONFIG.minimumAge} years old`;
+    
+    if (!KYC_CONFIG.documentTypes[documentType]) errors.documentType = 'Choose a document type';
+    if (!document) errors.document = 'Upload a photo or scan of your document';
+    else if (!KYC_CONFIG.acceptedTypes.includes(document.type)) errors.document = 'Upload a JPEG, PNG or PDF';
+    else if (document.size > KYC_CONFIG.maxDocumentBytes) errors.document = 'Documents must be 2 MB or smaller';
+    return errors;
+  },
+  
+  readDocument: (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve({ name: file.name, type: file.type, size: file.size, dataUrl: reader.result });
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  })
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS - CONSENT
+// ============================================================================
+
+// Each scope lists the report fields a lender may see under it
+const CONSENT_SCOPES = {
+  score: { label: 'Credit score only', fields: ['score'] },
+  summary: { label: 'Score and payment history', fields: ['score', 'paymentHistory'] },
+  full: { label: 'Full report', fields: ['score', 'paymentHistory', 'creditUtilization', 'accountAge', 'recentInquiries'] }
+};
+
+const CONSENT_CONFIG = {
+  durationOptionsDays: [7, 30, 90],
+  defaultDurationDays: 30,
+  defaultScope: 'full'
+};
+
+// Consent lives on the credit report request it answers; access ends on expiry, revocation or when the loan closes
+const consents = {
+  grant: (borrowerId, scope, durationDays) => ({
+    grantedBy: borrowerId,
+    grantedAt: clock.now(),
+    scope,
+    expiresAt: new Date(clock.now().getTime() + durationDays * MS_PER_DAY)
+  }),
+  
+  isActive: (request, asOf = clock.now()) =>
+    request.status === 'approved' && !!request.consent && new Date(request.consent.expiresAt) > asOf,
+  
+  // Approved requests read as expired once their consent lapses
+  status: (request, asOf = clock.now()) =>
+    request.status === 'approved' && !consents.isActive(request, asOf) ? 'expired' : request.status,
+  
+  visibleReport: (request, asOf = clock.now()) => {
+    if (!consents.isActive(request, asOf) || !request.creditReport) return null;
+    const fields = CONSENT_SCOPES[request.consent.scope]?.fields || [];
+    return Object.fromEntries(fields.map(field => [field, request.creditReport[field]]));
+  },
+  
+  // Pending and active requests for a loan stop once it is funded, cancelled or expires
+  closeForLoan: (requests, loanId, reason) => requests.map(r =>
+    r.loanId === loanId && ['pending', 'approved'].includes(r.status)
+      ? { ...r, status: 'closed', closedReason: reason, closedAt: clock.now() }
+      : r
+  )
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS - CREDIT BUREAU
+// ============================================================================
+
+const BUREAU_CONFIG = {
+  provider: 'mock',
+  // Hard inquiries within this window count towards recentInquiries
+  inquiryLookbackDays: 365
+};
+
+const INQUIRY_TYPES = ['soft', 'hard'];
+
+// Users without a fixture get one of these, picked by a hash of their email so the result never changes
+const MOCK_BUREAU_PROFILES = [
+  { score: 805, paymentHistory: 'excellent', creditUtilization: 8, accountAge: 14, recentInquiries: 0 },
+  { score: 752, paymentHistory: 'excellent', creditUtilization: 18, accountAge: 9, recentInquiries: 1 },
+  { score: 708, paymentHistory: 'good', creditUtilization: 27, accountAge: 6, recentInquiries: 1 },
+  { score: 664, paymentHistory: 'good', creditUtilization: 41, accountAge: 4, recentInquiries: 2 },
+  { score: 618, paymentHistory: 'fair', creditUtilization: 58, accountAge: 3, recentInquiries: 3 },
+  { score: 571, paymentHistory: 'poor', creditUtilization: 76, accountAge: 2, recentInquiries: 4 }
+];
+
+const MOCK_BUREAU_FIXTURES = {
+  'lender@demo.com': { score: 750, paymentHistory: 'excellent', creditUtilization: 15, accountAge: 12, recentInquiries: 0 },
+  'borrower@demo.com': { score: 680, paymentHistory: 'good', creditUtilization: 34, accountAge: 5, recentInquiries: 1 }
+};
+
+const hashString = (value) => [...value].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+
+// Every provider exposes pullReport(user, inquiryType, priorPulls) and resolves to a report
+const creditBureaus = {
+  mock: {
+    name: 'Mock Bureau',
+    
+    pullReport: (user, inquiryType, priorPulls = []) => {
+      const email = user.email.toLowerCase();
+      const fixture = MOCK_BUREAU_FIXTURES[email] || MOCK_BUREAU_PROFILES[hashString(email) % MOCK_BUREAU_PROFILES.length];
+      const since = clock.now().getTime() - BUREAU_CONFIG.inquiryLookbackDays * MS_PER_DAY;
+      const hardInquiries = priorPulls.filter(pull =>
+        pull.userId === user.id && pull.inquiryType === 'hard' && new Date(pull.timestamp).getTime() > since
+      ).length + (inquiryType === 'hard' ? 1 : 0);
+      
+      return Promise.resolve({
+        ...fixture,
+        recentInquiries: fixture.recentInquiries + hardInquiries,
+        bureau: 'mock',
+        inquiryType,
+        pulledAt: clock.now()
+      });
+    }
+  }
+};
+
 // ============================================================================
 // UTILITY FUNCTIONS - STYLES
 // ============================================================================
@@ -192,12 +1022,14 @@ const styles = {
       withdraw: 'bg-orange-900 border-orange-700 text-orange-200',
       payment_made: 'bg-blue-900 border-blue-700 text-blue-200',
       login: 'bg-gray-700 border-gray-600 text-gray-200',
+      loan_late: 'bg-orange-900 border-orange-700 text-orange-200',
+      loan_defaulted: 'bg-red-900 border-red-700 text-red-200',
     };
     return styleMap[type] || 'bg-gray-700 border-gray-600 text-gray-200';
   },
   
   getActivityColor: (action) => {
-    const lendingActions = ['funded', 'counter_offered', 'offer_accepted'];
+    const lendingActions = ['funded', 'counter_offered', 'offer_accepted', 'note_bought', 'note_sold'];
     const borrowingActions = ['requested', 'payment_made', 'accepted_offer'];
     if (lendingActions.includes(action)) return 'bg-blue-900 border-blue-700 text-blue-200';
     if (borrowingActions.includes(action)) return 'bg-orange-900 border-orange-700 text-orange-200';
@@ -217,99 +1049,2746 @@ const styles = {
     const colors = {
       'active': 'text-green-400',
       'pending': 'text-yellow-400',
+      'late_1_30': 'text-orange-400',
+      'late_31_120': 'text-orange-500',
       'paid_off': 'text-blue-400',
       'defaulted': 'text-red-400',
-      'cancelled': 'text-gray-400'
+      'cancelled': 'text-gray-400',
+      'expired': 'text-gray-400',
+      'awaiting_acknowledgment': 'text-yellow-400',
+      'reserved': 'text-indigo-400',
+      'approved': 'text-green-400',
+      'denied': 'text-red-400',
+      'revoked': 'text-red-400',
+      'closed': 'text-gray-400',
+      'open': 'text-blue-400',
+      'accepted': 'text-green-400',
+      'rejected': 'text-red-400',
+      'withdrawn': 'text-gray-400'
     };
     return colors[status] || 'text-gray-400';
+  },
+  
+  getStatusLabel: (status) => {
+    const labels = {
+      'active': 'Current',
+      'late_1_30': 'Late (1-30 days)',
+      'late_31_120': 'Late (31-120 days)'
+    };
+    return labels[status] || status.replace(/_/g, ' ');
   }
 };
 
 // ============================================================================
-// CUSTOM HOOKS
+// UTILITY FUNCTIONS - LEDGER
 // ============================================================================
 
-const useNotifications = () => {
-  const { notifications, setNotifications, currentUser } = useContext(AppContext);
+const PLATFORM_FEE_RATE = 0.015;
+
+let entrySequence = 0;
+
+// Postings carry signed amounts; a positive amount increases the account balance
+const ledgerAccounts = {
+  external: 'external',
+  platformFees: 'platform:fees',
+  platformLateFees: 'platform:late_fees',
+  chargeOffs: 'charge_offs',
+  cash: (userId) => `cash:${userId}`,
+  escrow: (loanRequestId) => `escrow:${loanRequestId}`,
+  receivable: (loanId, holderId) => `receivable:${loanId}:${holderId}`,
+  payable: (loanId) => `payable:${loanId}`
+};
+
+const ledger = {
+  createEntry: (type, postings, details = {}) => {
+    const rounded = postings
+      .map(p => ({ ...p, amount: roundCents(p.amount) }))
+      .filter(p => p.amount !== 0);
+    const total = rounded.reduce((sum, p) => sum + p.amount, 0);
+    if (Math.abs(total) >= 0.005) {
+      throw new Error(`Unbalanced ${type} entry: postings are off by ${total.toFixed(2)}`);
+    }
+    
+    entrySequence += 1;
+    return {
+      id: `${Date.now()}-${entrySequence}`,
+      type,
+      timestamp: clock.now(),
+      postings: rounded,
+      ...details
+    };
+  },
   
-  const addNotification = (userId, type, message) => {
-    setNotifications(prev => [...prev, { 
-      id: Date.now(), 
+  balanceOf: (entries, account) => roundCents(entries.reduce((sum, entry) =>
+    sum + entry.postings.filter(p => p.account === account).reduce((s, p) => s + p.amount, 0), 0
+  )),
+  
+  // Account balances are derived from the ledger rather than stored on users
+  withBalances: (users, entries) => {
+    const totals = ledger.balances(entries);
+    return users.map(u => ({ ...u, accountBalance: totals[ledgerAccounts.cash(u.id)] || 0 }));
+  },
+  
+  balances: (entries) => {
+    const totals = {};
+    entries.forEach(entry => entry.postings.forEach(p => {
+      totals[p.account] = roundCents((totals[p.account] || 0) + p.amount);
+    }));
+    return totals;
+  },
+  
+  statement: (entries, userId) => {
+    const account = ledgerAccounts.cash(userId);
+    let balance = 0;
+    return entries
+      .filter(entry => entry.postings.some(p => p.account === account))
+      .map(entry => {
+        const postings = entry.postings.filter(p => p.account === account);
+        const amount = roundCents(postings.reduce((sum, p) => sum + p.amount, 0));
+        balance = roundCents(balance + amount);
+        return {
+          id: entry.id,
+          type: entry.type,
+          timestamp: entry.timestamp,
+          description: postings[0].memo || entry.type.replace(/_/g, ' '),
+          amount,
+          balance
+        };
+      });
+  },
+  
+  openingBalance: (userId, amount, timestamp = clock.now()) => ({
+    ...ledger.createEntry('opening_balance', [
+      { account: ledgerAccounts.cash(userId), amount, memo: 'Opening balance' },
+      { account: ledgerAccounts.external, amount: -amount }
+    ]),
+    timestamp
+  }),
+  
+  deposit: (userId, amount) => ledger.createEntry('deposit', [
+    { account: ledgerAccounts.cash(userId), amount, memo: 'Deposit' },
+    { account: ledgerAccounts.external, amount: -amount }
+  ]),
+  
+  withdrawal: (userId, amount) => ledger.createEntry('withdrawal', [
+    { account: ledgerAccounts.cash(userId), amount: -amount, memo: 'Withdrawal' },
+    { account: ledgerAccounts.external, amount }
+  ]),
+  
+  fundingCommitment: (request, lenderId, amount) => ledger.createEntry('funding_commitment', [
+    { account: ledgerAccounts.cash(lenderId), amount: -amount, memo: `Committed to loan for ${request.borrowerName}` },
+    { account: ledgerAccounts.escrow(request.id), amount }
+  ], { loanRequestId: request.id }),
+  
+  commitmentRefund: (request, lenderId, amount) => ledger.createEntry('commitment_refund', [
+    { account: ledgerAccounts.escrow(request.id), amount: -amount },
+    { account: ledgerAccounts.cash(lenderId), amount, memo: `Commitment returned from ${request.borrowerName}'s loan` }
+  ], { loanRequestId: request.id }),
+  
+  // A reservation parks the lender's cash in the request's escrow until they confirm or it times out
+  reservationHold: (request, lenderId, amount) => ledger.createEntry('reservation_hold', [
+    { account: ledgerAccounts.cash(lenderId), amount: -amount, memo: `Reserved for loan to ${request.borrowerName}` },
+    { account: ledgerAccounts.escrow(request.id), amount }
+  ], { loanRequestId: request.id }),
+  
+  reservationRelease: (request, lenderId, amount) => ledger.createEntry('reservation_release', [
+    { account: ledgerAccounts.escrow(request.id), amount: -amount },
+    { account: ledgerAccounts.cash(lenderId), amount, memo: `Reservation released from ${request.borrowerName}'s loan` }
+  ], { loanRequestId: request.id }),
+  
+  // Moves escrowed commitments to the borrower and issues a receivable to each note holder
+  loanFunding: (loan, requestId, fee) => ledger.createEntry('loan_funding', [
+    { account: ledgerAccounts.escrow(requestId), amount: -loan.amount },
+    ...loan.notes.map(note => ({ account: ledgerAccounts.receivable(loan.id, note.holderId), amount: note.amount })),
+    { account: ledgerAccounts.payable(loan.id), amount: -loan.amount },
+    { account: ledgerAccounts.cash(loan.borrowerId), amount: loan.amount - fee, memo: `Loan proceeds (after $${fee.toFixed(2)} fee)` },
+    { account: ledgerAccounts.platformFees, amount: fee }
+  ], { loanId: loan.id, loanRequestId: requestId }),
+  
+  // Principal, interest and any prepayment penalty are split pro-rata across note holders
+  loanRepayment: (loan, principal, interest, lateFees = 0, prepaymentPenalty = 0) => {
+    const weights = loan.notes.map(note => note.amount);
+    const principalShares = calculations.splitProRata(principal, weights);
+    const interestShares = calculations.splitProRata(interest, weights);
+    const penaltyShares = calculations.splitProRata(prepaymentPenalty, weights);
+    const distributions = loan.notes.map((note, i) => ({
+      holderId: note.holderId,
+      principal: principalShares[i],
+      interest: interestShares[i],
+      prepaymentPenalty: penaltyShares[i]
+    }));
+    
+    return ledger.createEntry('loan_repayment', [
+      { account: ledgerAccounts.cash(loan.borrowerId), amount: -(principal + interest + lateFees + prepaymentPenalty), memo: `Loan payment to ${loan.lenderName}` },
+      { account: ledgerAccounts.payable(loan.id), amount: principal },
+      ...distributions.flatMap(d => [
+        { account: ledgerAccounts.receivable(loan.id, d.holderId), amount: -d.principal },
+        { account: ledgerAccounts.cash(d.holderId), amount: d.principal + d.interest + d.prepaymentPenalty, memo: `Loan payment from ${loan.borrowerName}` }
+      ]),
+      { account: ledgerAccounts.platformLateFees, amount: lateFees }
+    ], {
+      loanId: loan.id,
+      principal: roundCents(principal),
+      interest: roundCents(interest),
+      lateFees: roundCents(lateFees),
+      prepaymentPenalty: roundCents(prepaymentPenalty),
+      distributions
+    });
+  },
+  
+  // The buyer pays the seller directly and takes over the seller's receivable at par
+  noteSale: (loan, sellerId, buyerId, principal, price) => ledger.createEntry('note_sale', [
+    { account: ledgerAccounts.cash(buyerId), amount: -price, memo: `Bought note in ${loan.borrowerName}'s loan` },
+    { account: ledgerAccounts.cash(sellerId), amount: price, memo: `Sold note in ${loan.borrowerName}'s loan` },
+    { account: ledgerAccounts.receivable(loan.id, sellerId), amount: -principal },
+    { account: ledgerAccounts.receivable(loan.id, buyerId), amount: principal }
+  ], { loanId: loan.id, principal: roundCents(principal), price: roundCents(price) }),
+  
+  // Writes off the principal each holder is still owed once a loan defaults
+  chargeOff: (loan, holderBalances) => {
+    const losses = holderBalances.filter(l => l.principal > 0);
+    const principal = roundCents(losses.reduce((sum, l) => sum + l.principal, 0));
+    return ledger.createEntry('charge_off', [
+      ...losses.map(l => ({ account: ledgerAccounts.receivable(loan.id, l.holderId), amount: -l.principal })),
+      { account: ledgerAccounts.chargeOffs, amount: principal }
+    ], { loanId: loan.id, principal, losses });
+  }
+};
+
+const initialLedgerEntries = [
+  ledger.openingBalance(1, 50000, initialUsers[0].accountCreated),
+  ledger.openingBalance(2, 1000, initialUsers[1].accountCreated)
+];
+
+// ============================================================================
+// UTILITY FUNCTIONS - FUNDING
+// ============================================================================
+
+const FUNDING_CONFIG = {
+  minCommitment: 500,
+  fundingWindowDays: 14,
+  // A borrower who accepts partial funding is issued the amount raised if it reaches this share by the deadline
+  minFundedPercentToIssue: 60,
+  // How long a lender has to confirm a reservation created by an accepted negotiation
+  reservationHours: 24
+};
+
+const funding = {
+  committedAmount: (request) => roundCents((request.commitments || []).reduce((sum, c) => sum + c.amount, 0)),
+  
+  remainingAmount: (request) => roundCents(Math.max(0, request.amount - funding.committedAmount(request))),
+  
+  fundedPercent: (request) => Math.min(100, (funding.committedAmount(request) / request.amount) * 100),
+  
+  lenderCommitment: (request, lenderId) => roundCents((request.commitments || [])
+    .filter(c => c.lenderId === lenderId)
+    .reduce((sum, c) => sum + c.amount, 0)),
+  
+  // The final slice may be smaller than the minimum so a request can always be filled
+  validateCommitment: (request, amount, availableBalance) => {
+    const remaining = funding.remainingAmount(request);
+    if (!amount || amount <= 0) return 'Invalid commitment amount';
+    if (amount > remaining) return `Only $${remaining.toLocaleString()} remains to be funded`;
+    if (amount < FUNDING_CONFIG.minCommitment && amount !== remaining) {
+      return `Minimum commitment is $${FUNDING_CONFIG.minCommitment}`;
+    }
+    if (amount > availableBalance) return 'Insufficient funds';
+    return null;
+  },
+  
+  isExpired: (request, asOf = clock.now()) =>
+    request.status === 'pending' && !!request.fundingDeadline && new Date(request.fundingDeadline) <= asOf,
+  
+  isReservationExpired: (request, asOf = clock.now()) =>
+    request.status === 'reserved' && !!request.reservation && new Date(request.reservation.expiresAt) <= asOf
+};
+
+const loanNotes = {
+  // Merges commitments into one note per lender
+  fromCommitments: (commitments) => commitments.reduce((notes, c) => {
+    const existing = notes.find(n => n.holderId === c.lenderId);
+    if (existing) {
+      existing.amount = roundCents(existing.amount + c.amount);
+      return notes;
+    }
+    return [...notes, { holderId: c.lenderId, holderName: c.lenderName, amount: c.amount }];
+  }, []),
+  
+  isHolder: (loan, userId) => (loan.notes || []).some(n => n.holderId === userId),
+  
+  holding: (loan, userId) => roundCents((loan.notes || [])
+    .filter(n => n.holderId === userId)
+    .reduce((sum, n) => sum + n.amount, 0)),
+  
+  share: (loan, userId) => (loan.amount ? loanNotes.holding(loan, userId) / loan.amount : 0),
+  
+  lenderLabel: (notes) => (notes.length === 1 ? notes[0].holderName : `${notes.length} lenders`),
+  
+  // Reassigns the seller's notes to the buyer, merging with any note the buyer already holds
+  transfer: (notes, sellerId, buyer) => loanNotes.fromCommitments(notes.map(n => (
+    n.holderId === sellerId
+      ? { lenderId: buyer.id, lenderName: buyer.name, amount: n.amount }
+      : { lenderId: n.holderId, lenderName: n.holderName, amount: n.amount }
+  )))
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS - NEGOTIATION
+// ============================================================================
+
+const NEGOTIATION_CONFIG = {
+  // Each proposal lapses if the other side doesn't respond in time
+  offerExpiryHours: 48,
+  maxRounds: 10
+};
+
+// A thread is one lender and the borrower alternating proposals on a single request
+const negotiationThreads = {
+  round: (user, role, { amount, interestRate, duration, message = '' }) => ({
+    id: generateId(),
+    by: user.id,
+    byName: user.name,
+    role,
+    amount,
+    interestRate,
+    duration,
+    message: message.trim(),
+    createdAt: clock.now(),
+    expiresAt: new Date(clock.now().getTime() + NEGOTIATION_CONFIG.offerExpiryHours * 60 * 60 * 1000)
+  }),
+  
+  create: (loan, lender, offer) => ({
+    id: generateId(),
+    loanId: loan.id,
+    lenderId: lender.id,
+    lenderName: lender.name,
+    borrowerId: loan.borrowerId,
+    borrowerName: loan.borrowerName,
+    original: { amount: loan.amount, interestRate: loan.interestRate, duration: loan.duration },
+    rounds: [negotiationThreads.round(lender, 'lender', offer)],
+    status: 'open',
+    timestamp: clock.now()
+  }),
+  
+  latest: (thread) => thread.rounds[thread.rounds.length - 1],
+  
+  // Open threads read as expired once the latest proposal lapses
+  status: (thread, asOf = clock.now()) =>
+    thread.status === 'open' && new Date(negotiationThreads.latest(thread).expiresAt) <= asOf ? 'expired' : thread.status,
+  
+  isOpen: (thread, asOf = clock.now()) => negotiationThreads.status(thread, asOf) === 'open',
+  
+  // Whoever didn't make the latest proposal is the one expected to respond
+  awaitingUserId: (thread) =>
+    negotiationThreads.latest(thread).role === 'lender' ? thread.borrowerId : thread.lenderId,
+  
+  isParty: (thread, userId) => thread.lenderId === userId || thread.borrowerId === userId,
+  
+  // Open threads end when their request is funded, cancelled or expires
+  closeForLoan: (threads, loanId, reason) => threads.map(t =>
+    t.loanId === loanId && t.status === 'open' ? { ...t, status: 'closed', closedReason: reason, closedAt: clock.now() } : t
+  )
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS - SECONDARY MARKET
+// ============================================================================
+
+const SECONDARY_MARKET_CONFIG = {
+  maxMarkupPercent: 20,
+  maxDiscountPercent: 50
+};
+
+const secondaryMarket = {
+  // Outstanding principal still owed to the holder
+  parValue: (entries, loan, holderId) => ledger.balanceOf(entries, ledgerAccounts.receivable(loan.id, holderId)),
+  
+  askPrice: (parValue, markupPercent) => roundCents(parValue * (1 + markupPercent / 100)),
+  
+  // The holder's share of each remaining scheduled installment
+  cashFlows: (loan, holderId) => {
+    const share = loanNotes.share(loan, holderId);
+    return calculations.generateAmortizationSchedule(loan)
+      .filter(installment => !installment.isPaid)
+      .map(installment => roundCents(installment.payment * share));
+  },
+  
+  canList: (loan, userId) => loan.status === 'active' && loanNotes.isHolder(loan, userId),
+  
+  validateMarkup: (markupPercent) => {
+    if (isNaN(markupPercent)) return 'Enter a premium or discount';
+    if (markupPercent > SECONDARY_MARKET_CONFIG.maxMarkupPercent) {
+      return `Premium cannot exceed ${SECONDARY_MARKET_CONFIG.maxMarkupPercent}%`;
+    }
+    if (markupPercent < -SECONDARY_MARKET_CONFIG.maxDiscountPercent) {
+      return `Discount cannot exceed ${SECONDARY_MARKET_CONFIG.maxDiscountPercent}%`;
+    }
+    return null;
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS - UNDERWRITING
+// ============================================================================
+
+const RISK_GRADES = ['A+', 'A', 'A-', 'B+', 'B', 'B-', 'C+', 'C', 'C-'];
+
+// Factor weights are relative; factors with no data drop out and the rest are rescaled.
+// Probability of default is a logistic curve over the 0-100 composite score.
+const UNDERWRITING_CONFIG = {
+  modelVersion: '2024.1',
+  weights: {
+    creditScore: 30,
+    paymentHistory: 20,
+    creditUtilization: 10,
+    accountAge: 5,
+    recentInquiries: 5,
+    platformHistory: 10,
+    debtToIncome: 10,
+    loanSize: 5,
+    term: 3,
+    purpose: 2
+  },
+  gradeFloors: { 'A+': 85, 'A': 78, 'A-': 72, 'B+': 66, 'B': 60, 'B-': 54, 'C+': 47, 'C': 40, 'C-': 0 },
+  defaultCurve: { intercept: 0.4, slope: -0.05 }
+};
+
+const PAYMENT_HISTORY_RATINGS = {
+  excellent: { label: 'Excellent - no missed payments', score: 1 },
+  good: { label: 'Good - one or two late payments', score: 0.75 },
+  fair: { label: 'Fair - several late payments', score: 0.45 },
+  poor: { label: 'Poor - defaults or collections', score: 0.15 }
+};
+
+// Purposes are free text, so they're matched on keywords
+const PURPOSE_SCORES = [
+  { pattern: /debt|consolidat|refinanc/i, label: 'Debt consolidation', score: 0.7 },
+  { pattern: /home|house|renovat|repair/i, label: 'Home improvement', score: 0.7 },
+  { pattern: /educat|tuition|school|course/i, label: 'Education', score: 0.65 },
+  { pattern: /car|auto|vehicle/i, label: 'Vehicle', score: 0.6 },
+  { pattern: /medical|health|dental/i, label: 'Medical', score: 0.55 },
+  { pattern: /business|expan|inventory|equipment/i, label: 'Business', score: 0.5 },
+  { pattern: /vacation|travel|wedding|holiday/i, label: 'Discretionary', score: 0.4 }
+];
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// Reports submitted before the structured form are free text such as "25%" or "2 in last 6 months"
+const parseNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const match = String(value ?? '').match(/-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+};
+
+const underwriting = {
+  parseReport: (report) => {
+    if (!report) return null;
+    const history = String(report.paymentHistory || '').toLowerCase();
+    const historyKey = Object.keys(PAYMENT_HISTORY_RATINGS).find(key => history.startsWith(key) || history.includes(key));
+    const accountAge = parseNumber(report.accountAge);
+    return {
+      score: parseNumber(report.score),
+      paymentHistory: historyKey || null,
+      creditUtilization: parseNumber(report.creditUtilization),
+      accountAgeYears: accountAge !== null && /month/i.test(String(report.accountAge)) ? accountAge / 12 : accountAge,
+      recentInquiries: parseNumber(report.recentInquiries)
+    };
+  },
+  
+  formatReport: (report) => {
+    const parsed = underwriting.parseReport(report);
+    const show = (value, format) => (value === null || value === undefined ? 'Not provided' : format(value));
+    return [
+      { field: 'score', label: 'Credit Score', value: show(parsed.score, v => v) },
+      { field: 'paymentHistory', label: 'Payment History', value: show(parsed.paymentHistory, v => PAYMENT_HISTORY_RATINGS[v].label) },
+      { field: 'creditUtilization', label: 'Credit Utilization', value: show(parsed.creditUtilization, v => `${v}%`) },
+      { field: 'accountAge', label: 'Account Age', value: show(parsed.accountAgeYears, v => `${Number(v.toFixed(1))} years`) },
+      { field: 'recentInquiries', label: 'Recent Inquiries', value: show(parsed.recentInquiries, v => v) }
+    ];
+  },
+  
+  // Repayment record on this platform; null for first-time borrowers
+  platformHistoryScore: (loans) => {
+    if (loans.length === 0) return null;
+    const count = (predicate) => loans.filter(predicate).length;
+    const paymentsMade = loans.reduce((sum, l) => sum + (l.paymentsMade || 0), 0);
+    return clamp01(0.6
+      + 0.1 * count(l => l.status === 'paid_off')
+      + 0.01 * Math.min(paymentsMade, 20)
+      - 0.25 * count(l => l.status === 'late_1_30')
+      - 0.4 * count(l => l.status === 'late_31_120')
+      - 0.6 * count(l => l.status === 'defaulted'));
+  },
+  
+  gradeFor: (score) => RISK_GRADES.find(grade => score >= UNDERWRITING_CONFIG.gradeFloors[grade]),
+  
+  probabilityOfDefault: (score) => {
+    const { intercept, slope } = UNDERWRITING_CONFIG.defaultCurve;
+    return 1 / (1 + Math.exp(-(intercept + slope * score)));
+  },
+  
+  // Scores each factor from 0 (worst) to 1 (best) and combines them into a grade and probability of default
+  assess: ({ creditScore, report, platformLoans = [], amount, duration, interestRate = 0, purpose, annualIncome, monthlyDebt }) => {
+    const parsed = underwriting.parseReport(report) || {};
+    const score = parsed.score >= 300 && parsed.score <= 850 ? parsed.score : creditScore;
+    const income = parseFloat(annualIncome);
+    const newPayment = parseFloat(calculations.calculateMinimumPayment({ amount, interestRate, totalPayments: duration }));
+    const debtToIncome = income > 0 ? ((parseFloat(monthlyDebt) || 0) + newPayment) / (income / 12) : null;
+    const purposeMatch = PURPOSE_SCORES.find(p => p.pattern.test(purpose || ''));
+    const platformScore = underwriting.platformHistoryScore(platformLoans);
+    const inputs = [
+      ['creditScore', 'Credit score', score, v => clamp01((v - 300) / 550), v => String(v)],
+      ['paymentHistory', 'Payment history', parsed.paymentHistory, v => PAYMENT_HISTORY_RATINGS[v].score, v => PAYMENT_HISTORY_RATINGS[v].label],
+      ['creditUtilization', 'Credit utilization', parsed.creditUtilization, v => clamp01(1 - (v - 10) / 80), v => `${v}%`],
+      ['accountAge', 'Credit history length', parsed.accountAgeYears, v => clamp01(v / 10), v => `${Number(v.toFixed(1))} years`],
+      ['recentInquiries', 'Recent credit inquiries', parsed.recentInquiries, v => clamp01(1 - v / 6), v => String(v)],
+      ['platformHistory', 'Repayment history on this platform', platformScore, v => v, () => `${platformLoans.length} previous loan${platformLoans.length === 1 ? '' : 's'}`],
+      ['debtToIncome', 'Debt-to-income with this loan', debtToIncome, v => clamp01(1 - (v - 0.2) / 0.3), v => `${(v * 100).toFixed(0)}%`],
+      ['loanSize', 'Loan amount', amount, v => clamp01(1 - (v - 5000) / 95000), v => `$${v.toLocaleString()}`],
+      ['term', 'Loan term', duration, v => clamp01(1 - (v - 12) / 72), v => `${v} months`],
+      ['purpose', 'Loan purpose', purposeMatch, v => v.score, v => v.label]
+    ];
+    
+    const available = inputs.filter(([, , value]) => value !== null && value !== undefined && !Number.isNaN(value));
+    const totalWeight = available.reduce((sum, [key]) => sum + UNDERWRITING_CONFIG.weights[key], 0);
+    const factors = available.map(([key, label, value, scoreOf, describe]) => {
+      const factorScore = scoreOf(value);
+      const weight = UNDERWRITING_CONFIG.weights[key] / totalWeight;
+      // Points above or below a neutral 50 that this factor contributes
+      return { key, label, value: describe(value), score: factorScore, weight, impact: weight * (factorScore - 0.5) * 100 };
+    }).sort((a, b) => Math.abs(b.impact) - Math.abs(a.impact));
+    
+    const composite = factors.reduce((sum, f) => sum + f.weight * f.score * 100, 0);
+    return {
+      score: Math.round(composite * 10) / 10,
+      grade: underwriting.gradeFor(composite),
+      probabilityOfDefault: underwriting.probabilityOfDefault(composite),
+      factors,
+      missing: inputs.filter(input => !available.includes(input)).map(([, label]) => label),
+      modelVersion: UNDERWRITING_CONFIG.modelVersion,
+      assessedAt: clock.now()
+    };
+  },
+  
+  // The part of an assessment stored on a listing, which every lender can see. Factor values are
+  // read from the borrower's credit report, so they stay out of it.
+  listingSummary: ({ grade, probabilityOfDefault, modelVersion, assessedAt }) => ({ grade, probabilityOfDefault, modelVersion, assessedAt })
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS - PRICING
+// ============================================================================
+
+// Interest rate bands (%) per grade for a 36 month loan
+const RATE_BANDS = {
+  'A+': { min: 5, target: 6.5, max: 8 },
+  'A': { min: 6, target: 7.5, max: 9.5 },
+  'A-': { min: 7, target: 8.5, max: 11 },
+  'B+': { min: 8.5, target: 10, max: 13 },
+  'B': { min: 10, target: 12, max: 15 },
+  'B-': { min: 11.5, target: 13.5, max: 17 },
+  'C+': { min: 13, target: 15.5, max: 19.5 },
+  'C': { min: 15, target: 18, max: 23 },
+  'C-': { min: 18, target: 22, max: 28 }
+};
+
+const PRICING_CONFIG = {
+  baseTermMonths: 36,
+  // Added to the whole band per year beyond the base term; shorter terms get no discount
+  termPremiumPerYear: 0.25
+};
+
+const pricing = {
+  bandFor: (grade, duration = PRICING_CONFIG.baseTermMonths) => {
+    const band = RATE_BANDS[grade];
+    if (!band) return null;
+    const extraYears = Math.max(0, (duration - PRICING_CONFIG.baseTermMonths) / 12);
+    const premium = Math.round(extraYears * PRICING_CONFIG.termPremiumPerYear * 100) / 100;
+    return {
+      grade,
+      min: band.min + premium,
+      target: band.target + premium,
+      max: band.max + premium
+    };
+  },
+  
+  // Returns 'below', 'above' or null when the rate sits inside the band
+  position: (rate, band) => {
+    if (!band || isNaN(rate)) return null;
+    if (rate < band.min) return 'below';
+    if (rate > band.max) return 'above';
+    return null;
+  },
+  
+  describe: (position, band) => ({
+    below: `Below the ${band.min}%-${band.max}% band for grade ${band.grade}`,
+    above: `Above the ${band.min}%-${band.max}% band for grade ${band.grade}`
+  }[position] || null),
+  
+  // Where a request's rate sits for its grade and term; flag is what's shown on the listing
+  check: ({ interestRate, duration }, grade) => {
+    const band = pricing.bandFor(grade, duration);
+    const position = pricing.position(interestRate, band);
+    return { band, position, flag: position ? pricing.describe(position, band) : null };
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS - DISCLOSURES
+// ============================================================================
+
+const DISCLOSURE_CONFIG = {
+  // How long a borrower has to acknowledge revised terms before commitments are returned
+  acknowledgmentWindowDays: 3
+};
+
+const disclosures = {
+  // Truth-in-Lending figures for the given terms; the origination fee is withheld from the proceeds
+  build: ({ amount, interestRate, duration, prepaymentPolicy }, feeRate = PLATFORM_FEE_RATE) => {
+    const fee = roundCents(amount * feeRate);
+    const amountFinanced = roundCents(amount - fee);
+    const schedule = calculations.generateAmortizationSchedule({ amount, interestRate, totalPayments: duration });
+    const payments = schedule.map(installment => installment.payment);
+    const totalOfPayments = roundCents(payments.reduce((sum, payment) => sum + payment, 0));
+    
+    return {
+      amount,
+      interestRate,
+      duration,
+      fee,
+      amountFinanced,
+      financeCharge: roundCents(totalOfPayments - amountFinanced),
+      totalOfPayments,
+      monthlyPayment: payments[0] || 0,
+      finalPayment: payments[payments.length - 1] || 0,
+      paymentCount: payments.length,
+      // APR is the rate at which the payments discount back to the amount actually received
+      apr: roundCents(calculations.yieldToMaturity(amountFinanced, payments)),
+      prepaymentPolicy: prepayment.policyFor({ prepaymentPolicy }).id,
+      issuedAt: clock.now()
+    };
+  },
+  
+  matches: (disclosure, terms) => !!disclosure &&
+    disclosure.amount === terms.amount &&
+    disclosure.interestRate === terms.interestRate &&
+    disclosure.duration === terms.duration &&
+    prepayment.policyFor(disclosure).id === prepayment.policyFor(terms).id,
+  
+  acknowledge: (disclosure, userId) => ({ ...disclosure, acknowledgedBy: userId, acknowledgedAt: clock.now() }),
+  
+  isAcknowledgmentExpired: (request, asOf = clock.now()) =>
+    request.status === 'awaiting_acknowledgment' && !!request.acknowledgmentDeadline && new Date(request.acknowledgmentDeadline) <= asOf
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS - AUTO INVEST
+// ============================================================================
+
+// Grades each risk profile accepts when a lender first sets up auto-invest
+const riskProfileGrades = {
+  conservative: ['A+', 'A', 'A-'],
+  moderate: ['A+', 'A', 'A-', 'B+', 'B', 'B-'],
+  aggressive: RISK_GRADES
+};
+
+const autoInvest = {
+  defaultRules: (riskProfile = 'moderate') => ({
+    enabled: false,
+    allowedGrades: riskProfileGrades[riskProfile] || riskProfileGrades.moderate,
+    minRate: 5,
+    maxTerm: 60,
+    maxPerLoan: 1000,
+    cashReserve: 1000
+  }),
+  
+  rulesFor: (user) => user.autoInvest || autoInvest.defaultRules(user.riskProfile),
+  
+  // Returns whether to invest, how much, and why
+  evaluate: (rules, lender, request) => {
+    const skip = (reason) => ({ invested: false, amount: 0, reason });
+    const remaining = funding.remainingAmount(request);
+    
+    if (!rules.allowedGrades.includes(request.riskRating)) {
+      return skip(`Risk grade ${request.riskRating} is not in your allowed grades`);
+    }
+    if (request.interestRate < rules.minRate) {
+      return skip(`Rate ${request.interestRate}% is below your ${rules.minRate}% minimum`);
+    }
+    if (request.duration > rules.maxTerm) {
+      return skip(`Term of ${request.duration} months exceeds your ${rules.maxTerm} month maximum`);
+    }
+    if (remaining <= 0) {
+      return skip('Loan was already fully funded');
+    }
+    
+    const available = roundCents(lender.accountBalance - rules.cashReserve);
+    const amount = roundCents(Math.min(rules.maxPerLoan, remaining, available));
+    if (amount <= 0 || (amount < FUNDING_CONFIG.minCommitment && amount !== remaining)) {
+      return skip(`Your $${rules.cashReserve.toLocaleString()} cash reserve leaves $${Math.max(0, available).toLocaleString()} available`);
+    }
+    
+    return {
+      invested: true,
+      amount,
+      reason: `Matched grade ${request.riskRating}, ${request.interestRate}% for ${request.duration} months`
+    };
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS - SERVICING
+// ============================================================================
+
+const SERVICING_CONFIG = {
+  gracePeriodDays: 15,
+  lateFeeFlat: 15,
+  lateFeePercent: 5,
+  checkIntervalMs: 60 * 60 * 1000
+};
+
+// Ordered from most to least severe
+const delinquencyStages = [
+  { status: 'defaulted', minDaysPastDue: 121 },
+  { status: 'late_31_120', minDaysPastDue: 31 },
+  { status: 'late_1_30', minDaysPastDue: 1 },
+  { status: 'active', minDaysPastDue: 0 }
+];
+
+const servicing = {
+  openStatuses: ['active', 'late_1_30', 'late_31_120'],
+  
+  isOpen: (loan) => servicing.openStatuses.includes(loan.status),
+  
+  // The larger of the flat fee and the percentage of the missed installment
+  calculateLateFee: (installmentAmount, config = SERVICING_CONFIG) =>
+    roundCents(Math.max(config.lateFeeFlat, installmentAmount * config.lateFeePercent / 100)),
+  
+  assessLoan: (loan, asOf = clock.now(), config = SERVICING_CONFIG) => {
+    const daysSince = (date) => Math.floor((asOf - date) / MS_PER_DAY);
+    const missedInstallments = calculations.generateAmortizationSchedule(loan)
+      .filter(installment => !installment.isPaid && installment.dueDate < asOf);
+    const daysPastDue = missedInstallments.length > 0 ? Math.max(0, daysSince(missedInstallments[0].dueDate)) : 0;
+    
+    // Default is terminal until the loan is paid off
+    const stage = loan.status === 'defaulted'
+      ? delinquencyStages[0]
+      : delinquencyStages.find(s => daysPastDue >= s.minDaysPastDue);
+    
+    const chargedThrough = loan.lateFeesChargedThrough || 0;
+    const feeableInstallments = missedInstallments.filter(installment =>
+      installment.paymentNumber > chargedThrough && daysSince(installment.dueDate) > config.gracePeriodDays
+    );
+    
+    return {
+      status: stage.status,
+      daysPastDue,
+      missedPayments: missedInstallments.length,
+      newLateFees: roundCents(feeableInstallments.reduce((sum, i) => sum + servicing.calculateLateFee(i.payment, config), 0)),
+      lateFeesChargedThrough: feeableInstallments.length > 0
+        ? feeableInstallments[feeableInstallments.length - 1].paymentNumber
+        : chargedThrough
+    };
+  },
+  
+  describeTransition: (loan, status, daysPastDue) => {
+    const messages = {
+      active: {
+        borrower: `Your loan from ${loan.lenderName} is current again`,
+        lender: `Your loan to ${loan.borrowerName} is current again`
+      },
+      late_1_30: {
+        borrower: `Your payment to ${loan.lenderName} is ${daysPastDue} days past due`,
+        lender: `${loan.borrowerName}'s payment is ${daysPastDue} days past due`
+      },
+      late_31_120: {
+        borrower: `Your loan from ${loan.lenderName} is more than 30 days past due`,
+        lender: `Your loan to ${loan.borrowerName} is more than 30 days past due`
+      },
+      defaulted: {
+        borrower: `Your loan from ${loan.lenderName} has defaulted`,
+        lender: `Your loan to ${loan.borrowerName} has defaulted after ${daysPastDue} days past due`
+      }
+    };
+    return messages[status];
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS - PREPAYMENT
+// ============================================================================
+
+const PREPAYMENT_CONFIG = {
+  // The penalty is a percentage of principal paid ahead of schedule while the loan is younger than the window
+  policies: [
+    { id: 'none', label: 'No prepayment penalty', percent: 0, months: 0 },
+    { id: 'one_percent_12', label: '1% in the first 12 months', percent: 1, months: 12 },
+    { id: 'two_percent_12', label: '2% in the first 12 months', percent: 2, months: 12 },
+    { id: 'one_percent_24', label: '1% in the first 24 months', percent: 1, months: 24 }
+  ],
+  reamortizeOptions: [
+    { id: 'reduce_term', label: 'Keep my payment and pay off sooner' },
+    { id: 'reduce_payment', label: 'Keep my payoff date and lower my payment' }
+  ],
+  defaultQuoteDays: 10,
+  maxQuoteDays: 30
+};
+
+const prepayment = {
+  // Loans issued before policies existed carry no penalty
+  policyFor: (terms) => PREPAYMENT_CONFIG.policies.find(p => p.id === terms.prepaymentPolicy) || PREPAYMENT_CONFIG.policies[0],
+  
+  describe: (policy) => (policy.percent > 0
+    ? `If you pay off early or pay ahead of schedule within ${policy.months} months of funding, you will pay a penalty of ${policy.percent}% of the principal paid early`
+    : 'If you pay off early, you will not have to pay a penalty'),
+  
+  penaltyFor: (loan, prepaidPrincipal, asOf = clock.now()) => {
+    const policy = prepayment.policyFor(loan);
+    if (policy.percent === 0 || prepaidPrincipal <= 0 || !loan.fundedDate) return 0;
+    const windowEnd = new Date(loan.fundedDate);
+    windowEnd.setMonth(windowEnd.getMonth() + policy.months);
+    return asOf < windowEnd ? roundCents(prepaidPrincipal * policy.percent / 100) : 0;
+  },
+  
+  // Unpaid installments due by asOf, or just the next one when none has come due yet
+  installmentsDue: (loan, asOf = clock.now()) => {
+    const unpaid = calculations.generateAmortizationSchedule(loan).filter(installment => !installment.isPaid);
+    const due = unpaid.filter(installment => installment.dueDate <= asOf);
+    return due.length > 0 ? due : unpaid.slice(0, 1);
+  },
+  
+  // Principal paid beyond what the installments due so far call for, so catching up is never prepaying
+  prepaidPrincipal: (loan, allocation, asOf = clock.now()) => {
+    const scheduled = roundCents(prepayment.installmentsDue(loan, asOf).reduce((sum, installment) => sum + installment.payment, 0));
+    return roundCents(Math.min(allocation.principal, Math.max(0, allocation.interest + allocation.principal - scheduled)));
+  },
+  
+  // Due installments the payment covers in full; a payment always counts for at least the next one
+  installmentsCovered: (loan, allocation, asOf = clock.now()) => {
+    let remaining = allocation.interest + allocation.principal;
+    let covered = 0;
+    for (const installment of prepayment.installmentsDue(loan, asOf)) {
+      if (remaining < installment.payment - 0.005) break;
+      remaining -= installment.payment;
+      covered++;
+    }
+    return Math.max(1, covered);
+  },
+  
+  // What it takes to close the loan on any day up to the good-through date; the penalty is priced as of today
+  quote: (loan, goodThrough, asOf = clock.now()) => {
+    const principal = loan.outstandingBalance || 0;
+    const accruedInterest = calculations.calculateAccruedInterest(loan, goodThrough);
+    const lateFees = loan.lateFeesDue || 0;
+    // Priced the same way a payment of the full payoff amount would be
+    const allocation = calculations.allocatePayment(loan, roundCents(principal + accruedInterest + lateFees), goodThrough);
+    const prepaymentPenalty = prepayment.penaltyFor(loan, prepayment.prepaidPrincipal(loan, allocation, goodThrough), asOf);
+    return {
+      loanId: loan.id,
+      issuedAt: asOf,
+      goodThrough,
+      principal,
+      accruedInterest,
+      lateFees,
+      prepaymentPenalty,
+      total: roundCents(principal + accruedInterest + lateFees + prepaymentPenalty),
+      perDiem: roundCents(principal * (loan.interestRate || 0) / 100 / 365)
+    };
+  },
+  
+  // Spreads the remaining balance over the installments left so the payoff date stays put
+  reamortize: (loan, outstandingBalance, paymentsMade) =>
+    roundCents(calculations.amortizedPayment(outstandingBalance, loan.interestRate || 0, loan.totalPayments - paymentsMade))
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS - AUTOPAY
+// ============================================================================
+
+const AUTOPAY_CONFIG = {
+  retryIntervalDays: 2,
+  // The first draw for an installment plus its retries
+  maxAttempts: 4
+};
+
+const autopay = {
+  isEnabled: (loan) => !!loan.autopay?.enabled,
+  
+  nextInstallment: (loan) => calculations.generateAmortizationSchedule(loan).find(installment => !installment.isPaid) || null,
+  
+  // The scheduled installment plus any late fees, never more than it takes to close the loan
+  amountDue: (loan, asOf = clock.now()) => roundCents(Math.min(
+    calculations.calculatePayoffAmount(loan, asOf),
+    parseFloat(calculations.calculateMinimumPayment(loan)) + (loan.lateFeesDue || 0)
+  )),
+  
+  // The installment to draw now; null when nothing is due yet, a retry isn't due or retries are used up
+  dueInstallment: (loan, asOf = clock.now()) => {
+    if (!autopay.isEnabled(loan) || !servicing.isOpen(loan)) return null;
+    const installment = autopay.nextInstallment(loan);
+    if (!installment || installment.dueDate > asOf) return null;
+    const plan = loan.autopay;
+    if (plan.installment === installment.paymentNumber) {
+      if (plan.attempts >= AUTOPAY_CONFIG.maxAttempts) return null;
+      if (plan.nextAttemptAt && new Date(plan.nextAttemptAt) > asOf) return null;
+    }
+    return installment;
+  },
+  
+  recordAttempt: (plan, installment, amount, error, asOf = clock.now()) => {
+    const lastAttempt = { at: asOf, installment: installment.paymentNumber, amount, succeeded: !error, message: error };
+    if (!error) return { ...plan, installment: null, attempts: 0, nextAttemptAt: null, lastAttempt };
+    
+    const attempts = plan.installment === installment.paymentNumber ? plan.attempts + 1 : 1;
+    return {
+      ...plan,
+      installment: installment.paymentNumber,
+      attempts,
+      nextAttemptAt: attempts < AUTOPAY_CONFIG.maxAttempts
+        ? new Date(asOf.getTime() + AUTOPAY_CONFIG.retryIntervalDays * MS_PER_DAY)
+        : null,
+      lastAttempt
+    };
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS - PORTFOLIO ANALYTICS
+// ============================================================================
+
+const ANALYTICS_CONFIG = {
+  rangeOptions: [
+    { months: 3, label: 'Last 3 months' },
+    { months: 6, label: 'Last 6 months' },
+    { months: 12, label: 'Last 12 months' },
+    { months: 0, label: 'All time' }
+  ],
+  defaultRangeMonths: 12,
+  investmentActions: ['funded', 'note_bought'],
+  vintageMetrics: [
+    { key: 'returnedPercent', label: 'Cash returned' },
+    { key: 'chargedOffPercent', label: 'Charged off' }
+  ],
+  vintageColors: ['#6366F1', '#10B981', '#F59E0B', '#EF4444', '#3B82F6', '#EC4899', '#14B8A6', '#A855F7']
+};
+
+const portfolioAnalytics = {
+  monthStart: (date) => new Date(date.getFullYear(), date.getMonth(), 1),
+  
+  // A range of 0 covers every month since the holder's first activity
+  months: (rangeMonths, firstActivity, asOf = clock.now()) => {
+    const last = portfolioAnalytics.monthStart(asOf);
+    const first = rangeMonths
+      ? new Date(last.getFullYear(), last.getMonth() - rangeMonths + 1, 1)
+      : portfolioAnalytics.monthStart(firstActivity && firstActivity < asOf ? firstActivity : asOf);
+    const months = [];
+    for (let month = first; month <= last; month = new Date(month.getFullYear(), month.getMonth() + 1, 1)) {
+      months.push(month);
+    }
+    return months;
+  },
+  
+  isHolderReceivable: (account, userId) =>
+    account.startsWith('receivable:') && account.split(':')[2] === String(userId),
+  
+  // What one ledger entry did to the holder's cash and outstanding principal
+  entryFlows: (entry, userId) => {
+    const sum = (postings) => postings.reduce((total, p) => total + p.amount, 0);
+    const cash = sum(entry.postings.filter(p => p.account === ledgerAccounts.cash(userId)));
+    const principal = sum(entry.postings.filter(p => portfolioAnalytics.isHolderReceivable(p.account, userId)));
+    const distributions = entry.type === 'loan_repayment'
+      ? (entry.distributions || []).filter(d => d.holderId === userId)
+      : [];
+    
+    return {
+      timestamp: new Date(entry.timestamp),
+      loanId: entry.loanId,
+      principal,
+      invested: entry.type === 'loan_funding' ? principal : entry.type === 'note_sale' ? Math.max(0, -cash) : 0,
+      cashReceived: entry.type === 'note_sale'
+        ? Math.max(0, cash)
+        : distributions.reduce((total, d) => total + d.principal + d.interest + (d.prepaymentPenalty || 0), 0),
+      interest: distributions.reduce((total, d) => total + d.interest, 0),
+      chargeOffs: entry.type === 'charge_off' ? -principal : 0
+    };
+  },
+  
+  holderFlows: (entries, userId) => entries
+    .map(entry => portfolioAnalytics.entryFlows(entry, userId))
+    .filter(f => f.principal || f.invested || f.cashReceived),
+  
+  // Net return is what came back plus what is still owed, less what was put in, so premiums paid and charge-offs count against it
+  monthlySeries: (entries, history, userId, rangeMonths, asOf = clock.now()) => {
+    const flows = portfolioAnalytics.holderFlows(entries, userId);
+    const investments = history.filter(h => h.userId === userId && ANALYTICS_CONFIG.investmentActions.includes(h.action));
+    const firstActivity = flows.reduce((first, f) => (!first || f.timestamp < first ? f.timestamp : first), null);
+    const outstandingBefore = (date) => roundCents(flows.filter(f => f.timestamp < date).reduce((sum, f) => sum + f.principal, 0));
+    
+    return portfolioAnalytics.months(rangeMonths, firstActivity, asOf).map(start => {
+      const end = new Date(start.getFullYear(), start.getMonth() + 1, 1);
+      const inMonth = flows.filter(f => f.timestamp >= start && f.timestamp < end);
+      const total = (key) => roundCents(inMonth.reduce((sum, f) => sum + f[key], 0));
+      const outstanding = outstandingBefore(end);
+      const invested = total('invested');
+      const cashReceived = total('cashReceived');
+      
+      return {
+        month: start.toLocaleDateString('en-US', { month: 'short', year: '2-digit' }),
+        invested,
+        cashReceived,
+        interest: total('interest'),
+        chargeOffs: total('chargeOffs'),
+        outstanding,
+        netReturn: roundCents(cashReceived + outstanding - outstandingBefore(start) - invested),
+        newInvestments: investments.filter(h => new Date(h.timestamp) >= start && new Date(h.timestamp) < end).length
+      };
+    });
+  },
+  
+  // Net annualized return over the holder's actual cash flows, with what is still owed valued at par today
+  netAnnualizedReturn: (entries, userId, asOf = clock.now()) => {
+    const flows = portfolioAnalytics.holderFlows(entries, userId);
+    const outstanding = flows.reduce((sum, f) => sum + f.principal, 0);
+    return calculations.xirr([
+      ...flows.map(f => ({ amount: f.cashReceived - f.invested, date: f.timestamp })),
+      { amount: outstanding, date: asOf }
+    ].filter(f => Math.abs(f.amount) >= 0.005));
+  },
+  
+  // Falls back to the grade's floor score for loans issued before underwriting was recorded
+  probabilityOfDefault: (loan) => loan.underwriting?.probabilityOfDefault
+    ?? underwriting.probabilityOfDefault(UNDERWRITING_CONFIG.gradeFloors[loan.riskRating] ?? 0),
+  
+  // Expected loss assumes nothing is recovered after a default, matching how charge-offs are posted
+  losses: (loans, entries, userId) => {
+    const flows = portfolioAnalytics.holderFlows(entries, userId).filter(f => loans.some(l => l.id === f.loanId));
+    const investedIn = (loanId) => flows.filter(f => f.loanId === loanId).reduce((sum, f) => sum + f.invested, 0);
+    const invested = roundCents(flows.reduce((sum, f) => sum + f.invested, 0));
+    const expectedLoss = roundCents(loans.reduce((sum, loan) =>
+      sum + investedIn(loan.id) * portfolioAnalytics.probabilityOfDefault(loan), 0));
+    const realizedLoss = roundCents(flows.reduce((sum, f) => sum + f.chargeOffs, 0));
+    return {
+      invested,
+      expectedLoss,
+      realizedLoss,
+      expectedLossRate: invested > 0 ? (expectedLoss / invested) * 100 : 0,
+      realizedLossRate: invested > 0 ? (realizedLoss / invested) * 100 : 0
+    };
+  },
+  
+  // Weighted by the principal the holder is still owed on each open loan
+  weightedAverages: (fundedLoans, entries, userId) => {
+    const positions = fundedLoans
+      .filter(servicing.isOpen)
+      .map(loan => ({ loan, balance: secondaryMarket.parValue(entries, loan, userId) }))
+      .filter(p => p.balance > 0);
+    const balance = positions.reduce((sum, p) => sum + p.balance, 0);
+    if (balance === 0) return null;
+    const weighted = (valueOf) => positions.reduce((sum, p) => sum + p.balance * valueOf(p.loan), 0) / balance;
+    return {
+      balance: roundCents(balance),
+      interestRate: weighted(loan => loan.interestRate),
+      term: weighted(loan => loan.duration),
+      remainingTerm: weighted(loan => loan.totalPayments - (loan.paymentsMade || 0))
+    };
+  },
+  
+  // Loans the holder has ever had a position in, grouped by the month they were funded
+  vintages: (fundedLoans, entries, userId, asOf = clock.now()) => {
+    const flows = portfolioAnalytics.holderFlows(entries, userId);
+    const groups = {};
+    fundedLoans
+      .filter(loan => loan.fundedDate && flows.some(f => f.loanId === loan.id))
+      .forEach(loan => {
+        const start = portfolioAnalytics.monthStart(new Date(loan.fundedDate));
+        const key = start.getTime();
+        groups[key] = groups[key] || { start, loans: [] };
+        groups[key].loans.push(loan);
+      });
+    
+    return Object.values(groups).sort((a, b) => a.start - b.start).map(({ start, loans }) => {
+      const loanFlows = flows.filter(f => loans.some(l => l.id === f.loanId));
+      const invested = loanFlows.reduce((sum, f) => sum + f.invested, 0);
+      const percentOfInvested = (amount) => (invested > 0 ? (amount / invested) * 100 : 0);
+      const curve = portfolioAnalytics.months(0, start, asOf).map((month, monthsOnBook) => {
+        const end = new Date(month.getFullYear(), month.getMonth() + 1, 1);
+        const toDate = loanFlows.filter(f => f.timestamp < end);
+        return {
+          monthsOnBook,
+          returnedPercent: percentOfInvested(toDate.reduce((sum, f) => sum + f.cashReceived, 0)),
+          chargedOffPercent: percentOfInvested(toDate.reduce((sum, f) => sum + f.chargeOffs, 0))
+        };
+      });
+      
+      return {
+        vintage: start.toLocaleDateString('en-US', { month: 'short', year: '2-digit' }),
+        loanCount: loans.length,
+        ...portfolioAnalytics.losses(loans, entries, userId),
+        curve
+      };
+    });
+  },
+  
+  // One row per month on book with a column per vintage, as the chart expects
+  vintageCurveData: (vintages, metric) => {
+    const length = Math.max(0, ...vintages.map(v => v.curve.length));
+    return Array.from({ length }, (_, monthsOnBook) => vintages.reduce((row, v) => (
+      v.curve[monthsOnBook] ? { ...row, [v.vintage]: Number(v.curve[monthsOnBook][metric].toFixed(2)) } : row
+    ), { monthsOnBook }));
+  },
+  
+  summarize: (series) => {
+    const total = (key) => roundCents(series.reduce((sum, m) => sum + m[key], 0));
+    return {
+      invested: total('invested'),
+      cashReceived: total('cashReceived'),
+      interest: total('interest'),
+      chargeOffs: total('chargeOffs'),
+      netReturn: total('netReturn'),
+      outstanding: series.length > 0 ? series[series.length - 1].outstanding : 0
+    };
+  }
+};
+
+const borrowerAnalytics = {
+  // Income and other debts as stated on the borrower's most recent application
+  statedFinances: (loans, requests) => {
+    const latest = [...[...loans].sort((a, b) => new Date(a.fundedDate) - new Date(b.fundedDate)), ...requests]
+      .filter(application => application.annualIncome > 0)
+      .pop();
+    return latest ? { annualIncome: latest.annualIncome, monthlyDebt: latest.monthlyDebt || 0 } : null;
+  },
+  
+  summarize: (loans, finances, asOf = clock.now()) => {
+    const open = loans.filter(servicing.isOpen);
+    const projections = open.map(loan => calculations.projectPayoff(loan));
+    const total = (values) => roundCents(values.reduce((sum, v) => sum + v, 0));
+    const monthlyPayments = total(projections.map(p => p.scheduledPayment));
+    
+    return {
+      loanCount: open.length,
+      principal: total(open.map(loan => loan.outstandingBalance || 0)),
+      totalDebt: total(open.map(loan => calculations.calculatePayoffAmount(loan, asOf))),
+      interestRemaining: total(projections.map(p => p.totalInterest)),
+      monthlyPayments,
+      payoffDate: projections.reduce((latest, p) => (p.payoffDate && (!latest || p.payoffDate > latest) ? p.payoffDate : latest), null),
+      debtToIncome: finances ? ((finances.monthlyDebt + monthlyPayments) / (finances.annualIncome / 12)) * 100 : null
+    };
+  },
+  
+  simulateExtraPayment: (loan, extraMonthly) => {
+    const current = calculations.projectPayoff(loan);
+    const withExtra = calculations.projectPayoff(loan, extraMonthly);
+    return {
+      current,
+      withExtra,
+      interestSaved: roundCents(current.totalInterest - withExtra.totalInterest),
+      monthsShortened: current.months - withExtra.months,
+      // One row per remaining due date, as the chart expects
+      balances: current.balances.map((row, i) => ({
+        month: row.dueDate.toLocaleDateString('en-US', { month: 'short', year: '2-digit' }),
+        current: row.balance,
+        withExtra: withExtra.balances[i]?.balance ?? 0
+      }))
+    };
+  }
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS - PERSISTENCE
+// ============================================================================
+
+const STORAGE_KEY = 'p2p-lending-state';
+const SCHEMA_VERSION = 17;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z$/;
+
+// Each entry upgrades persisted data from the previous version to its key
+const migrations = {
+  // v2: balances moved from users into the ledger
+  2: (data) => ({
+    ...data,
+    users: data.users.map(({ accountBalance: _accountBalance, ...user }) => user),
+    ledgerEntries: data.users
+      .filter(u => u.accountBalance)
+      .map(u => ledger.openingBalance(u.id, u.accountBalance, u.accountCreated))
+  }),
+  // v3: simulated clock offset
+  3: (data) => ({ ...data, clockOffset: 0 }),
+  // v4: fractional funding; requests collect commitments and loans carry notes
+  4: (data) => ({
+    ...data,
+    loanRequests: data.loanRequests.map(request => ({
+      ...request,
+      commitments: [],
+      fundingDeadline: new Date(clock.now().getTime() + FUNDING_CONFIG.fundingWindowDays * MS_PER_DAY)
+    })),
+    fundedLoans: data.fundedLoans.map(({ lenderId, ...loan }) => ({
+      ...loan,
+      notes: [{ holderId: lenderId, holderName: loan.lenderName, amount: loan.amount }]
+    }))
+  }),
+  // v5: auto-invest decision log
+  5: (data) => ({ ...data, autoInvestLog: [] }),
+  // v6: secondary market listings
+  6: (data) => ({ ...data, noteListings: [] }),
+  // v7: plaintext passwords replaced with hashes. Signup never created users before this
+  // version, so every stored user is a seeded demo account and takes its seeded hash.
+  7: (data) => ({
+    ...data,
+    users: data.users.map(({ password: _password, ...user }) => ({
+      ...user,
+      passwordHash: initialUsers.find(u => u.id === user.id)?.passwordHash || null
+    })),
+    session: null
+  }),
+  // v8: roles and suspension. Seeded users take their seeded roles, anyone else keeps
+  // acting as both lender and borrower, and the admin account is added.
+  8: (data) => ({
+    ...data,
+    users: [
+      ...data.users.map(user => ({
+        ...user,
+        roles: initialUsers.find(u => u.id === user.id)?.roles || ['lender', 'borrower'],
+        suspended: false
+      })),
+      ...initialUsers.filter(seed => access.hasRole(seed, 'admin') && !data.users.some(u => u.id === seed.id))
+    ]
+  }),
+  // v9: TOTP enrollment and platform settings
+  9: (data) => ({
+    ...data,
+    users: data.users.map(user => ({ ...user, mfa: null })),
+    platformSettings: initialPlatformSettings
+  }),
+  // v10: KYC review. Accounts already marked verified are treated as approved.
+  10: (data) => ({
+    ...data,
+    users: data.users.map(user => ({ ...user, kycStatus: user.verified ? 'approved' : 'unverified' })),
+    kycSubmissions: []
+  }),
+  // v11: risk-based pricing enforcement setting
+  11: (data) => ({
+    ...data,
+    platformSettings: { ...data.platformSettings, pricingEnforcement: initialPlatformSettings.pricingEnforcement }
+  }),
+  // v12: reports shared before consent tracking get a full-scope consent from the day they were shared
+  12: (data) => ({
+    ...data,
+    creditReportRequests: data.creditReportRequests.map(r => r.status === 'approved' && !r.consent ? {
+      ...r,
+      consent: {
+        grantedBy: r.borrowerId,
+        grantedAt: r.timestamp,
+        scope: 'full',
+        expiresAt: new Date(new Date(r.timestamp).getTime() + CONSENT_CONFIG.defaultDurationDays * MS_PER_DAY)
+      }
+    } : r)
+  }),
+  // v13: credit bureau pull history
+  13: (data) => ({ ...data, creditPulls: [] }),
+  // v14: one-shot counter offers become negotiation threads with a single lender proposal
+  14: (data) => ({
+    ...data,
+    negotiations: data.negotiations.map(n => n.rounds ? n : {
+      id: n.id,
+      loanId: n.loanId,
+      lenderId: n.lenderId,
+      lenderName: n.lenderName,
+      borrowerId: n.borrowerId,
+      borrowerName: n.borrowerName,
+      original: { amount: n.originalAmount, interestRate: n.originalRate, duration: n.originalDuration },
+      rounds: [{
+        id: `${n.id}-1`,
+        by: n.lenderId,
+        byName: n.lenderName,
+        role: 'lender',
+        amount: n.counterAmount,
+        interestRate: n.counterRate,
+        duration: n.counterDuration,
+        message: '',
+        createdAt: n.timestamp,
+        expiresAt: new Date(new Date(n.timestamp).getTime() + NEGOTIATION_CONFIG.offerExpiryHours * 60 * 60 * 1000)
+      }],
+      status: 'open',
+      timestamp: n.timestamp
+    })
+  }),
+  // v15: agreed terms are held by a cash reservation; earlier locks held no cash and are released
+  15: (data) => ({
+    ...data,
+    loanRequests: data.loanRequests.map(({ lockedTo: _lockedTo, ...request }) => request)
+  }),
+  // v16: loans that defaulted before charge-offs were posted have their receivables written off, dated
+  // when they defaulted. That date wasn't recorded, so it is rebuilt from the first missed installment
+  // and the 121 days past due that meant default at this version.
+  16: (data) => {
+    const balanceOf = (account) => roundCents(data.ledgerEntries.reduce((sum, entry) =>
+      sum + entry.postings.filter(p => p.account === account).reduce((total, p) => total + p.amount, 0), 0));
+    const defaultedAt = (loan) => {
+      const firstMissedDue = new Date(loan.fundedDate);
+      firstMissedDue.setMonth(firstMissedDue.getMonth() + (loan.paymentsMade || 0) + 1);
+      return new Date(firstMissedDue.getTime() + 121 * MS_PER_DAY);
+    };
+    
+    const chargeOffs = data.fundedLoans
+      .filter(loan => loan.status === 'defaulted')
+      .filter(loan => !data.ledgerEntries.some(e => e.type === 'charge_off' && e.loanId === loan.id))
+      .map(loan => {
+        const losses = loan.notes
+          .map(note => ({ holderId: note.holderId, principal: balanceOf(`receivable:${loan.id}:${note.holderId}`) }))
+          .filter(l => l.principal > 0);
+        const principal = roundCents(losses.reduce((sum, l) => sum + l.principal, 0));
+        return {
+          id: `migration-16-${loan.id}`,
+          type: 'charge_off',
+          timestamp: loan.defaultedAt || defaultedAt(loan),
+          postings: [
+            ...losses.map(l => ({ account: `receivable:${loan.id}:${l.holderId}`, amount: -l.principal })),
+            { account: 'charge_offs', amount: principal }
+          ],
+          loanId: loan.id,
+          principal,
+          losses
+        };
+      })
+      .filter(entry => entry.principal > 0);
+    
+    return { ...data, ledgerEntries: [...data.ledgerEntries, ...chargeOffs] };
+  },
+  // v17: listings keep only the grade and probability of default, not factor values from the borrower's report
+  17: (data) => ({
+    ...data,
+    loanRequests: data.loanRequests.map(r => r.underwriting ? { ...r, underwriting: underwriting.listingSummary(r.underwriting) } : r),
+    fundedLoans: data.fundedLoans.map(l => l.underwriting ? { ...l, underwriting: underwriting.listingSummary(l.underwriting) } : l)
+  })
+};
+
+const persistence = {
+  serialize: (snapshot) => JSON.stringify(snapshot),
+  
+  deserialize: (raw) => JSON.parse(raw, (_key, value) =>
+    typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : value
+  ),
+  
+  createSnapshot: (data) => ({ version: SCHEMA_VERSION, savedAt: new Date(), data }),
+  
+  // KYC documents used to be saved inline in the snapshot; they move to document storage on load.
+  // If that fails they stay inline rather than being lost.
+  moveInlineDocuments: (storage, data) => {
+    const inline = (data.kycSubmissions || []).filter(sub => sub.document?.dataUrl);
+    if (inline.length === 0) return Promise.resolve(data);
+    
+    return Promise.all(inline.map(sub => storage.saveDocument(sub.id, sub.document)))
+      .then(() => ({
+        ...data,
+        kycSubmissions: data.kycSubmissions.map(sub => {
+          if (!sub.document?.dataUrl) return sub;
+          const { dataUrl: _dataUrl, ...document } = sub.document;
+          return { ...sub, document };
+        })
+      }))
+      .catch(() => data);
+  },
+  
+  migrate: (snapshot) => {
+    if (!snapshot || !snapshot.data) return null;
+    let version = snapshot.version || 0;
+    let data = snapshot.data;
+    
+    // A snapshot written by a newer build can't be read safely
+    if (version > SCHEMA_VERSION) return null;
+    
+    while (version < SCHEMA_VERSION) {
+      const migration = migrations[version + 1];
+      if (!migration) throw new Error(`No migration to schema version ${version + 1}`);
+      data = migration(data);
+      version += 1;
+    }
+    return data;
+  }
+};
+
+const STORAGE_ERRORS = {
+  // Saving stays off after a failed restore so the stored data is kept until the user resets
+  restore: 'Your saved data could not be restored. Nothing will be saved until you reset the demo.',
+  newerVersion: 'Your saved data is from a newer version of this app. Nothing will be saved until you reset the demo.',
+  save: 'Your latest changes could not be saved. They will be lost when this page is closed.',
+  clear: 'Saved data could not be cleared.'
+};
+
+const storageAdapters = {
+  // Storage errors such as a full quota surface as rejected promises rather than throws.
+  // Uploaded documents are kept under their own keys so the snapshot only carries references.
+  localStorage: (key = STORAGE_KEY) => {
+    const documentPrefix = `${key}:document:`;
+    const read = (itemKey) => {
+      const raw = globalThis.localStorage.getItem(itemKey);
+      return raw ? persistence.deserialize(raw) : null;
+    };
+    
+    return {
+      load: () => Promise.resolve().then(() => read(key)),
+      save: (snapshot) => Promise.resolve().then(() => {
+        globalThis.localStorage.setItem(key, persistence.serialize(snapshot));
+      }),
+      loadDocument: (id) => Promise.resolve().then(() => read(documentPrefix + id)),
+      saveDocument: (id, document) => Promise.resolve().then(() => {
+        globalThis.localStorage.setItem(documentPrefix + id, persistence.serialize(document));
+      }),
+      clear: () => Promise.resolve().then(() => {
+        for (let i = globalThis.localStorage.length - 1; i >= 0; i--) {
+          const itemKey = globalThis.localStorage.key(i);
+          if (itemKey === key || itemKey.startsWith(documentPrefix)) globalThis.localStorage.removeItem(itemKey);
+        }
+      })
+    };
+  },
+  
+  indexedDB: (dbName = STORAGE_KEY, storeName = 'snapshots', key = 'current') => {
+    let dbPromise = null;
+    
+    const openDatabase = () => {
+      if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+          const request = globalThis.indexedDB.open(dbName, 1);
+          request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return dbPromise;
+    };
+    
+    const runTransaction = (mode, operation) => openDatabase().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    }));
+    
+    return {
+      load: () => runTransaction('readonly', store => store.get(key))
+        .then(raw => (raw ? persistence.deserialize(raw) : null)),
+      save: (snapshot) => runTransaction('readwrite', store => store.put(persistence.serialize(snapshot), key))
+        .then(() => undefined),
+      loadDocument: (id) => runTransaction('readonly', store => store.get(`document:${id}`))
+        .then(raw => (raw ? persistence.deserialize(raw) : null)),
+      saveDocument: (id, document) => runTransaction('readwrite', store => store.put(persistence.serialize(document), `document:${id}`))
+        .then(() => undefined),
+      // The store holds nothing but this app's snapshot and documents
+      clear: () => runTransaction('readwrite', store => store.clear())
+        .then(() => undefined)
+    };
+  },
+  
+  memory: () => {
+    let raw = null;
+    const documents = new Map();
+    return {
+      load: () => Promise.resolve(raw ? persistence.deserialize(raw) : null),
+      save: (snapshot) => {
+        raw = persistence.serialize(snapshot);
+        return Promise.resolve();
+      },
+      loadDocument: (id) => Promise.resolve(documents.has(id) ? persistence.deserialize(documents.get(id)) : null),
+      saveDocument: (id, document) => {
+        documents.set(id, persistence.serialize(document));
+        return Promise.resolve();
+      },
+      clear: () => {
+        raw = null;
+        documents.clear();
+        return Promise.resolve();
+      }
+    };
+  },
+  
+  createDefault: () => {
+    if (globalThis.indexedDB) return storageAdapters.indexedDB();
+    if (globalThis.localStorage) return storageAdapters.localStorage();
+    return storageAdapters.memory();
+  }
+};
+
+const defaultStorage = storageAdapters.createDefault();
+
+// ============================================================================
+// CUSTOM HOOKS
+// ============================================================================
+
+const useNotifications = () => {
+  const { notifications, setNotifications, currentUser } = useContext(AppContext);
+  
+  const addNotification = (userId, type, message) => {
+    setNotifications(prev => [...prev, { 
+      id: generateId(), 
       userId, 
       type, 
       message, 
       isRead: false, 
-      timestamp: new Date() 
+      timestamp: clock.now() 
+    }]);
+  };
+  
+  const markAsRead = (id) => {
+    setNotifications(prev => prev.map(n => n.id === id ? { ...n, isRead: true } : n));
+  };
+  
+  const dismissAll = () => {
+    setNotifications(prev => prev.map(n => 
+      n.userId === currentUser?.id ? { ...n, isRead: true } : n
+    ));
+  };
+  
+  const userNotifications = useMemo(() => 
+    notifications.filter(n => n.userId === currentUser?.id && !n.isRead),
+    [notifications, currentUser]
+  );
+  
+  return { addNotification, markAsRead, dismissAll, userNotifications };
+};
+
+const useLoanHistory = () => {
+  const { loanHistory, setLoanHistory, currentUser } = useContext(AppContext);
+  
+  const addHistory = (userId, action, loan) => {
+    setLoanHistory(prev => [...prev, {
+      id: generateId(), 
+      userId, 
+      action, 
+      loanId: loan.id,
+      amount: loan.amount, 
+      timestamp: clock.now()
+    }]);
+  };
+  
+  const getUserHistory = useMemo(() => 
+    loanHistory.filter(h => h.userId === currentUser?.id).slice(-10),
+    [loanHistory, currentUser]
+  );
+  
+  return { addHistory, getUserHistory };
+};
+
+const useLedger = () => {
+  const { ledgerEntries, setLedgerEntries, currentUser } = useContext(AppContext);
+  
+  const postEntry = (entry) => {
+    setLedgerEntries(prev => [...prev, entry]);
+  };
+  
+  const getUserStatement = useMemo(() =>
+    ledger.statement(ledgerEntries, currentUser?.id),
+    [ledgerEntries, currentUser]
+  );
+  
+  return { postEntry, getUserStatement };
+};
+
+const useFunding = () => {
+  const { loanRequests, setLoanRequests, setUsers, setFundedLoans, setNegotiations, setCreditReportRequests } = useContext(AppContext);
+  const { addNotification } = useNotifications();
+  const { addHistory } = useLoanHistory();
+  const { postEntry } = useLedger();
+  
+  const activateLoan = (request, commitments) => {
+    const notes = loanNotes.fromCommitments(commitments);
+    const amount = roundCents(notes.reduce((sum, n) => sum + n.amount, 0));
+    
+    // The borrower must have acknowledged a disclosure for exactly the terms being issued
+    const disclosure = request.disclosure;
+    if (!disclosure?.acknowledgedAt || !disclosures.matches(disclosure, { ...request, amount })) {
+      holdForAcknowledgment(request, commitments, amount);
+      return;
+    }
+    
+    const fee = roundCents(amount * PLATFORM_FEE_RATE);
+    const net = amount - fee;
+    
+    const fundedLoan = {
+      ...request,
+      id: generateId(),
+      requestId: request.id,
+      amount,
+      notes,
+      lenderName: loanNotes.lenderLabel(notes),
+      status: 'active',
+      fundedDate: clock.now(),
+      outstandingBalance: amount,
+      unpaidInterest: 0,
+      dayCountConvention: DAY_COUNT_CONVENTION,
+      totalPayments: request.duration,
+      paymentsMade: 0
+    };
+    
+    postEntry(ledger.loanFunding(fundedLoan, request.id, fee));
+    setUsers(prev => prev.map(u => {
+      const note = notes.find(n => n.holderId === u.id);
+      if (note) {
+        return {
+          ...u,
+          totalInvested: u.totalInvested + note.amount,
+          loansFunded: [...u.loansFunded, fundedLoan.id]
+        };
+      }
+      if (u.id === request.borrowerId) {
+        return {
+          ...u,
+          loansBorrowed: [...u.loansBorrowed, fundedLoan.id]
+        };
+      }
+      return u;
+    }));
+    
+    setFundedLoans(prev => [...prev, fundedLoan]);
+    setLoanRequests(prev => prev.filter(l => l.id !== request.id));
+    setNegotiations(prev => negotiationThreads.closeForLoan(prev, request.id, 'funded'));
+    setCreditReportRequests(prev => consents.closeForLoan(prev, request.id, 'funded'));
+    notes.forEach(note => {
+      addHistory(note.holderId, 'funded', { ...fundedLoan, amount: note.amount });
+      addNotification(note.holderId, 'loan_funded', `Loan to ${request.borrowerName} is funded and now active ($${note.amount.toLocaleString()} note)`);
+    });
+    addNotification(request.borrowerId, 'loan_funded', `Loan funded! $${net.toFixed(2)} deposited (after 1.5% fee)`);
+  };
+  
+  // Commitments stay in escrow while the borrower reviews a disclosure for the final terms
+  const holdForAcknowledgment = (request, commitments, amount) => {
+    const held = {
+      ...request,
+      commitments,
+      status: 'awaiting_acknowledgment',
+      disclosure: disclosures.build({ ...request, amount }),
+      acknowledgmentDeadline: new Date(clock.now().getTime() + DISCLOSURE_CONFIG.acknowledgmentWindowDays * MS_PER_DAY)
+    };
+    setLoanRequests(prev => prev.some(l => l.id === request.id)
+      ? prev.map(l => l.id === request.id ? held : l)
+      : [...prev, held]);
+    addNotification(request.borrowerId, 'loan_funded', `Your $${amount.toLocaleString()} loan is funded. Review and acknowledge the loan disclosure in My Loans to receive the funds.`);
+  };
+  
+  // Holds the lender's cash for the whole request; nobody else can fund it while the reservation stands
+  const reserveRequest = (request, lender, negotiationId) => {
+    if (!access.can(lender, 'fund_loans') || !kyc.isVerified(lender)) {
+      return `${lender.name} can't fund loans right now`;
+    }
+    if (lender.accountBalance < request.amount) {
+      return `${lender.name} doesn't have $${request.amount.toLocaleString()} available to reserve`;
+    }
+    
+    const reservation = {
+      lenderId: lender.id,
+      lenderName: lender.name,
+      amount: request.amount,
+      negotiationId,
+      heldAt: clock.now(),
+      expiresAt: new Date(clock.now().getTime() + FUNDING_CONFIG.reservationHours * 60 * 60 * 1000)
+    };
+    postEntry(ledger.reservationHold(request, lender.id, request.amount));
+    setLoanRequests(prev => prev.map(l => l.id === request.id ? { ...request, status: 'reserved', reservation } : l));
+    addNotification(lender.id, 'loan_funded', `$${request.amount.toLocaleString()} is reserved for ${request.borrowerName}'s loan. Confirm funding by ${reservation.expiresAt.toLocaleString()} or the hold is released.`);
+    return null;
+  };
+  
+  // The held cash becomes the lender's commitment, which covers the full request
+  const confirmReservation = (requestId, lender) => {
+    const request = loanRequests.find(l => l.id === requestId);
+    if (!request || request.status !== 'reserved' || request.reservation.lenderId !== lender.id) {
+      addNotification(lender.id, 'error', 'There is no reservation waiting for you on this loan');
+      return false;
+    }
+    
+    const commitments = [{
+      lenderId: lender.id,
+      lenderName: lender.name,
+      amount: request.reservation.amount,
+      timestamp: clock.now()
+    }];
+    activateLoan({ ...request, status: 'pending', reservation: null }, commitments);
+    return true;
+  };
+  
+  const releaseReservation = (request, reason) => {
+    const { reservation } = request;
+    postEntry(ledger.reservationRelease(request, reservation.lenderId, reservation.amount));
+    setLoanRequests(prev => prev.map(l => l.id === request.id ? { ...l, status: 'pending', reservation: null } : l));
+    addNotification(reservation.lenderId, 'withdraw', `Reservation on ${request.borrowerName}'s loan ${reason}; $${reservation.amount.toLocaleString()} returned to your balance`);
+    addNotification(request.borrowerId, 'error', `${reservation.lenderName}'s reservation on your loan request ${reason}; it is open to other lenders again`);
+  };
+  
+  const declineReservation = (requestId, lender) => {
+    const request = loanRequests.find(l => l.id === requestId);
+    if (!request || request.status !== 'reserved' || request.reservation.lenderId !== lender.id) return false;
+    releaseReservation(request, 'was declined');
+    return true;
+  };
+  
+  const acknowledgeDisclosure = (requestId, borrower) => {
+    const request = loanRequests.find(l => l.id === requestId);
+    if (!request || request.status !== 'awaiting_acknowledgment' || request.borrowerId !== borrower.id) {
+      addNotification(borrower.id, 'error', 'This loan is no longer awaiting your acknowledgment');
+      return false;
+    }
+    activateLoan({ ...request, disclosure: disclosures.acknowledge(request.disclosure, borrower.id) }, request.commitments);
+    return true;
+  };
+  
+  const commitFunds = (requestId, lender, amount) => {
+    if (!access.can(lender, 'fund_loans')) {
+      addNotification(lender.id, 'error', 'Your account is not enabled for lending');
+      return false;
+    }
+    if (!kyc.isVerified(lender)) {
+      addNotification(lender.id, 'error', 'Verify your identity before funding loans');
+      return false;
+    }
+    
+    const request = loanRequests.find(l => l.id === requestId);
+    if (!request || request.status !== 'pending') {
+      addNotification(lender.id, 'error', 'This loan request is no longer open for funding');
+      return false;
+    }
+    
+    const error = funding.validateCommitment(request, amount, lender.accountBalance);
+    if (error) {
+      addNotification(lender.id, 'error', error);
+      return false;
+    }
+    
+    const commitments = [...(request.commitments || []), {
+      lenderId: lender.id,
+      lenderName: lender.name,
+      amount,
+      timestamp: clock.now()
+    }];
+    
+    postEntry(ledger.fundingCommitment(request, lender.id, amount));
+    addNotification(lender.id, 'loan_funded', `Committed $${amount.toLocaleString()} to ${request.borrowerName}'s loan`);
+    
+    if (funding.remainingAmount({ ...request, commitments }) === 0) {
+      activateLoan(request, commitments);
+      return true;
+    }
+    
+    setLoanRequests(prev => prev.map(l => l.id === request.id ? { ...l, commitments } : l));
+    addNotification(request.borrowerId, 'loan_funded', `${lender.name} committed $${amount.toLocaleString()} to your loan request (${funding.fundedPercent({ ...request, commitments }).toFixed(0)}% funded)`);
+    return true;
+  };
+  
+  // Lists a new request, activating it straight away if its initial commitments cover the amount
+  const openRequest = (request, commitments = []) => {
+    const listed = { ...request, commitments };
+    commitments.forEach(c => postEntry(ledger.fundingCommitment(listed, c.lenderId, c.amount)));
+    
+    if (commitments.length > 0 && funding.remainingAmount(listed) === 0) {
+      activateLoan(listed, commitments);
+      return;
+    }
+    setLoanRequests(prev => [...prev, listed]);
+  };
+  
+  // Requests past their deadline are issued if the borrower accepted partial funding and enough was raised,
+  // otherwise commitments are returned
+  const runFundingExpiry = (asOf = clock.now()) => {
+    loanRequests.filter(request => funding.isReservationExpired(request, asOf)).forEach(request => {
+      releaseReservation(request, 'expired before it was confirmed');
+    });
+    
+    loanRequests.filter(request => disclosures.isAcknowledgmentExpired(request, asOf)).forEach(request => {
+      closeRequest(request, 'expired');
+      addNotification(request.borrowerId, 'error', `Your $${request.amount.toLocaleString()} loan was not acknowledged in time and has been cancelled`);
+    });
+    
+    loanRequests.filter(request => funding.isExpired(request, asOf)).forEach(request => {
+      const commitments = request.commitments || [];
+      const committed = funding.committedAmount(request);
+      
+      if (request.acceptsPartialFunding && committed > 0 && committed >= request.amount * FUNDING_CONFIG.minFundedPercentToIssue / 100) {
+        activateLoan(request, commitments);
+        return;
+      }
+      
+      closeRequest(request, 'expired');
+      addNotification(request.borrowerId, 'error', `Your loan request for $${request.amount.toLocaleString()} expired before it was funded`);
+    });
+  };
+  
+  // Returns every commitment to its lender and closes the request with the given status
+  const closeRequest = (request, status) => {
+    setCreditReportRequests(prev => consents.closeForLoan(prev, request.id, status));
+    setNegotiations(prev => negotiationThreads.closeForLoan(prev, request.id, status));
+    if (request.status === 'reserved') {
+      const { reservation } = request;
+      postEntry(ledger.reservationRelease(request, reservation.lenderId, reservation.amount));
+      addNotification(reservation.lenderId, 'withdraw', `Loan request for ${request.borrowerName} ${status}; your $${reservation.amount.toLocaleString()} reservation was released`);
+    }
+    (request.commitments || []).forEach(c => {
+      postEntry(ledger.commitmentRefund(request, c.lenderId, c.amount));
+      addNotification(c.lenderId, 'withdraw', `Loan request for ${request.borrowerName} ${status}; $${c.amount.toLocaleString()} returned to your balance`);
+    });
+    setLoanRequests(prev => prev.map(l => l.id === request.id ? { ...l, status, commitments: [], reservation: null } : l));
+  };
+  
+  const cancelRequest = (requestId, reason) => {
+    const request = loanRequests.find(l => l.id === requestId);
+    if (!request || !['pending', 'reserved', 'awaiting_acknowledgment'].includes(request.status)) return false;
+    
+    closeRequest(request, 'cancelled');
+    addNotification(request.borrowerId, 'error', `Your loan request for $${request.amount.toLocaleString()} was cancelled: ${reason}`);
+    return true;
+  };
+  
+  return { commitFunds, openRequest, cancelRequest, reserveRequest, confirmReservation, declineReservation, acknowledgeDisclosure, runFundingExpiry };
+};
+
+const useUnderwriting = () => {
+  const { fundedLoans, creditReportRequests, creditPulls, setLoanRequests } = useContext(AppContext);
+  
+  // The latest bureau pull is the report of record; older data may only have a report shared with a lender
+  const latestReport = (borrowerId) =>
+    creditPulls.filter(p => p.userId === borrowerId).slice(-1)[0]?.report ||
+    creditReportRequests
+      .filter(r => r.borrowerId === borrowerId && consents.isActive(r) && r.creditReport)
+      .slice(-1)[0]?.creditReport || null;
+  
+  const assess = (borrower, terms, report = latestReport(borrower.id)) => underwriting.assess({
+    ...terms,
+    creditScore: borrower.creditScore,
+    report,
+    platformLoans: fundedLoans.filter(l => l.borrowerId === borrower.id)
+  });
+  
+  // Re-grades the borrower's open requests, e.g. after they share a new credit report. A listed
+  // request stays up under a new grade; only its pricing flag changes.
+  const reassessOpenRequests = (borrower, report) => {
+    setLoanRequests(prev => prev.map(request => {
+      if (request.borrowerId !== borrower.id || request.status !== 'pending') return request;
+      const assessment = assess(borrower, request, report);
+      return {
+        ...request,
+        riskRating: assessment.grade,
+        underwriting: underwriting.listingSummary(assessment),
+        pricingFlag: pricing.check(request, assessment.grade).flag
+      };
+    }));
+  };
+  
+  return { assess, reassessOpenRequests };
+};
+
+const useAutoInvest = () => {
+  const { users, setUsers, currentUser, autoInvestLog, setAutoInvestLog } = useContext(AppContext);
+  const { addNotification } = useNotifications();
+  
+  const saveRules = (userId, rules) => {
+    setUsers(prev => prev.map(u => u.id === userId ? { ...u, autoInvest: rules } : u));
+  };
+  
+  // Matches a new request against every enabled lender and returns the commitments they make
+  const matchRequest = (request) => {
+    let matched = { ...request, commitments: request.commitments || [] };
+    const decisions = [];
+    
+    users
+      .filter(u => u.id !== request.borrowerId && u.autoInvest?.enabled && access.can(u, 'auto_invest') && kyc.isVerified(u))
+      .forEach(lender => {
+        const decision = autoInvest.evaluate(lender.autoInvest, lender, matched);
+        decisions.push({
+          id: generateId(),
+          timestamp: clock.now(),
+          lenderId: lender.id,
+          loanRequestId: request.id,
+          borrowerName: request.borrowerName,
+          loanAmount: request.amount,
+          riskRating: request.riskRating,
+          ...decision
+        });
+        
+        if (decision.invested) {
+          matched = {
+            ...matched,
+            commitments: [...matched.commitments, {
+              lenderId: lender.id,
+              lenderName: lender.name,
+              amount: decision.amount,
+              timestamp: clock.now(),
+              autoInvested: true
+            }]
+          };
+          addNotification(lender.id, 'loan_funded', `Auto-invest committed $${decision.amount.toLocaleString()} to ${request.borrowerName}'s loan`);
+        }
+      });
+    
+    if (decisions.length > 0) setAutoInvestLog(prev => [...prev, ...decisions]);
+    return matched.commitments;
+  };
+  
+  const userLog = useMemo(() =>
+    autoInvestLog.filter(d => d.lenderId === currentUser?.id).slice(-50).reverse(),
+    [autoInvestLog, currentUser]
+  );
+  
+  return { saveRules, matchRequest, userLog };
+};
+
+const useSecondaryMarket = () => {
+  const { setUsers, fundedLoans, setFundedLoans, ledgerEntries, noteListings, setNoteListings } = useContext(AppContext);
+  const { addNotification } = useNotifications();
+  const { addHistory } = useLoanHistory();
+  const { postEntry } = useLedger();
+  
+  // Prices are recomputed from the current receivable so listings track repayments
+  const quote = (listing) => {
+    const loan = fundedLoans.find(l => l.id === listing.loanId);
+    if (!loan) return null;
+    const parValue = secondaryMarket.parValue(ledgerEntries, loan, listing.sellerId);
+    const price = secondaryMarket.askPrice(parValue, listing.markupPercent);
+    const yieldToMaturity = calculations.yieldToMaturity(price, secondaryMarket.cashFlows(loan, listing.sellerId));
+    return { loan, parValue, price, yieldToMaturity };
+  };
+  
+  const openListings = useMemo(() =>
+    noteListings.filter(listing => listing.status === 'open'),
+    [noteListings]
+  );
+  
+  const listNote = (loan, seller, markupPercent) => {
+    if (!access.can(seller, 'trade_notes')) {
+      addNotification(seller.id, 'error', 'Your account is not enabled for trading notes');
+      return false;
+    }
+    const error = secondaryMarket.validateMarkup(markupPercent);
+    if (error) {
+      addNotification(seller.id, 'error', error);
+      return false;
+    }
+    if (!secondaryMarket.canList(loan, seller.id)) {
+      addNotification(seller.id, 'error', 'Only notes in active loans can be listed');
+      return false;
+    }
+    if (openListings.some(l => l.loanId === loan.id && l.sellerId === seller.id)) {
+      addNotification(seller.id, 'error', 'This note is already listed');
+      return false;
+    }
+    
+    setNoteListings(prev => [...prev, {
+      id: generateId(),
+      loanId: loan.id,
+      sellerId: seller.id,
+      sellerName: seller.name,
+      markupPercent,
+      status: 'open',
+      listedAt: clock.now()
+    }]);
+    addNotification(seller.id, 'loan_funded', `Note in ${loan.borrowerName}'s loan listed for sale`);
+    return true;
+  };
+  
+  const cancelListing = (listingId) => {
+    setNoteListings(prev => prev.map(l => l.id === listingId ? { ...l, status: 'cancelled' } : l));
+  };
+  
+  const buyNote = (listingId, buyer) => {
+    const listing = openListings.find(l => l.id === listingId);
+    const current = listing && quote(listing);
+    if (!current || !secondaryMarket.canList(current.loan, listing.sellerId)) {
+      addNotification(buyer.id, 'error', 'This listing is no longer available');
+      return false;
+    }
+    
+    const { loan, parValue, price } = current;
+    if (listing.sellerId === buyer.id) {
+      addNotification(buyer.id, 'error', 'You cannot buy your own note');
+      return false;
+    }
+    if (loan.borrowerId === buyer.id) {
+      addNotification(buyer.id, 'error', 'You cannot buy a note in your own loan');
+      return false;
+    }
+    if (!access.can(buyer, 'trade_notes')) {
+      addNotification(buyer.id, 'error', 'Your account is not enabled for trading notes');
+      return false;
+    }
+    if (!kyc.isVerified(buyer)) {
+      addNotification(buyer.id, 'error', 'Verify your identity before buying notes');
+      return false;
+    }
+    if (buyer.accountBalance < price) {
+      addNotification(buyer.id, 'error', 'Insufficient balance');
+      return false;
+    }
+    
+    postEntry(ledger.noteSale(loan, listing.sellerId, buyer.id, parValue, price));
+    
+    const notes = loanNotes.transfer(loan.notes, listing.sellerId, buyer);
+    setFundedLoans(prev => prev.map(l =>
+      l.id === loan.id ? { ...l, notes, lenderName: loanNotes.lenderLabel(notes) } : l
+    ));
+    
+    // A sale above or below par is the seller's realized gain or loss
+    setUsers(prev => prev.map(u => {
+      if (u.id === listing.sellerId) {
+        return {
+          ...u,
+          totalReturns: roundCents(u.totalReturns + price - parValue),
+          loansFunded: u.loansFunded.filter(id => id !== loan.id)
+        };
+      }
+      if (u.id === buyer.id) {
+        return {
+          ...u,
+          totalInvested: roundCents(u.totalInvested + price),
+          loansFunded: u.loansFunded.includes(loan.id) ? u.loansFunded : [...u.loansFunded, loan.id]
+        };
+      }
+      return u;
+    }));
+    
+    setNoteListings(prev => prev.map(l => l.id === listingId ? {
+      ...l,
+      status: 'sold',
+      buyerId: buyer.id,
+      buyerName: buyer.name,
+      price,
+      soldAt: clock.now()
+    } : l));
+    
+    addHistory(buyer.id, 'note_bought', { ...loan, amount: price });
+    addHistory(listing.sellerId, 'note_sold', { ...loan, amount: price });
+    addNotification(buyer.id, 'payment_received', `Bought note in ${loan.borrowerName}'s loan for $${price.toFixed(2)}`);
+    addNotification(listing.sellerId, 'payment_received', `${buyer.name} bought your note in ${loan.borrowerName}'s loan for $${price.toFixed(2)}`);
+    return true;
+  };
+  
+  return { quote, openListings, listNote, cancelListing, buyNote };
+};
+
+const useNegotiations = () => {
+  const { currentUser, users, negotiations, setNegotiations, loanRequests, platformSettings } = useContext(AppContext);
+  const { addNotification } = useNotifications();
+  const { addHistory } = useLoanHistory();
+  const { assess } = useUnderwriting();
+  const { reserveRequest } = useFunding();
+  
+  const counterpartyId = (thread) => thread.lenderId === currentUser.id ? thread.borrowerId : thread.lenderId;
+  const updateThread = (threadId, changes) => {
+    setNegotiations(prev => prev.map(t => t.id === threadId ? { ...t, ...changes } : t));
+  };
+  
+  // Terms can only move while the request is open, unlocked and nobody has committed funds
+  const negotiableError = (request) => {
+    if (!request || request.status !== 'pending') return 'This loan request is no longer open for negotiation';
+    if (funding.committedAmount(request) > 0) return 'Terms cannot change once lenders have committed funds';
+    return null;
+  };
+  
+  // Finds a thread the current user must answer, reporting why not otherwise
+  const respondable = (threadId) => {
+    const thread = negotiations.find(t => t.id === threadId);
+    const request = thread && loanRequests.find(l => l.id === thread.loanId);
+    const error = !thread || !negotiationThreads.isOpen(thread)
+      ? 'This negotiation is no longer open'
+      : negotiationThreads.awaitingUserId(thread) !== currentUser.id
+        ? 'Waiting for the other side to respond'
+        : negotiableError(request);
+    if (error) {
+      addNotification(currentUser.id, 'error', error);
+      return null;
+    }
+    return { thread, request };
+  };
+  
+  const openThread = (loan, offer) => {
+    const request = loanRequests.find(l => l.id === loan.id);
+    const error = negotiableError(request) ||
+      (negotiations.some(t => t.loanId === loan.id && t.lenderId === currentUser.id && negotiationThreads.isOpen(t))
+        ? 'You already have an open negotiation on this loan'
+        : null);
+    if (error) {
+      addNotification(currentUser.id, 'error', error);
+      return false;
+    }
+    
+    setNegotiations(prev => [...prev, negotiationThreads.create(request, currentUser, offer)]);
+    addNotification(request.borrowerId, 'counter_offer', `${currentUser.name} made a counter offer on your loan request`);
+    addNotification(currentUser.id, 'counter_offer', 'Counter offer submitted successfully');
+    addHistory(currentUser.id, 'counter_offered', request);
+    return true;
+  };
+  
+  const counter = (threadId, offer) => {
+    const found = respondable(threadId);
+    if (!found) return false;
+    const { thread, request } = found;
+    if (thread.rounds.length >= NEGOTIATION_CONFIG.maxRounds) {
+      addNotification(currentUser.id, 'error', `Negotiations are limited to ${NEGOTIATION_CONFIG.maxRounds} proposals; accept or reject the latest one`);
+      return false;
+    }
+    
+    const role = thread.lenderId === currentUser.id ? 'lender' : 'borrower';
+    updateThread(threadId, { rounds: [...thread.rounds, negotiationThreads.round(currentUser, role, offer)] });
+    addNotification(counterpartyId(thread), 'counter_offer', `${currentUser.name} sent a new proposal`);
+    addNotification(currentUser.id, 'counter_offer', 'Counter offer sent');
+    if (role === 'lender') addHistory(currentUser.id, 'counter_offered', request);
+    return true;
+  };
+  
+  // Accepting rewrites the request with the agreed terms and reserves the lender's cash against it
+  const accept = (threadId) => {
+    const found = respondable(threadId);
+    if (!found) return false;
+    const { thread, request } = found;
+    const terms = negotiationThreads.latest(thread);
+    const borrower = users.find(u => u.id === request.borrowerId);
+    const lender = users.find(u => u.id === thread.lenderId);
+    const agreedTerms = { ...request, amount: terms.amount, interestRate: terms.interestRate, duration: terms.duration };
+    const assessment = assess(borrower, agreedTerms);
+    const { band, position, flag } = pricing.check(agreedTerms, assessment.grade);
+    if (position && platformSettings.pricingEnforcement === 'block') {
+      addNotification(currentUser.id, 'error', `These terms grade as ${assessment.grade}. ${flag}; counter with a rate between ${band.min}% and ${band.max}%.`);
+      return false;
+    }
+    const agreed = {
+      ...agreedTerms,
+      riskRating: assessment.grade,
+      underwriting: underwriting.listingSummary(assessment),
+      pricingFlag: flag,
+      // A borrower accepting is shown the disclosure for these terms, so the loan can fund as soon as the lender confirms
+      disclosure: currentUser.id === borrower.id
+        ? disclosures.acknowledge(disclosures.build(agreedTerms), borrower.id)
+        : request.disclosure
+    };
+    
+    const error = reserveRequest(agreed, lender, thread.id);
+    if (error) {
+      addNotification(currentUser.id, 'error', error);
+      return false;
+    }
+    setNegotiations(prev => prev.map(t => {
+      if (t.id === threadId) return { ...t, status: 'accepted', acceptedBy: currentUser.id, closedAt: clock.now() };
+      if (t.loanId === request.id && t.status === 'open') return { ...t, status: 'closed', closedReason: 'terms agreed with another lender', closedAt: clock.now() };
+      return t;
+    }));
+    
+    negotiations
+      .filter(t => t.loanId === request.id && t.id !== threadId && t.status === 'open')
+      .forEach(t => addNotification(t.lenderId, 'counter_offer', `${request.borrowerName} agreed terms with another lender`));
+    addNotification(counterpartyId(thread), 'counter_offer', `${currentUser.name} accepted your proposal`);
+    addNotification(currentUser.id, 'counter_offer', `You accepted the proposal; ${lender.name} has ${FUNDING_CONFIG.reservationHours} hours to confirm funding`);
+    addHistory(currentUser.id, 'accepted_offer', agreed);
+    return true;
+  };
+  
+  const reject = (threadId) => {
+    const found = respondable(threadId);
+    if (!found) return false;
+    updateThread(threadId, { status: 'rejected', rejectedBy: currentUser.id, closedAt: clock.now() });
+    addNotification(counterpartyId(found.thread), 'counter_offer', `${currentUser.name} rejected your proposal`);
+    addNotification(currentUser.id, 'counter_offer', 'You rejected the proposal');
+    return true;
+  };
+  
+  // The author of the latest proposal can pull it before the other side answers
+  const withdraw = (threadId) => {
+    const thread = negotiations.find(t => t.id === threadId);
+    if (!thread || !negotiationThreads.isOpen(thread) || negotiationThreads.latest(thread).by !== currentUser.id) {
+      addNotification(currentUser.id, 'error', 'Only your own open proposal can be withdrawn');
+      return false;
+    }
+    updateThread(threadId, { status: 'withdrawn', withdrawnBy: currentUser.id, closedAt: clock.now() });
+    addNotification(counterpartyId(thread), 'counter_offer', `${currentUser.name} withdrew from the negotiation`);
+    return true;
+  };
+  
+  return { openThread, counter, accept, reject, withdraw };
+};
+
+const useCreditBureau = () => {
+  const { creditPulls, setCreditPulls, setUsers, setLoanRequests } = useContext(AppContext);
+  const { addNotification } = useNotifications();
+  const { reassessOpenRequests } = useUnderwriting();
+  
+  const latestPull = (userId) => creditPulls.filter(p => p.userId === userId).slice(-1)[0] || null;
+  
+  // Fetches a report without recording the inquiry or updating anything on file
+  const previewReport = async (user, inquiryType) => {
+    if (!INQUIRY_TYPES.includes(inquiryType)) {
+      addNotification(user.id, 'error', `Unknown inquiry type: ${inquiryType}`);
+      return null;
+    }
+    
+    try {
+      return await creditBureaus[BUREAU_CONFIG.provider].pullReport(user, inquiryType, creditPulls);
+    } catch {
+      addNotification(user.id, 'error', 'The credit bureau could not be reached. Try again shortly.');
+      return null;
+    }
+  };
+  
+  // Soft pulls are for the user's own checks and sharing; a hard pull is made when they apply for a loan
+  const pullReport = async (user, inquiryType, purpose) => {
+    const report = await previewReport(user, inquiryType);
+    if (!report) return null;
+    
+    setCreditPulls(prev => [...prev, {
+      id: generateId(),
+      userId: user.id,
+      inquiryType,
+      purpose,
+      report,
+      timestamp: clock.now()
+    }]);
+    
+    // The bureau score replaces the one on file and re-grades any open requests
+    setUsers(prev => prev.map(u => u.id === user.id ? { ...u, creditScore: report.score } : u));
+    setLoanRequests(prev => prev.map(r =>
+      r.borrowerId === user.id && r.status === 'pending' ? { ...r, borrowerCredit: report.score } : r
+    ));
+    reassessOpenRequests({ ...user, creditScore: report.score }, report);
+    return report;
+  };
+  
+  return { previewReport, pullReport, latestPull };
+};
+
+const useConsents = () => {
+  const { currentUser, creditReportRequests, setCreditReportRequests } = useContext(AppContext);
+  const { addNotification } = useNotifications();
+  
+  const findOwnRequest = (requestId, status) => {
+    const request = creditReportRequests.find(r => r.id === requestId);
+    if (!request || request.borrowerId !== currentUser.id || request.status !== status) {
+      addNotification(currentUser.id, 'error', 'This credit report request is no longer open');
+      return null;
+    }
+    return request;
+  };
+  
+  const grant = (requestId, creditReport, scope, durationDays) => {
+    const request = findOwnRequest(requestId, 'pending');
+    if (!request) return false;
+    
+    const consent = consents.grant(currentUser.id, scope, durationDays);
+    setCreditReportRequests(prev => prev.map(r => r.id === requestId ? { ...r, status: 'approved', creditReport, consent } : r));
+    addNotification(request.requesterId, 'credit_request', `${currentUser.name} shared their credit report (${CONSENT_SCOPES[scope].label.toLowerCase()}) until ${consent.expiresAt.toLocaleDateString()}`);
+    addNotification(currentUser.id, 'credit_request', `Credit report shared with ${request.requesterName}`);
+    return true;
+  };
+  
+  const deny = (requestId) => {
+    const request = findOwnRequest(requestId, 'pending');
+    if (!request) return false;
+    
+    setCreditReportRequests(prev => prev.map(r => r.id === requestId ? { ...r, status: 'denied', deniedAt: clock.now() } : r));
+    addNotification(request.requesterId, 'credit_request', `${currentUser.name} denied your credit report request`);
+    addNotification(currentUser.id, 'credit_request', 'Credit report request denied');
+    return true;
+  };
+  
+  const revoke = (requestId) => {
+    const request = findOwnRequest(requestId, 'approved');
+    if (!request) return false;
+    
+    setCreditReportRequests(prev => prev.map(r => r.id === requestId ? { ...r, status: 'revoked', revokedAt: clock.now() } : r));
+    addNotification(request.requesterId, 'credit_request', `${currentUser.name} revoked your access to their credit report`);
+    addNotification(currentUser.id, 'credit_request', `Access revoked for ${request.requesterName}`);
+    return true;
+  };
+  
+  return { grant, deny, revoke };
+};
+
+const useKyc = () => {
+  const { currentUser, users, setUsers, kycSubmissions, setKycSubmissions, storage } = useContext(AppContext);
+  const { addNotification } = useNotifications();
+  
+  const setStatus = (userId, kycStatus) => {
+    setUsers(prev => prev.map(u => u.id === userId ? { ...u, kycStatus, verified: kycStatus === 'approved' } : u));
+  };
+  
+  const latestSubmission = (userId) =>
+    kycSubmissions.filter(sub => sub.userId === userId).slice(-1)[0] || null;
+  
+  // The document itself goes to document storage under the submission id; state keeps only its details
+  const submit = async (user, { legalName, dateOfBirth, documentType, document }) => {
+    if (user.kycStatus === 'pending' || kyc.isVerified(user)) {
+      addNotification(user.id, 'error', 'Your identity is already verified or under review');
+      return false;
+    }
+    
+    const id = generateId();
+    try {
+      await storage.saveDocument(id, document);
+    } catch {
+      addNotification(user.id, 'error', 'Your document could not be saved. Try again, or upload a smaller file.');
+      return false;
+    }
+    
+    setKycSubmissions(prev => [...prev, {
+      id,
+      userId: user.id,
+      userName: user.name,
+      legalName: legalName.trim(),
+      dateOfBirth,
+      documentType,
+      document: { name: document.name, type: document.type, size: document.size },
+      status: 'pending',
+      submittedAt: clock.now()
     }]);
+    setStatus(user.id, 'pending');
+    addNotification(user.id, 'login', 'Identity documents submitted for review');
+    
+    users.filter(u => access.can(u, 'review_kyc')).forEach(reviewer => {
+      addNotification(reviewer.id, 'credit_request', `${user.name} submitted identity documents for review`);
+    });
+    return true;
+  };
+  
+  const review = (submissionId, decision, reason = '') => {
+    const submission = kycSubmissions.find(sub => sub.id === submissionId);
+    if (!access.can(currentUser, 'review_kyc')) {
+      addNotification(currentUser?.id, 'error', 'Admin access required');
+      return false;
+    }
+    if (!submission || submission.status !== 'pending') return false;
+    if (decision === 'rejected' && !reason.trim()) {
+      addNotification(currentUser.id, 'error', 'Give a reason so the user knows what to fix');
+      return false;
+    }
+    
+    setKycSubmissions(prev => prev.map(sub => sub.id === submissionId ? {
+      ...sub,
+      status: decision,
+      reviewedAt: clock.now(),
+      reviewerId: currentUser.id,
+      rejectionReason: decision === 'rejected' ? reason.trim() : null
+    } : sub));
+    setStatus(submission.userId, decision);
+    addNotification(submission.userId, decision === 'approved' ? 'loan_funded' : 'error', decision === 'approved'
+      ? 'Your identity has been verified. You can now fund, borrow and withdraw.'
+      : `Identity verification was rejected: ${reason.trim()}`);
+    return true;
+  };
+  
+  const pendingSubmissions = useMemo(() =>
+    kycSubmissions.filter(sub => sub.status === 'pending'),
+    [kycSubmissions]
+  );
+  
+  return { submit, review, latestSubmission, pendingSubmissions };
+};
+
+const useAdmin = () => {
+  const { currentUser, setUsers, setPlatformSettings } = useContext(AppContext);
+  const { addNotification } = useNotifications();
+  const { cancelRequest } = useFunding();
+  
+  const isAdmin = access.can(currentUser, 'admin_console');
+  
+  const guard = (action) => (...args) => {
+    if (!isAdmin) {
+      addNotification(currentUser?.id, 'error', 'Admin access required');
+      return false;
+    }
+    return action(...args);
+  };
+  
+  const setSuspended = guard((user, suspended) => {
+    if (user.id === currentUser.id) {
+      addNotification(currentUser.id, 'error', 'You cannot suspend your own account');
+      return false;
+    }
+    setUsers(prev => prev.map(u => u.id === user.id ? { ...u, suspended } : u));
+    addNotification(currentUser.id, 'login', `${user.name} ${suspended ? 'suspended' : 'reinstated'}`);
+    return true;
+  });
+  
+  const toggleRole = guard((user, role) => {
+    const roles = access.hasRole(user, role) ? user.roles.filter(r => r !== role) : [...(user.roles || []), role];
+    if (user.id === currentUser.id && role === 'admin') {
+      addNotification(currentUser.id, 'error', 'You cannot remove your own admin role');
+      return false;
+    }
+    setUsers(prev => prev.map(u => u.id === user.id ? { ...u, roles } : u));
+    return true;
+  });
+  
+  const cancelLoanRequest = guard((request) => {
+    if (!cancelRequest(request.id, 'cancelled by an administrator')) {
+      addNotification(currentUser.id, 'error', 'This request can no longer be cancelled');
+      return false;
+    }
+    addNotification(currentUser.id, 'login', `Cancelled ${request.borrowerName}'s request for $${request.amount.toLocaleString()}`);
+    return true;
+  });
+  
+  const updateSettings = guard((changes) => {
+    if (Object.values(changes).some(value => typeof value === 'number' && (isNaN(value) || value < 0))) {
+      addNotification(currentUser.id, 'error', 'Settings must be zero or more');
+      return false;
+    }
+    setPlatformSettings(prev => ({ ...prev, ...changes }));
+    addNotification(currentUser.id, 'login', 'Platform settings saved');
+    return true;
+  });
+  
+  return { isAdmin, setSuspended, toggleRole, cancelLoanRequest, updateSettings };
+};
+
+const usePayments = () => {
+  const { setUsers, setFundedLoans } = useContext(AppContext);
+  const { addNotification } = useNotifications();
+  const { addHistory } = useLoanHistory();
+  const { postEntry } = useLedger();
+  
+  // Previews what a payment would do without posting it
+  const previewPayment = (loan, amount, asOf = clock.now()) => {
+    const allocation = calculations.allocatePayment(loan, amount, asOf);
+    const prepaidPrincipal = prepayment.prepaidPrincipal(loan, allocation, asOf);
+    const prepaymentPenalty = prepayment.penaltyFor(loan, prepaidPrincipal, asOf);
+    return {
+      allocation,
+      prepaidPrincipal,
+      paymentsMade: (loan.paymentsMade || 0) + prepayment.installmentsCovered(loan, allocation, asOf),
+      prepaymentPenalty,
+      totalCharged: roundCents(allocation.applied + prepaymentPenalty),
+      isPaidOff: allocation.outstandingBalance <= 0 && allocation.unpaidInterest <= 0 && allocation.lateFeesDue <= 0
+    };
+  };
+  
+  // Returns an error message, or null once the payment is posted
+  const makePayment = (loan, borrower, amount, { reamortize = 'reduce_term', source = 'manual', paymentDate = clock.now() } = {}) => {
+    const minimumPayment = Math.min(parseFloat(calculations.calculateMinimumPayment(loan)), calculations.calculatePayoffAmount(loan));
+    if (!amount || amount <= 0) return 'Invalid payment amount';
+    if (amount < minimumPayment) return `Minimum payment is $${minimumPayment}`;
+    
+    const { allocation, prepaidPrincipal, paymentsMade: newPaymentsMade, prepaymentPenalty, totalCharged, isPaidOff } = previewPayment(loan, amount, paymentDate);
+    if (totalCharged > borrower.accountBalance) return 'Insufficient funds';
+    
+    // Paying ahead either shortens the schedule at the same payment or spreads the lower balance over the remaining term
+    const scheduledPayment = !isPaidOff && prepaidPrincipal > 0 && reamortize === 'reduce_payment'
+      ? prepayment.reamortize(loan, allocation.outstandingBalance, newPaymentsMade)
+      : loan.scheduledPayment;
+    
+    const entry = ledger.loanRepayment(loan, allocation.principal, allocation.interest, allocation.lateFees, prepaymentPenalty);
+    postEntry(entry);
+    
+    // Lenders only earn interest and penalties; principal is a return of capital
+    setUsers(prev => prev.map(u => {
+      const distribution = entry.distributions.find(d => d.holderId === u.id);
+      return distribution
+        ? { ...u, totalReturns: roundCents(u.totalReturns + distribution.interest + distribution.prepaymentPenalty) }
+        : u;
+    }));
+    
+    setFundedLoans(prev => prev.map(l => 
+      l.id === loan.id
+        ? {
+            ...l,
+            outstandingBalance: allocation.outstandingBalance,
+            unpaidInterest: allocation.unpaidInterest,
+            lateFeesDue: allocation.lateFeesDue,
+            interestAccruedThrough: paymentDate,
+            interestPaid: roundCents((l.interestPaid || 0) + allocation.interest),
+            paymentsMade: newPaymentsMade,
+            scheduledPayment,
+            status: isPaidOff ? 'paid_off' : l.status
+          }
+        : l
+    ));
+    
+    addHistory(borrower.id, 'payment_made', loan);
+    const label = source === 'autopay' ? 'autopay payment' : 'payment';
+    entry.distributions.forEach(d => {
+      const penaltyNote = d.prepaymentPenalty > 0 ? `, $${d.prepaymentPenalty} prepayment penalty` : '';
+      addNotification(d.holderId, 'payment_received', `Received $${roundCents(d.principal + d.interest + d.prepaymentPenalty)} ${label} from ${borrower.name} ($${d.interest} interest, $${d.principal} principal${penaltyNote})`);
+    });
+    const confirmation = `${source === 'autopay' ? `Autopay payment to ${loan.lenderName}` : 'Payment'} of $${totalCharged} processed successfully`;
+    addNotification(borrower.id, 'payment_made', prepaymentPenalty > 0
+      ? `${confirmation}, including a $${prepaymentPenalty} prepayment penalty`
+      : confirmation);
+    
+    if (isPaidOff) {
+      addNotification(borrower.id, 'loan_funded', 'Congratulations! Loan paid off in full');
+      loan.notes.forEach(note => {
+        addNotification(note.holderId, 'loan_funded', `${borrower.name} paid off their loan in full`);
+      });
+    } else if (prepaidPrincipal > 0) {
+      addNotification(borrower.id, 'payment_made', scheduledPayment !== loan.scheduledPayment
+        ? `$${prepaidPrincipal} went toward principal early. Your monthly payment is now $${scheduledPayment.toFixed(2)}.`
+        : `$${prepaidPrincipal} went toward principal early. Your payment stays the same and the loan will be paid off sooner.`);
+    }
+    return null;
   };
   
-  const markAsRead = (id) => {
-    setNotifications(prev => prev.map(n => n.id === id ? { ...n, isRead: true } : n));
+  return { previewPayment, makePayment };
+};
+
+const useAutopay = () => {
+  const { users, fundedLoans, setFundedLoans } = useContext(AppContext);
+  const { addNotification } = useNotifications();
+  const { previewPayment, makePayment } = usePayments();
+  
+  const updatePlan = (loanId, update) => {
+    setFundedLoans(prev => prev.map(l => l.id === loanId ? { ...l, autopay: update(l.autopay) } : l));
   };
   
-  const dismissAll = () => {
-    setNotifications(prev => prev.map(n => 
-      n.userId === currentUser?.id ? { ...n, isRead: true } : n
-    ));
+  const enroll = (loan) => {
+    if (!servicing.isOpen(loan)) return false;
+    updatePlan(loan.id, plan => ({
+      lastAttempt: null,
+      ...plan,
+      enabled: true,
+      enrolledAt: clock.now(),
+      installment: null,
+      attempts: 0,
+      nextAttemptAt: null
+    }));
+    const next = autopay.nextInstallment(loan);
+    addNotification(loan.borrowerId, 'payment_made', next
+      ? `Autopay is on for your loan from ${loan.lenderName}. $${autopay.amountDue(loan).toFixed(2)} will be drawn from your balance on ${next.dueDate.toLocaleDateString()}.`
+      : `Autopay is on for your loan from ${loan.lenderName}`);
+    return true;
   };
   
-  const userNotifications = useMemo(() => 
-    notifications.filter(n => n.userId === currentUser?.id && !n.isRead),
-    [notifications, currentUser]
-  );
+  const cancel = (loan) => {
+    updatePlan(loan.id, plan => ({ ...plan, enabled: false }));
+    addNotification(loan.borrowerId, 'payment_made', `Autopay is off for your loan from ${loan.lenderName}`);
+  };
   
-  return { addNotification, markAsRead, dismissAll, userNotifications };
+  // Draws each due installment from the borrower's balance and schedules a retry when it can't.
+  // Returns the ids of loans that were paid.
+  const runAutopay = (asOf = clock.now()) => {
+    // Balances from this render don't reflect draws made earlier in the same run
+    const available = {};
+    const paidLoanIds = [];
+    
+    fundedLoans.forEach(loan => {
+      const installment = autopay.dueInstallment(loan, asOf);
+      const borrower = installment && users.find(u => u.id === loan.borrowerId);
+      if (!borrower) return;
+      
+      available[borrower.id] = available[borrower.id] ?? borrower.accountBalance;
+      const amount = autopay.amountDue(loan, asOf);
+      const error = makePayment(loan, { ...borrower, accountBalance: available[borrower.id] }, amount, { source: 'autopay', paymentDate: asOf });
+      const plan = autopay.recordAttempt(loan.autopay, installment, amount, error, asOf);
+      updatePlan(loan.id, () => plan);
+      
+      if (!error) {
+        // Priced the same way makePayment just charged it, penalty included
+        available[borrower.id] = roundCents(available[borrower.id] - previewPayment(loan, amount, asOf).totalCharged);
+        paidLoanIds.push(loan.id);
+        return;
+      }
+      
+      const reason = error.toLowerCase();
+      if (plan.nextAttemptAt) {
+        addNotification(borrower.id, 'loan_late', `Autopay couldn't collect $${amount.toFixed(2)} for your loan from ${loan.lenderName} (${reason}). We'll try again on ${plan.nextAttemptAt.toLocaleDateString()}.`);
+        loan.notes.forEach(note => addNotification(note.holderId, 'loan_late', `${loan.borrowerName}'s autopay payment of $${amount.toFixed(2)} failed and will be retried on ${plan.nextAttemptAt.toLocaleDateString()}`));
+      } else {
+        addNotification(borrower.id, 'loan_late', `Autopay couldn't collect $${amount.toFixed(2)} for your loan from ${loan.lenderName} after ${plan.attempts} attempts (${reason}). Make this payment manually to avoid late fees.`);
+        loan.notes.forEach(note => addNotification(note.holderId, 'loan_late', `${loan.borrowerName}'s autopay payment of $${amount.toFixed(2)} failed after ${plan.attempts} attempts`));
+      }
+    });
+    
+    return paidLoanIds;
+  };
+  
+  return { enroll, cancel, runAutopay };
 };
 
-const useLoanHistory = () => {
-  const { loanHistory, setLoanHistory, currentUser } = useContext(AppContext);
+const useServicing = () => {
+  const { fundedLoans, setFundedLoans, ledgerEntries } = useContext(AppContext);
+  const { addNotification } = useNotifications();
+  const { postEntry } = useLedger();
   
-  const addHistory = (userId, action, loan) => {
-    setLoanHistory(prev => [...prev, {
-      id: Date.now(), 
-      userId, 
-      action, 
-      loanId: loan.id,
-      amount: loan.amount, 
-      timestamp: new Date()
-    }]);
+  // Loans in skipLoanIds have updates this render can't see yet; they are assessed on the next run
+  const runServicing = (asOf = clock.now(), skipLoanIds = []) => {
+    const updates = {};
+    
+    fundedLoans.filter(servicing.isOpen).filter(loan => !skipLoanIds.includes(loan.id)).forEach(loan => {
+      const assessment = servicing.assessLoan(loan, asOf);
+      if (assessment.status === loan.status && assessment.newLateFees === 0) return;
+      updates[loan.id] = assessment;
+      
+      if (assessment.status !== loan.status) {
+        const messages = servicing.describeTransition(loan, assessment.status, assessment.daysPastDue);
+        const type = assessment.status === 'defaulted' ? 'loan_defaulted' : assessment.status === 'active' ? 'payment_received' : 'loan_late';
+        addNotification(loan.borrowerId, type, messages.borrower);
+        loan.notes.forEach(note => addNotification(note.holderId, type, messages.lender));
+      }
+      if (assessment.status === 'defaulted' && loan.status !== 'defaulted') {
+        postEntry(ledger.chargeOff(loan, loan.notes.map(note => ({
+          holderId: note.holderId,
+          principal: secondaryMarket.parValue(ledgerEntries, loan, note.holderId)
+        }))));
+      }
+      if (assessment.newLateFees > 0) {
+        addNotification(loan.borrowerId, 'loan_late', `A late fee of $${assessment.newLateFees.toFixed(2)} was added to your loan from ${loan.lenderName}`);
+      }
+    });
+    
+    if (Object.keys(updates).length === 0) return;
+    
+    setFundedLoans(prev => prev.map(l => {
+      const assessment = updates[l.id];
+      if (!assessment) return l;
+      return {
+        ...l,
+        status: assessment.status,
+        defaultedAt: assessment.status === 'defaulted' && l.status !== 'defaulted' ? asOf : l.defaultedAt,
+        daysPastDue: assessment.daysPastDue,
+        lateFeesDue: roundCents((l.lateFeesDue || 0) + assessment.newLateFees),
+        lateFeesChargedThrough: assessment.lateFeesChargedThrough
+      };
+    }));
   };
   
-  const getUserHistory = useMemo(() => 
-    loanHistory.filter(h => h.userId === currentUser?.id).slice(-10),
-    [loanHistory, currentUser]
-  );
+  return { runServicing };
+};
+
+// Time-based jobs, run in order whenever the clock moves or loans change
+const useScheduler = () => {
+  const { runServicing } = useServicing();
+  const { runFundingExpiry } = useFunding();
+  const { runAutopay } = useAutopay();
   
-  return { addHistory, getUserHistory };
+  // Servicing works from the same snapshot of loans as autopay, so loans autopay just paid wait for
+  // the run that follows the payment instead of being marked late from their unpaid state
+  const runDueJobs = (asOf = clock.now()) => {
+    runFundingExpiry(asOf);
+    const paidLoanIds = runAutopay(asOf);
+    runServicing(asOf, paidLoanIds);
+  };
+  
+  return { runDueJobs };
+};
+
+const useMfa = () => {
+  const { setUsers, platformSettings } = useContext(AppContext);
+  const { addNotification } = useNotifications();
+  
+  const setMfa = (userId, update) => {
+    setUsers(prev => prev.map(u => u.id === userId ? { ...u, mfa: update(u.mfa) } : u));
+  };
+  
+  // Accepted codes are remembered so the same code can't be used twice
+  const verifyCode = async (user, code) => {
+    if (!user?.mfa) return false;
+    const step = await totp.verify(user.mfa.secret, code, { lastUsedStep: user.mfa.lastUsedStep });
+    if (step === null) return false;
+    setMfa(user.id, mfa => ({ ...mfa, lastUsedStep: step }));
+    return true;
+  };
+  
+  const enroll = async (user, secret, code) => {
+    const step = await totp.verify(secret, code);
+    if (step === null) {
+      addNotification(user.id, 'error', 'That code did not match. Check your authenticator app and try again.');
+      return false;
+    }
+    setMfa(user.id, () => ({ secret, enabledAt: clock.now(), lastUsedStep: step }));
+    addNotification(user.id, 'login', 'Two-factor authentication enabled');
+    return true;
+  };
+  
+  const disable = async (user, code) => {
+    if (!await verifyCode(user, code)) {
+      addNotification(user.id, 'error', 'Invalid authentication code');
+      return false;
+    }
+    setMfa(user.id, () => null);
+    addNotification(user.id, 'login', 'Two-factor authentication disabled');
+    return true;
+  };
+  
+  const requiresStepUp = (user, amount) => !!user?.mfa && amount > platformSettings.stepUpThreshold;
+  
+  // Resolves true when the amount is under the threshold or the code checks out
+  const confirmStepUp = async (user, amount, code) => {
+    if (!requiresStepUp(user, amount)) return true;
+    if (await verifyCode(user, code)) return true;
+    addNotification(user.id, 'error', code
+      ? 'Invalid authentication code'
+      : `Enter your authentication code to move more than $${platformSettings.stepUpThreshold.toLocaleString()}`);
+    return false;
+  };
+  
+  return { verifyCode, enroll, disable, requiresStepUp, confirmStepUp };
 };
 
 const useAuth = () => {
-  const { currentUser, setCurrentUser, users } = useContext(AppContext);
+  const { currentUser, users, setUsers, session, startSession, endSession } = useContext(AppContext);
+  const { verifyCode } = useMfa();
+  
+  const findByEmail = (email) => users.find(u => u.email.toLowerCase() === email.trim().toLowerCase());
   
-  const login = (email, password) => {
-    const user = users.find(u => u.email === email && u.password === password);
-    if (user) {
-      setCurrentUser(user);
-      return { success: true };
+  // Users with two-factor enabled get mfaRequired back until they sign in again with a code
+  const login = async (email, password, code) => {
+    const user = findByEmail(email);
+    // Hash even when the email is unknown so response time doesn't reveal which accounts exist
+    const valid = await passwords.verify(password, user?.passwordHash || initialUsers[0].passwordHash);
+    if (!user || !valid) {
+      return { success: false, error: 'Invalid credentials' };
+    }
+    if (user.suspended) {
+      return { success: false, error: 'This account has been suspended. Please contact support.' };
+    }
+    if (user.mfa) {
+      if (!code) return { success: false, mfaRequired: true };
+      if (!await verifyCode(user, code)) {
+        return { success: false, mfaRequired: true, error: 'Invalid authentication code' };
+      }
     }
-    return { success: false, error: 'Invalid credentials' };
+    startSession(user);
+    return { success: true, user };
   };
   
   const logout = () => {
-    setCurrentUser(null);
+    endSession();
   };
   
-  const signup = (email, password, name) => {
+  const signup = async (email, password, name, roles = ['lender', 'borrower']) => {
+    if (!name.trim()) {
+      return { success: false, error: 'Name is required' };
+    }
     if (!validators.validateEmail(email)) {
       return { success: false, error: 'Invalid email format' };
     }
     if (!validators.validatePassword(password)) {
       return { success: false, error: 'Password must be at least 6 characters' };
     }
-    return { success: true };
+    if (roles.length === 0 || roles.some(role => !['lender', 'borrower'].includes(role))) {
+      return { success: false, error: 'Choose to lend, borrow or both' };
+    }
+    if (findByEmail(email)) {
+      return { success: false, error: 'An account with this email already exists' };
+    }
+    
+    const user = {
+      id: generateId(),
+      email: email.trim().toLowerCase(),
+      passwordHash: await passwords.hash(password),
+      name: name.trim(),
+      creditScore: 650,
+      totalInvested: 0,
+      totalReturns: 0,
+      loansFunded: [],
+      loansBorrowed: [],
+      accountCreated: clock.now(),
+      verified: false,
+      riskProfile: 'moderate',
+      roles,
+      suspended: false,
+      mfa: null,
+      kycStatus: 'unverified'
+    };
+    
+    setUsers(prev => [...prev, user]);
+    startSession({ ...user, accountBalance: 0 });
+    return { success: true, user };
   };
   
-  return { login, logout, signup, currentUser, isAuthenticated: !!currentUser };
+  return { login, logout, signup, currentUser, isAuthenticated: sessions.isValid(session) && !!currentUser };
 };
 
 // ============================================================================
@@ -405,11 +3884,83 @@ const Input = ({ label, type = 'text', value, onChange, error, placeholder, ...p
   );
 };
 
+const QrCode = ({ value, size = 176 }) => {
+  const matrix = useMemo(() => qrCode.encode(value), [value]);
+  if (!matrix) return null;
+  
+  // Readers need a quiet zone of four light modules around the code
+  const dimension = matrix.length + 8;
+  const path = matrix
+    .flatMap((row, y) => row.map((dark, x) => (dark ? `M${x + 4} ${y + 4}h1v1h-1z` : '')))
+    .join('');
+  return (
+    <svg width={size} height={size} viewBox={`0 0 ${dimension} ${dimension}`} shapeRendering="crispEdges" role="img" aria-label="QR code">
+      <rect width={dimension} height={dimension} fill="#ffffff" />
+      <path d={path} fill="#000000" />
+    </svg>
+  );
+};
+
+const StorageErrorBanner = () => {
+  const { storageError, canPersist, resetDemo } = useContext(AppContext);
+  const [confirmReset, setConfirmReset] = useState(false);
+  if (!storageError) return null;
+  
+  const handleReset = () => {
+    if (!confirmReset) {
+      setConfirmReset(true);
+      return;
+    }
+    resetDemo();
+    setConfirmReset(false);
+  };
+  
+  return (
+    <div className="bg-red-900 border-b border-red-700">
+      <div className="max-w-7xl mx-auto px-4 py-3 flex flex-col sm:flex-row sm:items-center gap-3">
+        <div className="flex items-center gap-3 flex-1">
+          <AlertCircle className="w-5 h-5 text-red-300 flex-shrink-0" />
+          <p className="text-red-100 text-sm">{STORAGE_ERRORS[storageError]}</p>
+        </div>
+        {!canPersist && (
+          <Button onClick={handleReset} variant="danger" className="text-sm">
+            {confirmReset ? 'Confirm Reset - Saved Data Will Be Lost' : 'Reset Demo'}
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const VerificationBanner = ({ action, onVerify }) => {
+  const { currentUser } = useContext(AppContext);
+  if (kyc.isVerified(currentUser)) return null;
+  
+  const isPending = currentUser.kycStatus === 'pending';
+  return (
+    <div className="bg-yellow-900 border border-yellow-700 rounded-lg p-4 flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+      <div className="flex items-center gap-3">
+        <AlertCircle className="w-6 h-6 text-yellow-300 flex-shrink-0" />
+        <p className="text-yellow-100 text-sm">
+          {isPending
+            ? `Your identity documents are under review. You can ${action} once they're approved.`
+            : `Verify your identity to ${action}.`}
+        </p>
+      </div>
+      {!isPending && onVerify && (
+        <Button onClick={onVerify} variant="warning">
+          Verify Identity
+        </Button>
+      )}
+    </div>
+  );
+};
+
 // ============================================================================
 // UI COMPONENTS - LOAN PREVIEW
 // ============================================================================
 
-const LoanPreview = ({ amount, rate, duration }) => {
+const LoanPreview = ({ amount, rate, duration, band }) => {
   const { monthlyPayment, totalInterest } = calculations.calculateAmortization(
     parseFloat(amount) || 0,
     parseFloat(rate) || 0,
@@ -417,6 +3968,11 @@ const LoanPreview = ({ amount, rate, duration }) => {
   );
   
   const totalRepayment = (parseFloat(amount) || 0) + (parseFloat(totalInterest) || 0);
+  const { apr, fee } = disclosures.build({
+    amount: parseFloat(amount) || 0,
+    interestRate: parseFloat(rate) || 0,
+    duration: parseInt(duration) || 1
+  });
   
   return (
     <div className="bg-gray-700 rounded-lg p-4 space-y-3">
@@ -438,6 +3994,242 @@ const LoanPreview = ({ amount, rate, duration }) => {
           <p className="text-gray-400">Duration</p>
           <p className="text-white font-bold text-lg">{duration} months</p>
         </div>
+        <div>
+          <p className="text-gray-400">APR (incl. fees)</p>
+          <p className="text-white font-bold text-lg">{apr.toFixed(2)}%</p>
+        </div>
+        <div>
+          <p className="text-gray-400">Origination Fee</p>
+          <p className="text-white font-bold text-lg">${fee.toFixed(2)}</p>
+        </div>
+      </div>
+      {band && <RateGuidance band={band} rate={parseFloat(rate)} />}
+    </div>
+  );
+};
+
+// Printing hides everything but the print area, which is itself only shown on paper
+const DISCLOSURE_PRINT_STYLES = `
+  .disclosure-print-area { display: none; }
+  @media print {
+    body * { visibility: hidden; }
+    .disclosure-print-area { display: block; position: absolute; top: 0; left: 0; width: 100%; padding: 40px; background: #fff; }
+    .disclosure-print-area, .disclosure-print-area * { visibility: visible; color: #111 !important; border-color: #111 !important; }
+  }
+`;
+
+const TilaDisclosure = ({ disclosure, loan }) => {
+  const money = (value) => `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  const boxes = [
+    { label: 'Annual Percentage Rate', value: `${disclosure.apr.toFixed(2)}%`, note: 'The cost of your credit as a yearly rate' },
+    { label: 'Finance Charge', value: money(disclosure.financeCharge), note: 'The dollar amount the credit will cost you' },
+    { label: 'Amount Financed', value: money(disclosure.amountFinanced), note: 'The amount of credit provided to you' },
+    { label: 'Total of Payments', value: money(disclosure.totalOfPayments), note: 'What you will have paid after all scheduled payments' }
+  ];
+  const paymentSchedule = disclosure.paymentCount > 1 && disclosure.finalPayment !== disclosure.monthlyPayment
+    ? `${disclosure.paymentCount - 1} monthly payments of ${money(disclosure.monthlyPayment)} and a final payment of ${money(disclosure.finalPayment)}.`
+    : `${disclosure.paymentCount} monthly payments of ${money(disclosure.monthlyPayment)}.`;
+  
+  return (
+    <div className="space-y-3">
+      <h4 className="text-white font-semibold">Truth in Lending Disclosure</h4>
+      {loan && (
+        <p className="text-gray-400 text-sm">
+          Borrower: {loan.borrowerName} · Purpose: {loan.purpose || 'Not given'} · Issued {new Date(disclosure.issuedAt).toLocaleDateString()}
+        </p>
+      )}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        {boxes.map(box => (
+          <div key={box.label} className="border-2 border-gray-500 rounded-lg p-3">
+            <p className="text-gray-300 text-xs font-bold uppercase">{box.label}</p>
+            <p className="text-gray-400 text-xs mt-1">{box.note}</p>
+            <p className="text-white font-bold text-lg mt-2">{box.value}</p>
+          </div>
+        ))}
+      </div>
+      <p className="text-gray-400 text-sm">
+        {paymentSchedule} The {money(disclosure.fee)} origination fee is deducted from the loan proceeds. {prepayment.describe(prepayment.policyFor(disclosure))}.
+      </p>
+      {disclosure.acknowledgedAt && (
+        <p className="text-green-400 text-xs">Acknowledged {new Date(disclosure.acknowledgedAt).toLocaleString()}</p>
+      )}
+    </div>
+  );
+};
+
+// Mounting this brings up the browser's print dialog for the disclosure, from which it can be saved as a PDF
+const PrintableDisclosure = ({ loan, onPrinted }) => {
+  // The dialog opens once per mount, so the latest callback is read when it closes
+  const onPrintedRef = useRef(onPrinted);
+  onPrintedRef.current = onPrinted;
+  
+  useEffect(() => {
+    const handleAfterPrint = () => onPrintedRef.current();
+    globalThis.addEventListener('afterprint', handleAfterPrint);
+    globalThis.print();
+    return () => globalThis.removeEventListener('afterprint', handleAfterPrint);
+  }, []);
+  
+  return (
+    <div className="disclosure-print-area">
+      <style>{DISCLOSURE_PRINT_STYLES}</style>
+      <TilaDisclosure disclosure={loan.disclosure} loan={loan} />
+    </div>
+  );
+};
+
+const RateGuidance = ({ band, rate, onUseSuggested }) => {
+  const position = pricing.position(rate, band);
+  
+  return (
+    <div className={`rounded-lg p-3 text-sm ${position ? 'bg-yellow-900 border border-yellow-700' : 'bg-gray-800'}`}>
+      <div className="flex justify-between items-center gap-2">
+        <div>
+          <p className="text-gray-400">Suggested rate for grade {band.grade}</p>
+          <p className="text-white font-bold">
+            {band.target.toFixed(2)}% <span className="text-gray-400 font-normal">(range {band.min.toFixed(2)}%-{band.max.toFixed(2)}%)</span>
+          </p>
+        </div>
+        {onUseSuggested && rate !== band.target && (
+          <Button onClick={() => onUseSuggested(band.target)} variant="secondary" className="text-xs">
+            Use {band.target.toFixed(2)}%
+          </Button>
+        )}
+      </div>
+      {position && <p className="text-yellow-200 mt-2">{pricing.describe(position, band)}</p>}
+    </div>
+  );
+};
+
+const UnderwritingSummary = ({ assessment, maxFactors = 5 }) => {
+  if (!assessment) return null;
+  
+  return (
+    <div className="bg-gray-700 rounded-lg p-4 space-y-3">
+      <div className="flex justify-between items-start">
+        <div>
+          <p className="text-gray-400 text-sm">Risk Grade</p>
+          <p className={`font-bold text-2xl ${styles.getRiskColor(assessment.grade)}`}>{assessment.grade}</p>
+        </div>
+        <div className="text-right">
+          <p className="text-gray-400 text-sm">Probability of Default</p>
+          <p className="text-white font-bold text-2xl">{(assessment.probabilityOfDefault * 100).toFixed(1)}%</p>
+        </div>
+      </div>
+      {assessment.score !== undefined && (
+        <p className="text-gray-400 text-xs">Score {assessment.score} / 100 · model {assessment.modelVersion}</p>
+      )}
+      
+      {!assessment.factors ? (
+        <p className="text-gray-400 text-xs">
+          The factors behind this grade come from the borrower's credit report and are shown once they share it with you.
+        </p>
+      ) : (
+        <div className="space-y-2">
+          <p className="text-gray-300 text-sm font-semibold">What drove this grade</p>
+          {assessment.factors.slice(0, maxFactors).map(factor => (
+            <div key={factor.key} className="flex justify-between text-sm">
+              <span className="text-gray-300">
+                {factor.label} <span className="text-gray-500">({factor.value})</span>
+              </span>
+              <span className={`font-semibold ${factor.impact >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                {factor.impact >= 0 ? '+' : ''}{factor.impact.toFixed(1)}
+              </span>
+            </div>
+          ))}
+          {assessment.missing.length > 0 && (
+            <p className="text-gray-500 text-xs">Not considered (no data): {assessment.missing.join(', ')}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const FundingProgress = ({ request, compact = false }) => {
+  const committed = funding.committedAmount(request);
+  const percent = funding.fundedPercent(request);
+  const lenderCount = new Set((request.commitments || []).map(c => c.lenderId)).size;
+  const daysLeft = request.fundingDeadline
+    ? Math.max(0, Math.ceil((new Date(request.fundingDeadline) - clock.now()) / MS_PER_DAY))
+    : null;
+  
+  return (
+    <div className={compact ? 'space-y-1' : 'bg-gray-700 rounded-lg p-4 space-y-2'}>
+      <div className="flex justify-between items-center text-xs md:text-sm">
+        <span className="text-gray-400">
+          ${committed.toLocaleString()} of ${request.amount.toLocaleString()} funded
+        </span>
+        <span className="text-white font-semibold">{percent.toFixed(0)}%</span>
+      </div>
+      <div className="w-full bg-gray-600 rounded-full h-2">
+        <div
+          className="bg-green-500 h-2 rounded-full transition-all"
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+      <div className="flex justify-between text-xs text-gray-400">
+        <span>{lenderCount} {lenderCount === 1 ? 'lender' : 'lenders'}</span>
+        {daysLeft !== null && <span>{daysLeft} {daysLeft === 1 ? 'day' : 'days'} left</span>}
+      </div>
+      {!compact && (
+        <p className="text-xs text-gray-400">
+          {request.acceptsPartialFunding
+            ? `Issued for the amount raised if ${FUNDING_CONFIG.minFundedPercentToIssue}% or more is committed by the deadline`
+            : 'Issued only if fully funded by the deadline; otherwise commitments are returned'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const AmortizationSchedule = ({ loan }) => {
+  const schedule = calculations.generateAmortizationSchedule(loan);
+  
+  if (schedule.length === 0) return null;
+  
+  const totalInterest = schedule.reduce((sum, installment) => sum + installment.interest, 0);
+  const totalPaid = schedule.reduce((sum, installment) => sum + installment.payment, 0);
+  const formatMoney = (value) => value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  
+  return (
+    <div className="bg-gray-700 rounded-lg p-4 space-y-3">
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-2">
+        <h4 className="text-white font-semibold">Amortization Schedule</h4>
+        <div className="flex gap-4 text-xs text-gray-400">
+          <span>{schedule.length} payments</span>
+          <span>Interest: <span className="text-white font-semibold">${formatMoney(totalInterest)}</span></span>
+          <span>Total: <span className="text-white font-semibold">${formatMoney(totalPaid)}</span></span>
+        </div>
+      </div>
+      <div className="max-h-80 overflow-y-auto overflow-x-auto">
+        <table className="w-full text-xs md:text-sm">
+          <thead className="sticky top-0 bg-gray-700">
+            <tr className="text-gray-400 text-left border-b border-gray-600">
+              <th className="py-2 pr-3 font-medium">#</th>
+              <th className="py-2 pr-3 font-medium">Due Date</th>
+              <th className="py-2 pr-3 font-medium text-right">Payment</th>
+              <th className="py-2 pr-3 font-medium text-right">Principal</th>
+              <th className="py-2 pr-3 font-medium text-right">Interest</th>
+              <th className="py-2 font-medium text-right">Balance</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-600">
+            {schedule.map(installment => (
+              <tr key={installment.paymentNumber} className={installment.isPaid ? 'text-gray-500' : 'text-white'}>
+                <td className="py-1.5 pr-3">
+                  {installment.paymentNumber}
+                  {installment.isPaid && <CheckCircle className="w-3 h-3 inline ml-1 text-green-500" />}
+                </td>
+                <td className="py-1.5 pr-3 whitespace-nowrap">{installment.dueDate.toLocaleDateString()}</td>
+                <td className="py-1.5 pr-3 text-right">${formatMoney(installment.payment)}</td>
+                <td className="py-1.5 pr-3 text-right">${formatMoney(installment.principal)}</td>
+                <td className="py-1.5 pr-3 text-right">${formatMoney(installment.interest)}</td>
+                <td className="py-1.5 text-right">${formatMoney(installment.remainingBalance)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
       </div>
     </div>
   );
@@ -447,8 +4239,9 @@ const LoanPreview = ({ amount, rate, duration }) => {
 // UI COMPONENTS - NAVBAR
 // ============================================================================
 
-const Navbar = ({ currentModal, setCurrentModal }) => {
-  const { currentUser } = useContext(AppContext);
+const Navbar = ({ currentModal, setCurrentModal, setClockModal }) => {
+  const { currentUser, clockOffset } = useContext(AppContext);
+  const { logout } = useAuth();
   const { userNotifications } = useNotifications();
   const [showNotifications, setShowNotifications] = useState(false);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
@@ -457,11 +4250,16 @@ const Navbar = ({ currentModal, setCurrentModal }) => {
     { id: 'dashboard', label: 'Dashboard', icon: TrendingUp },
     { id: 'marketplace', label: 'Marketplace', icon: Search },
     { id: 'my_loans', label: 'My Loans', icon: FileText },
-    { id: 'request_loan', label: 'Request Loan', icon: DollarSign },
+    { id: 'request_loan', label: 'Request Loan', icon: DollarSign, permission: 'request_loans' },
     { id: 'negotiations', label: 'Negotiations', icon: Users },
+    { id: 'data_sharing', label: 'Data Sharing', icon: Lock, permission: 'request_loans' },
+    { id: 'auto_invest', label: 'Auto Invest', icon: Zap, permission: 'auto_invest' },
+    { id: 'secondary_market', label: 'Trade Notes', icon: ArrowLeftRight, permission: 'trade_notes' },
     { id: 'analytics', label: 'Analytics', icon: Activity },
     { id: 'contact', label: 'Contact', icon: Shield },
-  ];
+    { id: 'verification', label: 'Verify Identity', icon: CheckCircle, hidden: kyc.isVerified(currentUser) },
+    { id: 'admin', label: 'Admin', icon: Settings, permission: 'admin_console' },
+  ].filter(item => !item.hidden && (!item.permission || access.can(currentUser, item.permission)));
   
   const handleNavClick = (id) => {
     setCurrentModal(id);
@@ -524,6 +4322,21 @@ const Navbar = ({ currentModal, setCurrentModal }) => {
           </div>
           
           <div className="flex items-center gap-2 md:gap-4">
+            {/* Simulated Clock */}
+            {access.can(currentUser, 'manage_clock') && (
+              <button
+                type="button"
+                onClick={() => setClockModal(true)}
+                className={`p-2 rounded-lg transition flex items-center gap-2 text-sm ${
+                  clockOffset !== 0 ? 'bg-purple-900 text-purple-200 hover:bg-purple-800' : 'text-gray-300 hover:bg-gray-700'
+                }`}
+                title="Demo clock"
+              >
+                <Calendar className="w-5 h-5" />
+                <span className="hidden lg:inline">{clock.now().toLocaleDateString()}</span>
+              </button>
+            )}
+            
             {/* Notifications */}
             <div className="relative">
               <button
@@ -554,7 +4367,8 @@ const Navbar = ({ currentModal, setCurrentModal }) => {
               </div>
               <button
                 onClick={() => {
-                  setCurrentModal('signin');
+                  logout();
+                  setCurrentModal('dashboard');
                   setShowNotifications(false);
                   setMobileMenuOpen(false);
                 }}
@@ -659,17 +4473,48 @@ const NotificationDropdown = ({ notifications, onClose }) => {
 // ============================================================================
 
 const SignIn = ({ setCurrentModal }) => {
+  const [mode, setMode] = useState('signin');
+  const [name, setName] = useState('');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [accountType, setAccountType] = useState('both');
+  const [mfaCode, setMfaCode] = useState('');
   const [error, setError] = useState('');
-  const { login } = useAuth();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const { login, signup } = useAuth();
   const { addNotification } = useNotifications();
+  const isSignUp = mode === 'signup';
+  const isMfa = mode === 'mfa';
+  
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setPassword('');
+    setConfirmPassword('');
+    setMfaCode('');
+    setError('');
+  };
   
-  const handleSignIn = () => {
-    const result = login(email, password);
+  const handleSubmit = async () => {
+    if (isSignUp && password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+    
+    setIsSubmitting(true);
+    const roles = accountType === 'both' ? ['lender', 'borrower'] : [accountType];
+    const result = isSignUp
+      ? await signup(email, password, name, roles)
+      : await login(email, password, isMfa ? mfaCode : undefined);
+    setIsSubmitting(false);
+    
     if (result.success) {
-      addNotification(result.user?.id, 'login', 'Welcome back!');
+      addNotification(result.user.id, 'login', isSignUp ? 'Welcome to P2P Lending!' : 'Welcome back!');
       setCurrentModal('dashboard');
+    } else if (result.mfaRequired) {
+      setMode('mfa');
+      setMfaCode('');
+      setError(result.error || '');
     } else {
       setError(result.error);
     }
@@ -683,34 +4528,100 @@ const SignIn = ({ setCurrentModal }) => {
           <p className="text-gray-400">Connect borrowers and lenders directly</p>
         </div>
         
-        <div className="space-y-4">
-          <Input
-            label="Email"
-            type="email"
-            value={email}
-            onChange={(e) => setEmail(e.target.value)}
-            placeholder="Enter your email"
-            error={error}
-          />
-          
-          <Input
-            label="Password"
-            type="password"
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-            placeholder="Enter your password"
-          />
-          
-          <Button onClick={handleSignIn} className="w-full py-3">
-            Sign In
-          </Button>
-        </div>
+        {isMfa ? (
+          <div className="space-y-4">
+            <div className="bg-gray-700 rounded-lg p-4 flex items-center gap-3">
+              <Shield className="w-6 h-6 text-indigo-400 flex-shrink-0" />
+              <p className="text-gray-300 text-sm">Enter the 6-digit code from your authenticator app to finish signing in.</p>
+            </div>
+            
+            <Input
+              label="Authentication Code"
+              value={mfaCode}
+              onChange={(e) => setMfaCode(e.target.value)}
+              placeholder="123456"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              error={error}
+            />
+            
+            <Button onClick={handleSubmit} className="w-full py-3" disabled={isSubmitting || !mfaCode}>
+              {isSubmitting ? 'Please wait...' : 'Verify'}
+            </Button>
+            
+            <button type="button" onClick={() => switchMode('signin')} className="w-full text-sm text-indigo-400 hover:text-indigo-300">
+              Back to sign in
+            </button>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {isSignUp && (
+              <Input
+                label="Full Name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Enter your name"
+              />
+            )}
+            
+            <Input
+              label="Email"
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Enter your email"
+              error={error}
+            />
+            
+            <Input
+              label="Password"
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder={isSignUp ? 'At least 6 characters' : 'Enter your password'}
+            />
+            
+            {isSignUp && (
+              <Input
+                label="Confirm Password"
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                placeholder="Re-enter your password"
+              />
+            )}
+            
+            {isSignUp && (
+              <div className="space-y-2">
+                <label className="block text-sm font-medium text-gray-300">I want to</label>
+                <select
+                  value={accountType}
+                  onChange={(e) => setAccountType(e.target.value)}
+                  className="w-full bg-gray-700 text-white rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  <option value="both">Lend and borrow</option>
+                  <option value="lender">Lend</option>
+                  <option value="borrower">Borrow</option>
+                </select>
+              </div>
+            )}
+            
+            <Button onClick={handleSubmit} className="w-full py-3" disabled={isSubmitting}>
+              {isSubmitting ? 'Please wait...' : isSignUp ? 'Create Account' : 'Sign In'}
+            </Button>
+            
+            <button type="button" onClick={() => switchMode(isSignUp ? 'signin' : 'signup')} className="w-full text-sm text-indigo-400 hover:text-indigo-300">
+              {isSignUp ? 'Already have an account? Sign in' : "Don't have an account? Sign up"}
+            </button>
+          </div>
+        )}
         
         <div className="mt-6 p-4 bg-gray-700 rounded-lg">
           <p className="text-gray-300 text-sm mb-2">Demo Accounts:</p>
           <div className="space-y-1 text-xs text-gray-400">
             <p>Lender: lender@demo.com / demo123</p>
             <p>Borrower: borrower@demo.com / demo123</p>
+            <p>Admin: admin@demo.com / demo123</p>
           </div>
         </div>
       </div>
@@ -728,7 +4639,9 @@ const Marketplace = ({ setDetailsModal, setSelectedLoan, setCreditReportModal, s
   const [filterRisk, setFilterRisk] = useState('all');
   const [sortBy, setSortBy] = useState('amount');
   
-  const userCreditRequests = creditReportRequests.filter(r => r.requesterId === currentUser.id);
+  const userCreditRequests = creditReportRequests.filter(r =>
+    r.requesterId === currentUser.id && (r.status === 'pending' || consents.isActive(r))
+  );
   
   const filteredLoans = loanRequests
     .filter(loan => loan.status === 'pending' && loan.borrowerId !== currentUser.id)
@@ -799,7 +4712,7 @@ const Marketplace = ({ setDetailsModal, setSelectedLoan, setCreditReportModal, s
       </div>
       
       {userCreditRequests.length > 0 && (
-        <Card title="Pending Credit Report Requests" icon={AlertCircle}>
+        <Card title="Credit Report Requests" icon={AlertCircle}>
           <div className="space-y-3">
             {userCreditRequests.map(request => (
               <div key={request.id} className="bg-yellow-900 border border-yellow-700 rounded-lg p-3 md:p-4 flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3">
@@ -814,10 +4727,15 @@ const Marketplace = ({ setDetailsModal, setSelectedLoan, setCreditReportModal, s
                 {request.status === 'pending' && (
                   <span className="text-yellow-200 text-sm">Awaiting Response</span>
                 )}
-                {request.status === 'approved' && (
-                  <Button onClick={() => handleViewCreditRequest(request)} variant="success" className="text-sm w-full sm:w-auto">
-                    View Report
-                  </Button>
+                {consents.isActive(request) && (
+                  <div className="flex flex-col sm:items-end gap-1">
+                    <Button onClick={() => handleViewCreditRequest(request)} variant="success" className="text-sm w-full sm:w-auto">
+                      View Report
+                    </Button>
+                    <span className="text-yellow-300 text-xs">
+                      Access until {new Date(request.consent.expiresAt).toLocaleDateString()}
+                    </span>
+                  </div>
                 )}
               </div>
             ))}
@@ -838,6 +4756,12 @@ const Marketplace = ({ setDetailsModal, setSelectedLoan, setCreditReportModal, s
                 <div>
                   <h3 className="text-white font-bold text-base md:text-lg">{loan.borrowerName}</h3>
                   <p className="text-gray-400 text-xs md:text-sm">Credit Score: {loan.borrowerCredit}</p>
+                  {loan.pricingFlag && (
+                    <p className="text-yellow-400 text-xs mt-1 flex items-center gap-1">
+                      <AlertCircle className="w-3 h-3" />
+                      {loan.pricingFlag}
+                    </p>
+                  )}
                 </div>
                 <div className={`px-3 py-1 rounded-full text-xs md:text-sm font-semibold ${styles.getRiskColor(loan.riskRating)}`}>
                   {loan.riskRating}
@@ -869,6 +4793,10 @@ const Marketplace = ({ setDetailsModal, setSelectedLoan, setCreditReportModal, s
                   ${calculations.calculateAmortization(loan.amount, loan.interestRate, loan.duration).monthlyPayment}
                 </p>
               </div>
+              
+              <div className="mt-4">
+                <FundingProgress request={loan} compact />
+              </div>
             </div>
           ))
         )}
@@ -881,12 +4809,58 @@ const Marketplace = ({ setDetailsModal, setSelectedLoan, setCreditReportModal, s
 // UI COMPONENTS - MY LOANS
 // ============================================================================
 
+const AutopayPanel = ({ loan }) => {
+  const { enroll, cancel } = useAutopay();
+  const plan = loan.autopay;
+  const enabled = autopay.isEnabled(loan);
+  const next = autopay.nextInstallment(loan);
+  // Attempts only count against the installment they were made for
+  const failing = enabled && !!next && plan.installment === next.paymentNumber;
+  
+  return (
+    <div className="bg-gray-700 rounded-lg p-4 space-y-2">
+      <div className="flex justify-between items-center">
+        <p className="text-gray-400 text-sm">Autopay</p>
+        <span className={`text-sm font-semibold ${enabled ? 'text-green-400' : 'text-gray-400'}`}>{enabled ? 'On' : 'Off'}</span>
+      </div>
+      {enabled && next && !failing && (
+        <p className="text-gray-300 text-sm">
+          ${autopay.amountDue(loan).toFixed(2)} will be drawn from your balance on {next.dueDate.toLocaleDateString()}
+        </p>
+      )}
+      {failing && plan.nextAttemptAt && (
+        <p className="text-orange-400 text-sm">
+          Payment {plan.installment} failed ({plan.lastAttempt.message.toLowerCase()}). Retrying on {new Date(plan.nextAttemptAt).toLocaleDateString()}.
+        </p>
+      )}
+      {failing && !plan.nextAttemptAt && (
+        <p className="text-red-400 text-sm">
+          Payment {plan.installment} failed after {plan.attempts} attempts. Make it manually; autopay resumes with the next installment.
+        </p>
+      )}
+      {plan?.lastAttempt?.succeeded && (
+        <p className="text-gray-400 text-xs">
+          Last drew ${plan.lastAttempt.amount.toFixed(2)} on {new Date(plan.lastAttempt.at).toLocaleDateString()}
+        </p>
+      )}
+      <Button onClick={() => (enabled ? cancel(loan) : enroll(loan))} variant={enabled ? 'secondary' : 'primary'} className="w-full">
+        {enabled ? 'Turn Off Autopay' : 'Turn On Autopay'}
+      </Button>
+    </div>
+  );
+};
+
 const MyLoans = ({ setPaymentModal, setSelectedLoan }) => {
-  const { currentUser, fundedLoans } = useContext(AppContext);
+  const { currentUser, fundedLoans, loanRequests } = useContext(AppContext);
+  const { acknowledgeDisclosure, cancelRequest } = useFunding();
   const [activeTab, setActiveTab] = useState('borrowed');
+  const [scheduleLoanId, setScheduleLoanId] = useState(null);
+  const [disclosureLoanId, setDisclosureLoanId] = useState(null);
+  const [printingLoan, setPrintingLoan] = useState(null);
   
   const borrowedLoans = fundedLoans.filter(l => l.borrowerId === currentUser.id);
-  const fundedByMe = fundedLoans.filter(l => l.lenderId === currentUser.id);
+  const awaitingAcknowledgment = loanRequests.filter(l => l.borrowerId === currentUser.id && l.status === 'awaiting_acknowledgment');
+  const fundedByMe = fundedLoans.filter(l => loanNotes.isHolder(l, currentUser.id));
   
   const displayLoans = activeTab === 'borrowed' ? borrowedLoans : fundedByMe;
   
@@ -898,6 +4872,7 @@ const MyLoans = ({ setPaymentModal, setSelectedLoan }) => {
   return (
     <div className="space-y-6">
       <h1 className="text-3xl font-bold text-white">My Loans</h1>
+      {printingLoan && <PrintableDisclosure key={printingLoan.id} loan={printingLoan} onPrinted={() => setPrintingLoan(null)} />}
       
       <div className="flex gap-4 border-b border-gray-700">
         <button
@@ -922,6 +4897,30 @@ const MyLoans = ({ setPaymentModal, setSelectedLoan }) => {
         </button>
       </div>
       
+      {activeTab === 'borrowed' && awaitingAcknowledgment.map(request => (
+        <Card key={request.id} title="Action Required: Review Your Loan Disclosure" icon={AlertCircle}>
+          <div className="space-y-4">
+            <p className="text-gray-300 text-sm">
+              Your loan request has been funded for ${request.amount.toLocaleString()} at {request.interestRate}%.
+              Acknowledge the disclosure by {new Date(request.acknowledgmentDeadline).toLocaleString()} to receive the funds,
+              or the lenders' commitments will be returned.
+            </p>
+            <TilaDisclosure disclosure={request.disclosure} />
+            <div className="flex flex-col sm:flex-row gap-3">
+              <Button onClick={() => acknowledgeDisclosure(request.id, currentUser)} variant="success">
+                Acknowledge and Accept Loan
+              </Button>
+              <Button onClick={() => setPrintingLoan(request)} variant="secondary">
+                Print / Save PDF
+              </Button>
+              <Button onClick={() => cancelRequest(request.id, 'you declined the loan disclosure')} variant="danger">
+                Decline
+              </Button>
+            </div>
+          </div>
+        </Card>
+      ))}
+      
       {displayLoans.length === 0 ? (
         <div className="text-center py-12">
           <FileText className="w-16 h-16 text-gray-600 mx-auto mb-4" />
@@ -945,7 +4944,7 @@ const MyLoans = ({ setPaymentModal, setSelectedLoan }) => {
                       </p>
                     </div>
                     <div className={`px-3 py-1 rounded-full text-sm font-semibold ${styles.getStatusColor(loan.status)}`}>
-                      {loan.status.replace('_', ' ').toUpperCase()}
+                      {styles.getStatusLabel(loan.status).toUpperCase()}
                     </div>
                   </div>
                   
@@ -988,24 +4987,38 @@ const MyLoans = ({ setPaymentModal, setSelectedLoan }) => {
                     </p>
                   </div>
                   
-                  {activeTab === 'borrowed' && loan.status === 'active' && (
-                    <Button onClick={() => handleMakePayment(loan)} variant="success" className="w-full">
-                      Make Payment
-                    </Button>
+                  {activeTab === 'borrowed' && servicing.isOpen(loan) && (
+                    <>
+                      <Button onClick={() => handleMakePayment(loan)} variant="success" className="w-full">
+                        Make Payment
+                      </Button>
+                      <AutopayPanel loan={loan} />
+                    </>
                   )}
                   
                   {activeTab === 'funded' && (
-                    <div className="bg-gray-700 rounded-lg p-4">
-                      <p className="text-gray-400 text-sm mb-2">Expected Return</p>
-                      <p className="text-green-400 font-bold text-xl">
-                        ${calculations.calculateAmortization(loan.amount, loan.interestRate, loan.duration).totalInterest}
-                      </p>
-                    </div>
+                    <>
+                      <div className="bg-gray-700 rounded-lg p-4">
+                        <p className="text-gray-400 text-sm mb-2">Your Note</p>
+                        <p className="text-white font-bold text-xl">
+                          ${loanNotes.holding(loan, currentUser.id).toLocaleString()}
+                        </p>
+                        <p className="text-gray-400 text-xs mt-1">
+                          {(loanNotes.share(loan, currentUser.id) * 100).toFixed(1)}% of loan · {loan.notes.length} {loan.notes.length === 1 ? 'holder' : 'holders'}
+                        </p>
+                      </div>
+                      <div className="bg-gray-700 rounded-lg p-4">
+                        <p className="text-gray-400 text-sm mb-2">Expected Return</p>
+                        <p className="text-green-400 font-bold text-xl">
+                          ${(calculations.calculateAmortization(loan.amount, loan.interestRate, loan.duration).totalInterest * loanNotes.share(loan, currentUser.id)).toFixed(2)}
+                        </p>
+                      </div>
+                    </>
                   )}
                 </div>
               </div>
               
-              {loan.status === 'active' && calculations.generatePaymentSchedule(loan).length > 0 && (
+              {servicing.isOpen(loan) && calculations.generatePaymentSchedule(loan).length > 0 && (
                 <div className="mt-4 pt-4 border-t border-gray-700">
                   <h4 className="text-white font-semibold mb-3">Upcoming Payments</h4>
                   <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
@@ -1021,6 +5034,40 @@ const MyLoans = ({ setPaymentModal, setSelectedLoan }) => {
                   </div>
                 </div>
               )}
+              
+              <div className="mt-4 pt-4 border-t border-gray-700 space-y-3">
+                <button
+                  type="button"
+                  onClick={() => setScheduleLoanId(scheduleLoanId === loan.id ? null : loan.id)}
+                  className="text-sm text-indigo-400 hover:text-indigo-300 flex items-center gap-2"
+                >
+                  <Calendar className="w-4 h-4" />
+                  {scheduleLoanId === loan.id ? 'Hide Full Schedule' : 'View Full Schedule'}
+                </button>
+                {scheduleLoanId === loan.id && <AmortizationSchedule loan={loan} />}
+                {activeTab === 'borrowed' && loan.disclosure && (
+                  <>
+                    <div className="flex gap-4">
+                      <button
+                        type="button"
+                        onClick={() => setDisclosureLoanId(disclosureLoanId === loan.id ? null : loan.id)}
+                        className="text-sm text-indigo-400 hover:text-indigo-300 flex items-center gap-2"
+                      >
+                        <FileText className="w-4 h-4" />
+                        {disclosureLoanId === loan.id ? 'Hide Disclosure' : 'View Disclosure'}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => setPrintingLoan(loan)}
+                        className="text-sm text-indigo-400 hover:text-indigo-300"
+                      >
+                        Print / Save PDF
+                      </button>
+                    </div>
+                    {disclosureLoanId === loan.id && <TilaDisclosure disclosure={loan.disclosure} />}
+                  </>
+                )}
+              </div>
             </Card>
           ))}
         </div>
@@ -1033,50 +5080,119 @@ const MyLoans = ({ setPaymentModal, setSelectedLoan }) => {
 // UI COMPONENTS - REQUEST LOAN
 // ============================================================================
 
-const RequestLoan = () => {
-  const { currentUser, loanRequests, setLoanRequests, users } = useContext(AppContext);
+const RequestLoan = ({ setCurrentModal }) => {
+  const { currentUser, users, platformSettings } = useContext(AppContext);
   const { addNotification } = useNotifications();
   const { addHistory } = useLoanHistory();
+  const { openRequest } = useFunding();
+  const { matchRequest } = useAutoInvest();
+  const { assess } = useUnderwriting();
+  const { previewReport, pullReport } = useCreditBureau();
   const [amount, setAmount] = useState('');
   const [rate, setRate] = useState('');
   const [duration, setDuration] = useState('');
   const [purpose, setPurpose] = useState('');
+  const [annualIncome, setAnnualIncome] = useState('');
+  const [monthlyDebt, setMonthlyDebt] = useState('');
+  const [prepaymentPolicy, setPrepaymentPolicy] = useState(PREPAYMENT_CONFIG.policies[0].id);
+  const [acceptsPartialFunding, setAcceptsPartialFunding] = useState(false);
   const [errors, setErrors] = useState({});
   const [showPreview, setShowPreview] = useState(false);
+  const [acknowledgedTerms, setAcknowledgedTerms] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
   
-  const handleSubmit = () => {
+  const terms = {
+    amount: parseFloat(amount),
+    interestRate: parseFloat(rate),
+    duration: parseInt(duration),
+    purpose,
+    annualIncome: parseFloat(annualIncome) || null,
+    monthlyDebt: parseFloat(monthlyDebt) || null,
+    prepaymentPolicy
+  };
+  
+  // The grade, and so the band, moves with amount and duration; the rate itself only affects debt-to-income
+  const hasTerms = terms.amount > 0 && terms.duration > 0;
+  const assessment = hasTerms ? assess(currentUser, terms) : null;
+  const band = assessment && pricing.bandFor(assessment.grade, terms.duration);
+  const pricingPosition = band && pricing.position(terms.interestRate, band);
+  
+  // Acknowledging one set of terms does not carry over once any of them are edited
+  const disclosure = hasTerms && !isNaN(terms.interestRate) ? disclosures.build(terms) : null;
+  const acknowledged = disclosures.matches(acknowledgedTerms, terms);
+  
+  const handleSubmit = async () => {
+    if (!kyc.isVerified(currentUser)) {
+      addNotification(currentUser.id, 'error', 'Verify your identity before requesting a loan');
+      return;
+    }
+    
     const validationErrors = validators.validateLoanRequest(amount, rate, duration);
+    if (pricingPosition && platformSettings.pricingEnforcement === 'block') {
+      validationErrors.rate = `${pricing.describe(pricingPosition, band)}. Choose a rate between ${band.min}% and ${band.max}%.`;
+    }
+    if (!acknowledged) {
+      validationErrors.disclosure = 'Acknowledge the loan disclosure before submitting';
+    }
     if (Object.keys(validationErrors).length > 0) {
       setErrors(validationErrors);
       return;
     }
     
-    const riskRating = calculations.calculateRiskRating(
-      currentUser.creditScore,
-      parseFloat(amount),
-      parseInt(duration)
-    );
+    const checkPricing = (report) => {
+      const result = assess({ ...currentUser, creditScore: report.score }, terms, report);
+      const check = pricing.check(terms, result.grade);
+      const blocked = check.position && platformSettings.pricingEnforcement === 'block';
+      return { assessment: result, pricing: check, error: blocked ? `Your credit report puts this request in grade ${result.grade}. ${check.flag}.` : null };
+    };
+    
+    // Pricing is checked against a soft pull first, counting the inquiry this application adds, so a
+    // request that would be turned away never leaves a hard inquiry on the borrower's file. The pre-check
+    // isn't recorded; only the hard pull for a request that goes ahead is.
+    setIsSubmitting(true);
+    const softReport = await previewReport(currentUser, 'soft');
+    const precheck = softReport && checkPricing({ ...softReport, recentInquiries: softReport.recentInquiries + 1 });
+    if (!precheck || precheck.error) {
+      setIsSubmitting(false);
+      if (precheck) setErrors({ rate: precheck.error });
+      return;
+    }
+    
+    // Applying is a hard inquiry; the fresh report sets the grade the request is listed with
+    const report = await pullReport(currentUser, 'hard', 'Loan application');
+    setIsSubmitting(false);
+    if (!report) return;
+    
+    const { assessment: finalAssessment, pricing: finalPricing, error: pricingError } = checkPricing(report);
+    if (pricingError) {
+      setErrors({ rate: pricingError });
+      return;
+    }
     
     const newLoan = {
-      id: Date.now(),
+      id: generateId(),
       borrowerId: currentUser.id,
       borrowerName: currentUser.name,
-      borrowerCredit: currentUser.creditScore,
-      amount: parseFloat(amount),
-      interestRate: parseFloat(rate),
-      duration: parseInt(duration),
+      borrowerCredit: report.score,
+      ...terms,
       status: 'pending',
-      requestDate: new Date().toLocaleDateString(),
-      purpose,
-      riskRating
+      requestDate: clock.now().toLocaleDateString(),
+      riskRating: finalAssessment.grade,
+      underwriting: underwriting.listingSummary(finalAssessment),
+      pricingFlag: finalPricing.flag,
+      disclosure: disclosures.acknowledge(disclosure, currentUser.id),
+      acceptsPartialFunding,
+      commitments: [],
+      fundingDeadline: new Date(clock.now().getTime() + FUNDING_CONFIG.fundingWindowDays * MS_PER_DAY)
     };
     
-    setLoanRequests(prev => [...prev, newLoan]);
+    // Lenders with matching auto-invest rules commit before the request is listed
+    openRequest(newLoan, matchRequest(newLoan));
     addHistory(currentUser.id, 'requested', newLoan);
     addNotification(currentUser.id, 'loan_funded', `Loan request submitted for $${amount}`);
     
     // Notify potential lenders
-    users.filter(u => u.id !== currentUser.id).forEach(user => {
+    users.filter(u => u.id !== currentUser.id && access.can(u, 'fund_loans')).forEach(user => {
       addNotification(user.id, 'credit_request', `New loan request available: $${amount} at ${rate}%`);
     });
     
@@ -1085,6 +5201,11 @@ const RequestLoan = () => {
     setRate('');
     setDuration('');
     setPurpose('');
+    setAnnualIncome('');
+    setMonthlyDebt('');
+    setPrepaymentPolicy(PREPAYMENT_CONFIG.policies[0].id);
+    setAcceptsPartialFunding(false);
+    setAcknowledgedTerms(null);
     setErrors({});
     setShowPreview(false);
   };
@@ -1093,6 +5214,8 @@ const RequestLoan = () => {
     <div className="space-y-6">
       <h1 className="text-3xl font-bold text-white">Request a Loan</h1>
       
+      <VerificationBanner action="request a loan" onVerify={() => setCurrentModal('verification')} />
+      
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         <Card title="Loan Details" icon={FileText}>
           <div className="space-y-4">
@@ -1121,6 +5244,17 @@ const RequestLoan = () => {
               error={errors.rate}
             />
             
+            {band && (
+              <RateGuidance
+                band={band}
+                rate={terms.interestRate}
+                onUseSuggested={(suggested) => {
+                  setRate(String(suggested));
+                  setShowPreview(false);
+                }}
+              />
+            )}
+            
             <Input
               label="Duration (months)"
               type="number"
@@ -1133,6 +5267,35 @@ const RequestLoan = () => {
               error={errors.duration}
             />
             
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-300">Prepayment Penalty</label>
+              <select
+                value={prepaymentPolicy}
+                onChange={(e) => {
+                  setPrepaymentPolicy(e.target.value);
+                  setShowPreview(false);
+                }}
+                className="w-full bg-gray-700 text-white rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              >
+                {PREPAYMENT_CONFIG.policies.map(policy => (
+                  <option key={policy.id} value={policy.id}>{policy.label}</option>
+                ))}
+              </select>
+            </div>
+            
+            <label className="flex items-start gap-3 bg-gray-700 rounded-lg p-3 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={acceptsPartialFunding}
+                onChange={(e) => setAcceptsPartialFunding(e.target.checked)}
+                className="w-5 h-5 mt-0.5 accent-indigo-600"
+              />
+              <span className="text-gray-300 text-sm">
+                Accept a smaller loan if at least {FUNDING_CONFIG.minFundedPercentToIssue}% is raised by the funding deadline.
+                You'll review a new disclosure for the amount raised before receiving funds.
+              </span>
+            </label>
+            
             <div className="space-y-2">
               <label className="block text-sm font-medium text-gray-300">Purpose</label>
               <textarea
@@ -1144,6 +5307,23 @@ const RequestLoan = () => {
               />
             </div>
             
+            <div className="grid grid-cols-2 gap-4">
+              <Input
+                label="Annual Income (optional)"
+                type="number"
+                value={annualIncome}
+                onChange={(e) => setAnnualIncome(e.target.value)}
+                placeholder="e.g., 65000"
+              />
+              <Input
+                label="Monthly Debt Payments (optional)"
+                type="number"
+                value={monthlyDebt}
+                onChange={(e) => setMonthlyDebt(e.target.value)}
+                placeholder="e.g., 450"
+              />
+            </div>
+            
             <Button
               onClick={() => setShowPreview(true)}
               variant="secondary"
@@ -1153,195 +5333,656 @@ const RequestLoan = () => {
               Preview Loan
             </Button>
             
-            <Button
-              onClick={handleSubmit}
-              variant="success"
-              className="w-full"
-              disabled={!amount || !rate || !duration || !showPreview}
-            >
-              Submit Loan Request
-            </Button>
+            <Button
+              onClick={handleSubmit}
+              variant="success"
+              className="w-full"
+              disabled={!amount || !rate || !duration || !showPreview || !acknowledged || isSubmitting || !kyc.isVerified(currentUser)}
+            >
+              {isSubmitting ? 'Checking Credit...' : 'Submit Loan Request'}
+            </Button>
+            <p className="text-gray-400 text-xs text-center">
+              Your rate is checked with a soft inquiry first; a hard inquiry is only run once the request can be listed
+            </p>
+          </div>
+        </Card>
+        
+        <div className="space-y-6">
+          <Card title="Your Profile" icon={Users}>
+            <div className="space-y-3">
+              <div className="flex justify-between p-3 bg-gray-700 rounded-lg">
+                <span className="text-gray-300">Credit Score</span>
+                <span className="text-white font-bold">{currentUser.creditScore}</span>
+              </div>
+              <div className="flex justify-between p-3 bg-gray-700 rounded-lg">
+                <span className="text-gray-300">Account Age</span>
+                <span className="text-white font-bold">
+                  {Math.floor((clock.now() - currentUser.accountCreated) / (1000 * 60 * 60 * 24))} days
+                </span>
+              </div>
+              <div className="flex justify-between p-3 bg-gray-700 rounded-lg">
+                <span className="text-gray-300">Risk Profile</span>
+                <span className="text-white font-bold capitalize">{currentUser.riskProfile}</span>
+              </div>
+              <div className="flex justify-between p-3 bg-gray-700 rounded-lg">
+                <span className="text-gray-300">Identity</span>
+                <span className={`font-bold ${kyc.statusColor(currentUser.kycStatus)}`}>{kyc.statusLabel(currentUser.kycStatus)}</span>
+              </div>
+            </div>
+          </Card>
+          
+          {showPreview && amount && rate && duration && (
+            <Card title="Loan Preview" icon={DollarSign}>
+              <LoanPreview amount={amount} rate={rate} duration={duration} band={band} />
+              <div className="mt-4">
+                <UnderwritingSummary assessment={assessment} />
+              </div>
+              {disclosure && (
+                <div className="mt-4 space-y-3">
+                  <TilaDisclosure disclosure={disclosure} />
+                  <label className="flex items-start gap-3 bg-gray-700 rounded-lg p-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={acknowledged}
+                      onChange={(e) => setAcknowledgedTerms(e.target.checked ? disclosure : null)}
+                      className="w-5 h-5 mt-0.5 accent-indigo-600"
+                    />
+                    <span className="text-gray-300 text-sm">
+                      I have read this disclosure and agree to these terms if the loan is funded in full
+                    </span>
+                  </label>
+                  {errors.disclosure && <p className="text-red-400 text-sm">{errors.disclosure}</p>}
+                </div>
+              )}
+            </Card>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// UI COMPONENTS - NEGOTIATIONS
+// ============================================================================
+
+const Negotiations = ({ setCounterOfferModal, setSelectedLoan, setSelectedNegotiation, setCounterAmount, setCounterRate, setCounterDuration }) => {
+  const { currentUser, negotiations, loanRequests, platformSettings } = useContext(AppContext);
+  const { accept, reject, withdraw } = useNegotiations();
+  const { confirmReservation, declineReservation } = useFunding();
+  const { requiresStepUp, confirmStepUp } = useMfa();
+  const [mfaCode, setMfaCode] = useState('');
+  
+  // The request this thread's accepted terms are currently reserved on, if any
+  const reservedRequest = (thread) => loanRequests.find(l =>
+    l.id === thread.loanId && l.status === 'reserved' && l.reservation.negotiationId === thread.id
+  ) || null;
+  
+  const myThreads = negotiations.filter(t => negotiationThreads.isParty(t, currentUser.id)).reverse();
+  const openThreads = myThreads.filter(t => negotiationThreads.isOpen(t) || reservedRequest(t));
+  const pastThreads = myThreads.filter(t => !negotiationThreads.isOpen(t) && !reservedRequest(t));
+  
+  const handleConfirmFunding = async (request) => {
+    if (!await confirmStepUp(currentUser, request.reservation.amount, mfaCode)) return;
+    if (confirmReservation(request.id, currentUser)) setMfaCode('');
+  };
+  
+  const handleCounter = (thread) => {
+    const loan = loanRequests.find(l => l.id === thread.loanId);
+    if (!loan) return;
+    
+    const latest = negotiationThreads.latest(thread);
+    setSelectedLoan(loan);
+    setSelectedNegotiation(thread);
+    setCounterAmount(latest.amount);
+    setCounterRate(latest.interestRate);
+    setCounterDuration(latest.duration);
+    setCounterOfferModal(true);
+  };
+  
+  const renderThread = (thread) => {
+    const isLender = thread.lenderId === currentUser.id;
+    const status = negotiationThreads.status(thread);
+    const latest = negotiationThreads.latest(thread);
+    const isMyTurn = status === 'open' && negotiationThreads.awaitingUserId(thread) === currentUser.id;
+    const counterpartyName = isLender ? thread.borrowerName : thread.lenderName;
+    const reserved = reservedRequest(thread);
+    const terms = [
+      { label: 'Amount', original: `$${thread.original.amount.toLocaleString()}`, proposed: `$${latest.amount.toLocaleString()}` },
+      { label: 'Rate', original: `${thread.original.interestRate}%`, proposed: `${latest.interestRate}%` },
+      { label: 'Duration', original: `${thread.original.duration}mo`, proposed: `${latest.duration}mo` }
+    ];
+    
+    return (
+      <Card key={thread.id}>
+        <div className="space-y-4">
+          <div className="flex justify-between items-start gap-3">
+            <div>
+              <h3 className="text-white font-bold text-xl">Negotiation with {counterpartyName}</h3>
+              <p className="text-gray-400 text-sm mt-1">
+                Started {new Date(thread.timestamp).toLocaleDateString()} · {thread.rounds.length} {thread.rounds.length === 1 ? 'proposal' : 'proposals'}
+              </p>
+            </div>
+            {status === 'open' ? (
+              <div className={`px-3 py-1 rounded-full text-sm font-semibold border ${isMyTurn ? 'bg-yellow-900 border-yellow-700 text-yellow-200' : 'bg-blue-900 border-blue-700 text-blue-200'}`}>
+                {isMyTurn ? 'Your turn' : `Waiting for ${counterpartyName}`}
+              </div>
+            ) : reserved ? (
+              <div className="px-3 py-1 rounded-full text-sm font-semibold border bg-indigo-900 border-indigo-700 text-indigo-200">
+                Awaiting funding
+              </div>
+            ) : (
+              <span className={`capitalize font-semibold ${styles.getStatusColor(status)}`}>{status}</span>
+            )}
+          </div>
+          
+          <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+            {terms.map(term => (
+              <div key={term.label} className="bg-gray-700 rounded-lg p-3">
+                <p className="text-gray-400 text-xs mb-1">Original {term.label}</p>
+                <p className="text-white font-semibold line-through">{term.original}</p>
+                <p className="text-indigo-400 font-bold text-lg">{term.proposed}</p>
+              </div>
+            ))}
+            <div className="bg-gray-700 rounded-lg p-3">
+              <p className="text-gray-400 text-xs mb-1">New Monthly</p>
+              <p className="text-indigo-400 font-bold text-lg">
+                ${calculations.calculateAmortization(latest.amount, latest.interestRate, latest.duration).monthlyPayment}
+              </p>
+            </div>
+          </div>
+          
+          {status === 'open' && (
+            <>
+              <LoanPreview amount={latest.amount} rate={latest.interestRate} duration={latest.duration} />
+              <p className="text-gray-400 text-sm">
+                Latest proposal expires {new Date(latest.expiresAt).toLocaleString()}
+              </p>
+            </>
+          )}
+          
+          <div className="space-y-2">
+            <h4 className="text-white font-semibold text-sm">History</h4>
+            {thread.rounds.map((round, index) => (
+              <div key={round.id} className={`rounded-lg p-3 text-sm ${round.by === currentUser.id ? 'bg-indigo-900 ml-6' : 'bg-gray-700 mr-6'}`}>
+                <div className="flex justify-between gap-2">
+                  <span className="text-white font-semibold">
+                    {index + 1}. {round.by === currentUser.id ? 'You' : round.byName} proposed ${round.amount.toLocaleString()} at {round.interestRate}% for {round.duration}mo
+                  </span>
+                  <span className="text-gray-400 text-xs whitespace-nowrap">{new Date(round.createdAt).toLocaleString()}</span>
+                </div>
+                {round.message && <p className="text-gray-300 mt-1">"{round.message}"</p>}
+              </div>
+            ))}
+            {thread.closedReason && <p className="text-gray-400 text-xs">Closed: {thread.closedReason}</p>}
+          </div>
+          
+          {isMyTurn && !isLender && (
+            <div className="space-y-2">
+              <TilaDisclosure disclosure={disclosures.build({ ...latest, prepaymentPolicy: loanRequests.find(r => r.id === thread.loanId)?.prepaymentPolicy })} />
+              <p className="text-gray-400 text-xs">
+                Accepting acknowledges this disclosure and reserves ${latest.amount.toLocaleString()} of {thread.lenderName}'s cash for your loan.
+              </p>
+            </div>
+          )}
+          
+          {reserved && (
+            <div className="bg-indigo-900 border border-indigo-700 rounded-lg p-4 space-y-3">
+              <p className="text-indigo-200 text-sm">
+                {isLender
+                  ? `$${reserved.reservation.amount.toLocaleString()} of your balance is held for this loan. Confirm by ${new Date(reserved.reservation.expiresAt).toLocaleString()} or the hold is released.`
+                  : `${thread.lenderName} has until ${new Date(reserved.reservation.expiresAt).toLocaleString()} to confirm funding. The request is off the marketplace until then.`}
+              </p>
+              {isLender && (
+                <>
+                  {requiresStepUp(currentUser, reserved.reservation.amount) && (
+                    <Input
+                      label={`Authentication Code (required above $${platformSettings.stepUpThreshold.toLocaleString()})`}
+                      value={mfaCode}
+                      onChange={(e) => setMfaCode(e.target.value)}
+                      placeholder="123456"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                    />
+                  )}
+                  <div className="flex gap-3">
+                    <Button onClick={() => handleConfirmFunding(reserved)} variant="success" className="flex-1">
+                      Confirm Funding ${reserved.reservation.amount.toLocaleString()}
+                    </Button>
+                    <Button onClick={() => declineReservation(reserved.id, currentUser)} variant="danger" className="flex-1">
+                      Decline
+                    </Button>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+          
+          {isMyTurn && (
+            <div className="flex gap-3">
+              <Button onClick={() => accept(thread.id)} variant="success" className="flex-1">
+                Accept
+              </Button>
+              <Button onClick={() => handleCounter(thread)} variant="primary" className="flex-1">
+                Counter
+              </Button>
+              <Button onClick={() => reject(thread.id)} variant="danger" className="flex-1">
+                Reject
+              </Button>
+            </div>
+          )}
+          {status === 'open' && !isMyTurn && (
+            <Button onClick={() => withdraw(thread.id)} variant="secondary" className="w-full">
+              Withdraw Proposal
+            </Button>
+          )}
+        </div>
+      </Card>
+    );
+  };
+  
+  return (
+    <div className="space-y-6">
+      <h1 className="text-3xl font-bold text-white">Negotiations</h1>
+      
+      {openThreads.length === 0 ? (
+        <div className="text-center py-12">
+          <Users className="w-16 h-16 text-gray-600 mx-auto mb-4" />
+          <p className="text-gray-400 text-lg">No active negotiations</p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {openThreads.map(renderThread)}
+        </div>
+      )}
+      
+      {pastThreads.length > 0 && (
+        <>
+          <h2 className="text-xl font-bold text-white">Past Negotiations</h2>
+          <div className="space-y-4">
+            {pastThreads.map(renderThread)}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// ============================================================================
+// UI COMPONENTS - AUTO INVEST
+// ============================================================================
+
+const AutoInvest = () => {
+  const { currentUser } = useContext(AppContext);
+  const { addNotification } = useNotifications();
+  const { saveRules, userLog } = useAutoInvest();
+  const savedRules = autoInvest.rulesFor(currentUser);
+  const [enabled, setEnabled] = useState(savedRules.enabled);
+  const [allowedGrades, setAllowedGrades] = useState(savedRules.allowedGrades);
+  const [minRate, setMinRate] = useState(String(savedRules.minRate));
+  const [maxTerm, setMaxTerm] = useState(String(savedRules.maxTerm));
+  const [maxPerLoan, setMaxPerLoan] = useState(String(savedRules.maxPerLoan));
+  const [cashReserve, setCashReserve] = useState(String(savedRules.cashReserve));
+  const [errors, setErrors] = useState({});
+  
+  const loadRules = (rules) => {
+    setEnabled(rules.enabled);
+    setAllowedGrades(rules.allowedGrades);
+    setMinRate(String(rules.minRate));
+    setMaxTerm(String(rules.maxTerm));
+    setMaxPerLoan(String(rules.maxPerLoan));
+    setCashReserve(String(rules.cashReserve));
+    setErrors({});
+  };
+  
+  const toggleGrade = (grade) => {
+    setAllowedGrades(prev => prev.includes(grade) ? prev.filter(g => g !== grade) : [...prev, grade]);
+  };
+  
+  const handleSave = () => {
+    const validationErrors = {};
+    if (allowedGrades.length === 0) validationErrors.grades = 'Select at least one risk grade';
+    if (isNaN(parseFloat(minRate)) || parseFloat(minRate) < 0) validationErrors.minRate = 'Enter a valid rate';
+    if (!(parseInt(maxTerm) > 0)) validationErrors.maxTerm = 'Enter a valid term';
+    if (!(parseFloat(maxPerLoan) >= FUNDING_CONFIG.minCommitment)) {
+      validationErrors.maxPerLoan = `Must be at least $${FUNDING_CONFIG.minCommitment}`;
+    }
+    if (isNaN(parseFloat(cashReserve)) || parseFloat(cashReserve) < 0) validationErrors.cashReserve = 'Enter a valid amount';
+    
+    if (Object.keys(validationErrors).length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+    
+    saveRules(currentUser.id, {
+      enabled,
+      allowedGrades: RISK_GRADES.filter(g => allowedGrades.includes(g)),
+      minRate: parseFloat(minRate),
+      maxTerm: parseInt(maxTerm),
+      maxPerLoan: parseFloat(maxPerLoan),
+      cashReserve: parseFloat(cashReserve)
+    });
+    setErrors({});
+    addNotification(currentUser.id, 'login', enabled ? 'Auto-invest rules saved and enabled' : 'Auto-invest rules saved');
+  };
+  
+  return (
+    <div className="space-y-6">
+      <h1 className="text-3xl font-bold text-white">Auto Invest</h1>
+      
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <Card title="Investment Rules" icon={Zap}>
+          <div className="space-y-4">
+            <label className="flex items-center justify-between bg-gray-700 rounded-lg p-4 cursor-pointer">
+              <div>
+                <p className="text-white font-semibold">Automatically fund new requests</p>
+                <p className="text-gray-400 text-sm">Matching requests are funded as soon as they are listed</p>
+              </div>
+              <input
+                type="checkbox"
+                checked={enabled}
+                onChange={(e) => setEnabled(e.target.checked)}
+                className="w-5 h-5 accent-indigo-600"
+              />
+            </label>
+            
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-300">Allowed Risk Grades</label>
+              <div className="grid grid-cols-3 gap-2">
+                {RISK_GRADES.map(grade => (
+                  <button
+                    type="button"
+                    key={grade}
+                    onClick={() => toggleGrade(grade)}
+                    className={`px-3 py-2 rounded-lg text-sm font-semibold transition ${
+                      allowedGrades.includes(grade)
+                        ? 'bg-indigo-600 text-white'
+                        : 'bg-gray-700 text-gray-400 hover:bg-gray-600'
+                    }`}
+                  >
+                    {grade}
+                  </button>
+                ))}
+              </div>
+              {errors.grades && <p className="text-red-400 text-sm">{errors.grades}</p>}
+            </div>
+            
+            <div className="grid grid-cols-2 gap-4">
+              <Input
+                label="Minimum Rate (%)"
+                type="number"
+                step="0.1"
+                value={minRate}
+                onChange={(e) => setMinRate(e.target.value)}
+                error={errors.minRate}
+              />
+              <Input
+                label="Maximum Term (months)"
+                type="number"
+                value={maxTerm}
+                onChange={(e) => setMaxTerm(e.target.value)}
+                error={errors.maxTerm}
+              />
+              <Input
+                label="Per-Loan Cap ($)"
+                type="number"
+                value={maxPerLoan}
+                onChange={(e) => setMaxPerLoan(e.target.value)}
+                error={errors.maxPerLoan}
+              />
+              <Input
+                label="Cash Reserve ($)"
+                type="number"
+                value={cashReserve}
+                onChange={(e) => setCashReserve(e.target.value)}
+                error={errors.cashReserve}
+              />
+            </div>
+            
+            <div className="flex gap-2">
+              <Button onClick={handleSave} variant="primary" className="flex-1">
+                Save Rules
+              </Button>
+              <Button
+                onClick={() => loadRules({ ...autoInvest.defaultRules(currentUser.riskProfile), enabled })}
+                variant="secondary"
+                className="flex-1"
+              >
+                Use {currentUser.riskProfile} preset
+              </Button>
+            </div>
           </div>
         </Card>
         
-        <div className="space-y-6">
-          <Card title="Your Profile" icon={Users}>
-            <div className="space-y-3">
-              <div className="flex justify-between p-3 bg-gray-700 rounded-lg">
-                <span className="text-gray-300">Credit Score</span>
-                <span className="text-white font-bold">{currentUser.creditScore}</span>
-              </div>
-              <div className="flex justify-between p-3 bg-gray-700 rounded-lg">
-                <span className="text-gray-300">Account Age</span>
-                <span className="text-white font-bold">
-                  {Math.floor((Date.now() - currentUser.accountCreated) / (1000 * 60 * 60 * 24))} days
-                </span>
-              </div>
-              <div className="flex justify-between p-3 bg-gray-700 rounded-lg">
-                <span className="text-gray-300">Risk Profile</span>
-                <span className="text-white font-bold capitalize">{currentUser.riskProfile}</span>
-              </div>
-              <div className="flex justify-between p-3 bg-gray-700 rounded-lg">
-                <span className="text-gray-300">Verified</span>
-                <span className="text-green-400 font-bold">{currentUser.verified ? 'Yes' : 'No'}</span>
-              </div>
+        <Card title="How It Works" icon={AlertCircle}>
+          <div className="space-y-3 text-gray-300 text-sm">
+            <p>When a borrower submits a request, it is checked against your rules in this order:</p>
+            <ol className="list-decimal list-inside space-y-1">
+              <li>The request's risk grade must be one you allow</li>
+              <li>The rate must be at or above your minimum</li>
+              <li>The term must be at or below your maximum</li>
+              <li>Your balance above the cash reserve must cover at least ${FUNDING_CONFIG.minCommitment}</li>
+            </ol>
+            <p>
+              Matching requests receive up to your per-loan cap. Your {currentUser.riskProfile} risk
+              profile sets the starting grades, which you can adjust at any time.
+            </p>
+            <div className="bg-gray-700 rounded-lg p-4 flex justify-between">
+              <span className="text-gray-400">Available to auto-invest</span>
+              <span className="text-white font-semibold">
+                ${Math.max(0, roundCents(currentUser.accountBalance - (parseFloat(cashReserve) || 0))).toLocaleString()}
+              </span>
             </div>
-          </Card>
-          
-          {showPreview && amount && rate && duration && (
-            <Card title="Loan Preview" icon={DollarSign}>
-              <LoanPreview amount={amount} rate={rate} duration={duration} />
-              <div className="mt-4 p-3 bg-gray-700 rounded-lg">
-                <p className="text-gray-400 text-sm mb-1">Estimated Risk Rating</p>
-                <p className={`font-bold text-xl ${styles.getRiskColor(calculations.calculateRiskRating(currentUser.creditScore, parseFloat(amount), parseInt(duration)))}`}>
-                  {calculations.calculateRiskRating(currentUser.creditScore, parseFloat(amount), parseInt(duration))}
-                </p>
-              </div>
-            </Card>
-          )}
-        </div>
+          </div>
+        </Card>
       </div>
+      
+      <Card title="Decision Log" icon={FileText}>
+        {userLog.length === 0 ? (
+          <p className="text-gray-400">No auto-invest decisions yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-400 text-left border-b border-gray-700">
+                  <th className="py-2 pr-4">Date</th>
+                  <th className="py-2 pr-4">Request</th>
+                  <th className="py-2 pr-4">Decision</th>
+                  <th className="py-2">Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {userLog.map(entry => (
+                  <tr key={entry.id} className="border-b border-gray-700 text-gray-300">
+                    <td className="py-2 pr-4 whitespace-nowrap">{new Date(entry.timestamp).toLocaleDateString()}</td>
+                    <td className="py-2 pr-4 whitespace-nowrap">
+                      {entry.borrowerName} · ${entry.loanAmount.toLocaleString()} · {entry.riskRating}
+                    </td>
+                    <td className={`py-2 pr-4 font-semibold whitespace-nowrap ${entry.invested ? 'text-green-400' : 'text-gray-400'}`}>
+                      {entry.invested ? `Invested $${entry.amount.toLocaleString()}` : 'Skipped'}
+                    </td>
+                    <td className="py-2">{entry.reason}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
     </div>
   );
 };
 
 // ============================================================================
-// UI COMPONENTS - NEGOTIATIONS
+// UI COMPONENTS - SECONDARY MARKET
 // ============================================================================
 
-const Negotiations = ({ setCounterOfferModal, setSelectedLoan, setCounterAmount, setCounterRate, setCounterDuration }) => {
-  const { currentUser, negotiations, setNegotiations, loanRequests, setLoanRequests } = useContext(AppContext);
-  const { addNotification } = useNotifications();
-  const { addHistory } = useLoanHistory();
+const SecondaryMarket = () => {
+  const { currentUser, fundedLoans, ledgerEntries, noteListings } = useContext(AppContext);
+  const { quote, openListings, listNote, cancelListing, buyNote } = useSecondaryMarket();
+  const [markups, setMarkups] = useState({});
   
-  const myNegotiations = negotiations.filter(n => 
-    n.borrowerId === currentUser.id || n.lenderId === currentUser.id
-  );
+  const availableListings = openListings
+    .filter(listing => listing.sellerId !== currentUser.id)
+    .map(listing => ({ listing, pricing: quote(listing) }))
+    .filter(({ listing, pricing }) => pricing && secondaryMarket.canList(pricing.loan, listing.sellerId));
   
-  const handleAcceptOffer = (negotiation) => {
-    const loan = loanRequests.find(l => l.id === negotiation.loanId);
-    if (!loan) return;
-    
-    // Update the loan with accepted terms
-    setLoanRequests(prev => prev.map(l => 
-      l.id === negotiation.loanId
-        ? { ...l, amount: negotiation.counterAmount, interestRate: negotiation.counterRate, duration: negotiation.counterDuration }
-        : l
-    ));
-    
-    // Remove negotiation
-    setNegotiations(prev => prev.filter(n => n.id !== negotiation.id));
-    
-    addNotification(negotiation.lenderId, 'counter_offer', `${currentUser.name} accepted your counter offer`);
-    addNotification(currentUser.id, 'counter_offer', 'You accepted the counter offer');
-    addHistory(currentUser.id, 'accepted_offer', loan);
-  };
+  const myListings = noteListings.filter(l => l.sellerId === currentUser.id || l.buyerId === currentUser.id).slice(-10).reverse();
+  
+  const myPositions = fundedLoans.filter(loan =>
+    secondaryMarket.canList(loan, currentUser.id) &&
+    !openListings.some(l => l.loanId === loan.id && l.sellerId === currentUser.id)
+  );
   
-  const handleRejectOffer = (negotiation) => {
-    setNegotiations(prev => prev.filter(n => n.id !== negotiation.id));
-    addNotification(negotiation.lenderId, 'counter_offer', `${currentUser.name} rejected your counter offer`);
-    addNotification(currentUser.id, 'counter_offer', 'You rejected the counter offer');
+  const formatMarkup = (markupPercent) => {
+    if (markupPercent === 0) return 'At par';
+    return markupPercent > 0 ? `${markupPercent}% premium` : `${Math.abs(markupPercent)}% discount`;
   };
   
-  const handleModifyOffer = (negotiation) => {
-    const loan = loanRequests.find(l => l.id === negotiation.loanId);
-    if (!loan) return;
-    
-    setSelectedLoan(loan);
-    setCounterAmount(negotiation.counterAmount);
-    setCounterRate(negotiation.counterRate);
-    setCounterDuration(negotiation.counterDuration);
-    setCounterOfferModal(true);
+  const handleList = (loan) => {
+    const markupPercent = parseFloat(markups[loan.id] ?? '0');
+    if (listNote(loan, currentUser, markupPercent)) {
+      setMarkups(prev => ({ ...prev, [loan.id]: '' }));
+    }
   };
   
   return (
     <div className="space-y-6">
-      <h1 className="text-3xl font-bold text-white">Negotiations</h1>
+      <h1 className="text-3xl font-bold text-white">Trade Notes</h1>
       
-      {myNegotiations.length === 0 ? (
-        <div className="text-center py-12">
-          <Users className="w-16 h-16 text-gray-600 mx-auto mb-4" />
-          <p className="text-gray-400 text-lg">No active negotiations</p>
-        </div>
-      ) : (
-        <div className="space-y-4">
-          {myNegotiations.map(negotiation => {
-            const isLender = negotiation.lenderId === currentUser.id;
-            const isBorrower = negotiation.borrowerId === currentUser.id;
-            
-            return (
-              <Card key={negotiation.id}>
-                <div className="space-y-4">
-                  <div className="flex justify-between items-start">
-                    <div>
-                      <h3 className="text-white font-bold text-xl">
-                        {isLender ? `Counter offer to ${negotiation.borrowerName}` : `Counter offer from ${negotiation.lenderName}`}
-                      </h3>
-                      <p className="text-gray-400 text-sm mt-1">
-                        Submitted on {new Date(negotiation.timestamp).toLocaleDateString()}
-                      </p>
-                    </div>
-                    <div className="px-3 py-1 bg-blue-900 border border-blue-700 rounded-full text-blue-200 text-sm font-semibold">
-                      Pending
-                    </div>
+      <Card title="Notes For Sale" icon={ArrowLeftRight}>
+        {availableListings.length === 0 ? (
+          <p className="text-gray-400">No notes are listed for sale right now</p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {availableListings.map(({ listing, pricing }) => (
+              <div key={listing.id} className="bg-gray-700 rounded-lg p-4 space-y-3">
+                <div className="flex justify-between items-start">
+                  <div>
+                    <p className="text-white font-semibold">{pricing.loan.borrowerName}</p>
+                    <p className="text-gray-400 text-sm">Sold by {listing.sellerName}</p>
                   </div>
-                  
-                  <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
-                    <div className="bg-gray-700 rounded-lg p-3">
-                      <p className="text-gray-400 text-xs mb-1">Original Amount</p>
-                      <p className="text-white font-semibold line-through">${negotiation.originalAmount.toLocaleString()}</p>
-                      <p className="text-indigo-400 font-bold text-lg">${negotiation.counterAmount.toLocaleString()}</p>
-                    </div>
-                    <div className="bg-gray-700 rounded-lg p-3">
-                      <p className="text-gray-400 text-xs mb-1">Original Rate</p>
-                      <p className="text-white font-semibold line-through">{negotiation.originalRate}%</p>
-                      <p className="text-indigo-400 font-bold text-lg">{negotiation.counterRate}%</p>
+                  <span className={`px-3 py-1 rounded-full text-xs font-semibold ${styles.getRiskColor(pricing.loan.riskRating)}`}>
+                    {pricing.loan.riskRating}
+                  </span>
+                </div>
+                
+                <div className="grid grid-cols-2 gap-2 text-sm">
+                  <div>
+                    <p className="text-gray-400">Outstanding Principal</p>
+                    <p className="text-white font-semibold">${pricing.parValue.toLocaleString()}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-400">Price</p>
+                    <p className="text-white font-semibold">${pricing.price.toLocaleString()}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-400">Loan Rate</p>
+                    <p className="text-white font-semibold">{pricing.loan.interestRate}%</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-400">Yield to Maturity</p>
+                    <p className="text-green-400 font-semibold">{pricing.yieldToMaturity.toFixed(2)}%</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-400">Payments Left</p>
+                    <p className="text-white font-semibold">{pricing.loan.totalPayments - pricing.loan.paymentsMade}</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-400">Pricing</p>
+                    <p className={`font-semibold ${listing.markupPercent < 0 ? 'text-green-400' : 'text-yellow-400'}`}>
+                      {formatMarkup(listing.markupPercent)}
+                    </p>
+                  </div>
+                </div>
+                
+                <Button
+                  onClick={() => buyNote(listing.id, currentUser)}
+                  variant="success"
+                  className="w-full"
+                  disabled={pricing.loan.borrowerId === currentUser.id || currentUser.accountBalance < pricing.price}
+                >
+                  Buy for ${pricing.price.toLocaleString()}
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+      </Card>
+      
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <Card title="Sell a Note" icon={DollarSign}>
+          {myPositions.length === 0 ? (
+            <p className="text-gray-400">You have no unlisted notes in active loans</p>
+          ) : (
+            <div className="space-y-3">
+              {myPositions.map(loan => {
+                const markupPercent = parseFloat(markups[loan.id] ?? '0') || 0;
+                const parValue = secondaryMarket.parValue(ledgerEntries, loan, currentUser.id);
+                const price = secondaryMarket.askPrice(parValue, markupPercent);
+                const yieldToMaturity = calculations.yieldToMaturity(price, secondaryMarket.cashFlows(loan, currentUser.id));
+                
+                return (
+                  <div key={loan.id} className="bg-gray-700 rounded-lg p-4 space-y-3">
+                    <div className="flex justify-between">
+                      <p className="text-white font-semibold">{loan.borrowerName}</p>
+                      <p className="text-gray-400 text-sm">Par ${parValue.toLocaleString()}</p>
                     </div>
-                    <div className="bg-gray-700 rounded-lg p-3">
-                      <p className="text-gray-400 text-xs mb-1">Original Duration</p>
-                      <p className="text-white font-semibold line-through">{negotiation.originalDuration}mo</p>
-                      <p className="text-indigo-400 font-bold text-lg">{negotiation.counterDuration}mo</p>
+                    <div className="flex gap-2 items-end">
+                      <div className="flex-1">
+                        <Input
+                          label="Premium (+) / Discount (-) %"
+                          type="number"
+                          step="0.5"
+                          value={markups[loan.id] ?? ''}
+                          onChange={(e) => setMarkups(prev => ({ ...prev, [loan.id]: e.target.value }))}
+                          placeholder="0"
+                        />
+                      </div>
+                      <Button onClick={() => handleList(loan)} variant="primary">
+                        List
+                      </Button>
                     </div>
-                    <div className="bg-gray-700 rounded-lg p-3">
-                      <p className="text-gray-400 text-xs mb-1">New Monthly</p>
-                      <p className="text-indigo-400 font-bold text-lg">
-                        ${calculations.calculateAmortization(negotiation.counterAmount, negotiation.counterRate, negotiation.counterDuration).monthlyPayment}
+                    <p className="text-gray-400 text-sm">
+                      Asking ${price.toLocaleString()} · buyer yield {yieldToMaturity.toFixed(2)}%
+                    </p>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </Card>
+        
+        <Card title="My Trades" icon={FileText}>
+          {myListings.length === 0 ? (
+            <p className="text-gray-400">No listings or purchases yet</p>
+          ) : (
+            <div className="space-y-3">
+              {myListings.map(listing => {
+                const loan = fundedLoans.find(l => l.id === listing.loanId);
+                const isSeller = listing.sellerId === currentUser.id;
+                return (
+                  <div key={listing.id} className="bg-gray-700 rounded-lg p-4 flex justify-between items-center">
+                    <div>
+                      <p className="text-white font-semibold">{loan?.borrowerName || 'Closed loan'}</p>
+                      <p className="text-gray-400 text-sm">
+                        {listing.status === 'sold'
+                          ? `${isSeller ? `Sold to ${listing.buyerName}` : `Bought from ${listing.sellerName}`} for $${listing.price.toLocaleString()}`
+                          : `${formatMarkup(listing.markupPercent)} · ${listing.status}`}
                       </p>
                     </div>
-                  </div>
-                  
-                  <LoanPreview
-                    amount={negotiation.counterAmount}
-                    rate={negotiation.counterRate}
-                    duration={negotiation.counterDuration}
-                  />
-                  
-                  <div className="flex gap-3">
-                    {isBorrower && (
-                      <>
-                        <Button onClick={() => handleAcceptOffer(negotiation)} variant="success" className="flex-1">
-                          Accept Offer
-                        </Button>
-                        <Button onClick={() => handleModifyOffer(negotiation)} variant="primary" className="flex-1">
-                          Counter Again
-                        </Button>
-                        <Button onClick={() => handleRejectOffer(negotiation)} variant="danger" className="flex-1">
-                          Reject
-                        </Button>
-                      </>
-                    )}
-                    {isLender && (
-                      <div className="flex-1 bg-yellow-900 border border-yellow-700 rounded-lg p-3 text-center">
-                        <p className="text-yellow-200">Waiting for borrower's response</p>
-                      </div>
+                    {listing.status === 'open' && isSeller && (
+                      <Button onClick={() => cancelListing(listing.id)} variant="secondary">
+                        Cancel
+                      </Button>
                     )}
                   </div>
-                </div>
-              </Card>
-            );
-          })}
-        </div>
-      )}
+                );
+              })}
+            </div>
+          )}
+        </Card>
+      </div>
     </div>
   );
 };
@@ -1350,20 +5991,27 @@ const Negotiations = ({ setCounterOfferModal, setSelectedLoan, setCounterAmount,
 // UI COMPONENTS - ANALYTICS
 // ============================================================================
 
-const Analytics = () => {
-  const { currentUser, fundedLoans, loanRequests } = useContext(AppContext);
+const LenderAnalytics = () => {
+  const { currentUser, fundedLoans, loanRequests, ledgerEntries, loanHistory } = useContext(AppContext);
+  const [rangeMonths, setRangeMonths] = useState(ANALYTICS_CONFIG.defaultRangeMonths);
+  const [vintageMetric, setVintageMetric] = useState(ANALYTICS_CONFIG.vintageMetrics[0].key);
   
-  const myFundedLoans = fundedLoans.filter(l => l.lenderId === currentUser.id);
-  const myBorrowedLoans = fundedLoans.filter(l => l.borrowerId === currentUser.id);
+  const myFundedLoans = fundedLoans.filter(l => loanNotes.isHolder(l, currentUser.id));
   
-  const chartData = [
-    { month: 'Jan', invested: 5000, returns: 150 },
-    { month: 'Feb', invested: 8000, returns: 280 },
-    { month: 'Mar', invested: 12000, returns: 450 },
-    { month: 'Apr', invested: 15000, returns: 620 },
-    { month: 'May', invested: 18000, returns: 890 },
-    { month: 'Jun', invested: 25000, returns: 1850 },
-  ];
+  const series = useMemo(() =>
+    portfolioAnalytics.monthlySeries(ledgerEntries, loanHistory, currentUser.id, rangeMonths),
+    [ledgerEntries, loanHistory, currentUser.id, rangeMonths]
+  );
+  const summary = portfolioAnalytics.summarize(series);
+  
+  const performance = useMemo(() => ({
+    annualizedReturn: portfolioAnalytics.netAnnualizedReturn(ledgerEntries, currentUser.id),
+    losses: portfolioAnalytics.losses(fundedLoans, ledgerEntries, currentUser.id),
+    averages: portfolioAnalytics.weightedAverages(fundedLoans, ledgerEntries, currentUser.id),
+    vintages: portfolioAnalytics.vintages(fundedLoans, ledgerEntries, currentUser.id)
+  }), [fundedLoans, ledgerEntries, currentUser.id]);
+  const vintageData = portfolioAnalytics.vintageCurveData(performance.vintages, vintageMetric);
+  const formatMoney = (value) => `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
   
   const riskDistribution = [
     { risk: 'A', count: myFundedLoans.filter(l => l.riskRating?.startsWith('A')).length, color: 'bg-green-500' },
@@ -1373,48 +6021,96 @@ const Analytics = () => {
   
   return (
     <div className="space-y-6">
-      <h1 className="text-3xl font-bold text-white">Analytics Dashboard</h1>
+      <div className="flex justify-end">
+        <select
+          value={rangeMonths}
+          onChange={(e) => setRangeMonths(parseInt(e.target.value, 10))}
+          className="bg-gray-700 text-white rounded-lg px-4 py-2.5 md:py-2 text-sm md:text-base"
+        >
+          {ANALYTICS_CONFIG.rangeOptions.map(option => (
+            <option key={option.months} value={option.months}>{option.label}</option>
+          ))}
+        </select>
+      </div>
       
-      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
         <StatCard
-          title="Portfolio Value"
-          value={`$${myFundedLoans.reduce((sum, l) => sum + l.amount, 0).toLocaleString()}`}
+          title="Outstanding Principal"
+          value={formatMoney(summary.outstanding)}
           icon={DollarSign}
-          trend="up"
-          trendValue="+12.5%"
         />
         <StatCard
-          title="Average ROI"
-          value={`${calculations.calculateROI(currentUser.totalInvested, currentUser.totalReturns)}%`}
+          title="Interest Earned"
+          value={formatMoney(summary.interest)}
           icon={TrendingUp}
-          trend="up"
-          trendValue="+2.3%"
+        />
+        <StatCard
+          title="Net Return"
+          value={formatMoney(summary.netReturn)}
+          icon={Activity}
+          trend={summary.netReturn >= 0 ? 'up' : 'down'}
+          trendValue={`After ${formatMoney(summary.chargeOffs)} charged off`}
         />
         <StatCard
           title="Active Investments"
-          value={myFundedLoans.filter(l => l.status === 'active').length}
+          value={myFundedLoans.filter(servicing.isOpen).length}
           icon={Activity}
         />
       </div>
       
       <Card title="Investment Performance" icon={TrendingUp}>
         <ResponsiveContainer width="100%" height={300}>
-          <LineChart data={chartData}>
+          <LineChart data={series}>
             <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
             <XAxis dataKey="month" stroke="#9CA3AF" />
             <YAxis stroke="#9CA3AF" />
             <Tooltip
               contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151', borderRadius: '0.5rem' }}
               labelStyle={{ color: '#F3F4F6' }}
+              formatter={(value) => formatMoney(value)}
             />
             <Legend />
             <Line type="monotone" dataKey="invested" stroke="#6366F1" strokeWidth={2} name="Invested" />
-            <Line type="monotone" dataKey="returns" stroke="#10B981" strokeWidth={2} name="Returns" />
+            <Line type="monotone" dataKey="cashReceived" stroke="#3B82F6" strokeWidth={2} name="Cash Received" />
+            <Line type="monotone" dataKey="interest" stroke="#10B981" strokeWidth={2} name="Interest Earned" />
+            <Line type="monotone" dataKey="outstanding" stroke="#F59E0B" strokeWidth={2} name="Outstanding Principal" />
+            <Line type="monotone" dataKey="chargeOffs" stroke="#EF4444" strokeWidth={2} name="Charge-offs" />
           </LineChart>
         </ResponsiveContainer>
+        
+        <div className="overflow-x-auto mt-6">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-gray-400 text-left border-b border-gray-700">
+                <th className="py-2 pr-4">Month</th>
+                <th className="py-2 pr-4">Invested</th>
+                <th className="py-2 pr-4">Cash Received</th>
+                <th className="py-2 pr-4">Interest</th>
+                <th className="py-2 pr-4">Charge-offs</th>
+                <th className="py-2 pr-4">Net Return</th>
+                <th className="py-2 pr-4">Outstanding</th>
+                <th className="py-2">New Notes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {series.map(row => (
+                <tr key={row.month} className="border-b border-gray-700 text-gray-300">
+                  <td className="py-2 pr-4 whitespace-nowrap">{row.month}</td>
+                  <td className="py-2 pr-4">{formatMoney(row.invested)}</td>
+                  <td className="py-2 pr-4">{formatMoney(row.cashReceived)}</td>
+                  <td className="py-2 pr-4 text-green-400">{formatMoney(row.interest)}</td>
+                  <td className={`py-2 pr-4 ${row.chargeOffs > 0 ? 'text-red-400' : ''}`}>{formatMoney(row.chargeOffs)}</td>
+                  <td className={`py-2 pr-4 ${row.netReturn < 0 ? 'text-red-400' : ''}`}>{formatMoney(row.netReturn)}</td>
+                  <td className="py-2 pr-4">{formatMoney(row.outstanding)}</td>
+                  <td className="py-2">{row.newInvestments}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
       </Card>
       
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         <Card title="Risk Distribution" icon={AlertCircle}>
           <div className="space-y-4">
             {riskDistribution.map(item => (
@@ -1430,23 +6126,288 @@ const Analytics = () => {
                   />
                 </div>
               </div>
-            ))}
-          </div>
-        </Card>
-        
-        <Card title="Loan Status" icon={FileText}>
-          <div className="space-y-3">
-            {[
-              { status: 'Active', count: fundedLoans.filter(l => l.status === 'active').length, color: 'text-green-400' },
-              { status: 'Paid Off', count: fundedLoans.filter(l => l.status === 'paid_off').length, color: 'text-blue-400' },
-              { status: 'Pending', count: loanRequests.filter(l => l.status === 'pending').length, color: 'text-yellow-400' },
-              { status: 'Defaulted', count: fundedLoans.filter(l => l.status === 'defaulted').length, color: 'text-red-400' },
-            ].map(item => (
-              <div key={item.status} className="flex justify-between items-center p-3 bg-gray-700 rounded-lg">
-                <span className="text-gray-300">{item.status}</span>
-                <span className={`font-bold text-lg ${item.color}`}>{item.count}</span>
+            ))}
+          </div>
+        </Card>
+        
+        <Card title="Lender Performance" icon={TrendingUp}>
+          <div className="space-y-3">
+            {[
+              {
+                label: 'Net annualized return (XIRR)',
+                value: performance.annualizedReturn === null ? '—' : `${performance.annualizedReturn.toFixed(2)}%`,
+                color: performance.annualizedReturn < 0 ? 'text-red-400' : 'text-green-400'
+              },
+              {
+                label: 'Expected loss',
+                value: `${formatMoney(performance.losses.expectedLoss)} (${performance.losses.expectedLossRate.toFixed(2)}%)`,
+                color: 'text-yellow-400'
+              },
+              {
+                label: 'Realized loss',
+                value: `${formatMoney(performance.losses.realizedLoss)} (${performance.losses.realizedLossRate.toFixed(2)}%)`,
+                color: performance.losses.realizedLoss > performance.losses.expectedLoss ? 'text-red-400' : 'text-white'
+              },
+              {
+                label: 'Weighted average rate',
+                value: performance.averages ? `${performance.averages.interestRate.toFixed(2)}%` : '—',
+                color: 'text-white'
+              },
+              {
+                label: 'Weighted average term',
+                value: performance.averages
+                  ? `${performance.averages.term.toFixed(1)} mo (${performance.averages.remainingTerm.toFixed(1)} left)`
+                  : '—',
+                color: 'text-white'
+              }
+            ].map(item => (
+              <div key={item.label} className="flex justify-between items-center gap-4 p-3 bg-gray-700 rounded-lg">
+                <span className="text-gray-300">{item.label}</span>
+                <span className={`font-bold text-right ${item.color}`}>{item.value}</span>
+              </div>
+            ))}
+            <p className="text-gray-500 text-xs">
+              Returns count cash actually received plus principal still owed at par. Expected loss uses each loan's probability of default at underwriting.
+            </p>
+          </div>
+        </Card>
+        
+        <Card title="Loan Status" icon={FileText}>
+          <div className="space-y-3">
+            {[
+              { status: 'Active', count: fundedLoans.filter(l => l.status === 'active').length, color: 'text-green-400' },
+              { status: 'Late', count: fundedLoans.filter(l => l.status === 'late_1_30' || l.status === 'late_31_120').length, color: 'text-orange-400' },
+              { status: 'Paid Off', count: fundedLoans.filter(l => l.status === 'paid_off').length, color: 'text-blue-400' },
+              { status: 'Pending', count: loanRequests.filter(l => l.status === 'pending').length, color: 'text-yellow-400' },
+              { status: 'Defaulted', count: fundedLoans.filter(l => l.status === 'defaulted').length, color: 'text-red-400' },
+            ].map(item => (
+              <div key={item.status} className="flex justify-between items-center p-3 bg-gray-700 rounded-lg">
+                <span className="text-gray-300">{item.status}</span>
+                <span className={`font-bold text-lg ${item.color}`}>{item.count}</span>
+              </div>
+            ))}
+          </div>
+        </Card>
+      </div>
+      
+      <Card title="Vintage Curves" icon={Activity}>
+        {performance.vintages.length === 0 ? (
+          <p className="text-gray-400">Vintages appear once you hold notes in funded loans</p>
+        ) : (
+          <div className="space-y-6">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+              <p className="text-gray-400 text-sm">
+                Cumulative share of invested capital by months since funding, grouped by the month each loan was funded
+              </p>
+              <select
+                value={vintageMetric}
+                onChange={(e) => setVintageMetric(e.target.value)}
+                className="bg-gray-700 text-white rounded-lg px-4 py-2.5 md:py-2 text-sm md:text-base"
+              >
+                {ANALYTICS_CONFIG.vintageMetrics.map(metric => (
+                  <option key={metric.key} value={metric.key}>{metric.label}</option>
+                ))}
+              </select>
+            </div>
+            
+            <ResponsiveContainer width="100%" height={300}>
+              <LineChart data={vintageData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                <XAxis dataKey="monthsOnBook" stroke="#9CA3AF" />
+                <YAxis stroke="#9CA3AF" unit="%" />
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151', borderRadius: '0.5rem' }}
+                  labelStyle={{ color: '#F3F4F6' }}
+                  labelFormatter={(monthsOnBook) => `Month ${monthsOnBook} on book`}
+                  formatter={(value) => `${value}%`}
+                />
+                <Legend />
+                {performance.vintages.map((v, i) => (
+                  <Line
+                    key={v.vintage}
+                    type="monotone"
+                    dataKey={v.vintage}
+                    stroke={ANALYTICS_CONFIG.vintageColors[i % ANALYTICS_CONFIG.vintageColors.length]}
+                    strokeWidth={2}
+                    connectNulls
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+            
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-gray-400 text-left border-b border-gray-700">
+                    <th className="py-2 pr-4">Vintage</th>
+                    <th className="py-2 pr-4">Loans</th>
+                    <th className="py-2 pr-4">Invested</th>
+                    <th className="py-2 pr-4">Expected Loss</th>
+                    <th className="py-2">Realized Loss</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {performance.vintages.map(v => (
+                    <tr key={v.vintage} className="border-b border-gray-700 text-gray-300">
+                      <td className="py-2 pr-4 whitespace-nowrap">{v.vintage}</td>
+                      <td className="py-2 pr-4">{v.loanCount}</td>
+                      <td className="py-2 pr-4">{formatMoney(v.invested)}</td>
+                      <td className="py-2 pr-4">{v.expectedLossRate.toFixed(2)}%</td>
+                      <td className={`py-2 ${v.realizedLossRate > v.expectedLossRate ? 'text-red-400' : ''}`}>
+                        {v.realizedLossRate.toFixed(2)}%
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+const BorrowerAnalytics = () => {
+  const { currentUser, fundedLoans, loanRequests } = useContext(AppContext);
+  const [selectedLoanId, setSelectedLoanId] = useState(null);
+  const [extraPayment, setExtraPayment] = useState('100');
+  
+  const myBorrowedLoans = fundedLoans.filter(l => l.borrowerId === currentUser.id);
+  const openLoans = myBorrowedLoans.filter(servicing.isOpen);
+  const finances = borrowerAnalytics.statedFinances(myBorrowedLoans, loanRequests.filter(r => r.borrowerId === currentUser.id));
+  const summary = borrowerAnalytics.summarize(myBorrowedLoans, finances);
+  
+  // Paying down the highest rate first saves the most, so that's the default
+  const simulatedLoan = openLoans.find(l => String(l.id) === selectedLoanId)
+    || [...openLoans].sort((a, b) => b.interestRate - a.interestRate)[0];
+  const extraMonthly = Math.max(0, parseFloat(extraPayment) || 0);
+  const simulation = simulatedLoan ? borrowerAnalytics.simulateExtraPayment(simulatedLoan, extraMonthly) : null;
+  const formatMoney = (value) => `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  const formatDate = (date) => (date ? date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }) : '—');
+  
+  if (openLoans.length === 0) {
+    return (
+      <Card title="Your Debt" icon={DollarSign}>
+        <p className="text-gray-400">You have no open loans. Projections appear here once a loan is funded.</p>
+      </Card>
+    );
+  }
+  
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        <StatCard title="Total Debt" value={formatMoney(summary.totalDebt)} icon={DollarSign} />
+        <StatCard title="Interest Remaining" value={formatMoney(summary.interestRemaining)} icon={TrendingUp} />
+        <StatCard title="Projected Payoff" value={formatDate(summary.payoffDate)} icon={Calendar} />
+        <StatCard
+          title="Debt-to-Income"
+          value={summary.debtToIncome === null ? '—' : `${summary.debtToIncome.toFixed(1)}%`}
+          icon={Activity}
+        />
+      </div>
+      
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <Card title="Your Loans" icon={FileText}>
+          <div className="space-y-3">
+            {openLoans.map(loan => {
+              const projection = calculations.projectPayoff(loan);
+              return (
+                <div key={loan.id} className="p-3 bg-gray-700 rounded-lg">
+                  <div className="flex justify-between">
+                    <span className="text-white font-semibold">${loan.amount.toLocaleString()} from {loan.lenderName}</span>
+                    <span className={`text-sm font-semibold ${styles.getStatusColor(loan.status)}`}>{styles.getStatusLabel(loan.status)}</span>
+                  </div>
+                  <div className="grid grid-cols-3 gap-2 mt-2 text-sm">
+                    <div>
+                      <p className="text-gray-400">Balance</p>
+                      <p className="text-white">{formatMoney(loan.outstandingBalance || 0)}</p>
+                    </div>
+                    <div>
+                      <p className="text-gray-400">Interest left</p>
+                      <p className="text-white">{formatMoney(projection.totalInterest)}</p>
+                    </div>
+                    <div>
+                      <p className="text-gray-400">Paid off</p>
+                      <p className="text-white">{formatDate(projection.payoffDate)}</p>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+            <div className="flex justify-between p-3 border-t border-gray-700 text-sm">
+              <span className="text-gray-400">Scheduled payments per month</span>
+              <span className="text-white font-semibold">{formatMoney(summary.monthlyPayments)}</span>
+            </div>
+            <p className="text-gray-500 text-xs">
+              {finances
+                ? `Debt-to-income uses the $${finances.annualIncome.toLocaleString()} income and $${finances.monthlyDebt.toLocaleString()} of other monthly debt from your most recent application.`
+                : 'Add your income to your next loan request to see your debt-to-income ratio.'}
+            </p>
+          </div>
+        </Card>
+        
+        <Card title="Extra Payment Simulator" icon={Calculator}>
+          <div className="space-y-4">
+            {openLoans.length > 1 && (
+              <div>
+                <label className="block text-gray-300 mb-2">Loan</label>
+                <select
+                  value={simulatedLoan.id}
+                  onChange={(e) => setSelectedLoanId(e.target.value)}
+                  className="w-full bg-gray-700 text-white rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  {openLoans.map(loan => (
+                    <option key={loan.id} value={loan.id}>
+                      ${loan.amount.toLocaleString()} from {loan.lenderName} at {loan.interestRate}%
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <Input
+              label="Extra per month ($)"
+              type="number"
+              value={extraPayment}
+              onChange={(e) => setExtraPayment(e.target.value)}
+              placeholder="100"
+            />
+            <div className="grid grid-cols-2 gap-3">
+              <div className="bg-gray-700 rounded-lg p-3">
+                <p className="text-gray-400 text-sm">Interest saved</p>
+                <p className="text-green-400 font-bold text-xl">{formatMoney(simulation.interestSaved)}</p>
+              </div>
+              <div className="bg-gray-700 rounded-lg p-3">
+                <p className="text-gray-400 text-sm">Paid off sooner</p>
+                <p className="text-green-400 font-bold text-xl">
+                  {simulation.monthsShortened} month{simulation.monthsShortened === 1 ? '' : 's'}
+                </p>
               </div>
-            ))}
+              <div className="bg-gray-700 rounded-lg p-3">
+                <p className="text-gray-400 text-sm">New monthly payment</p>
+                <p className="text-white font-semibold">{formatMoney(simulation.current.scheduledPayment + extraMonthly)}</p>
+              </div>
+              <div className="bg-gray-700 rounded-lg p-3">
+                <p className="text-gray-400 text-sm">New payoff date</p>
+                <p className="text-white font-semibold">{formatDate(simulation.withExtra.payoffDate)}</p>
+              </div>
+            </div>
+            <ResponsiveContainer width="100%" height={200}>
+              <LineChart data={simulation.balances}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                <XAxis dataKey="month" stroke="#9CA3AF" />
+                <YAxis stroke="#9CA3AF" />
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#1F2937', border: '1px solid #374151', borderRadius: '0.5rem' }}
+                  labelStyle={{ color: '#F3F4F6' }}
+                  formatter={(value) => formatMoney(value)}
+                />
+                <Legend />
+                <Line type="monotone" dataKey="current" stroke="#9CA3AF" strokeWidth={2} dot={false} name="Current schedule" />
+                <Line type="monotone" dataKey="withExtra" stroke="#10B981" strokeWidth={2} dot={false} name={`With $${extraMonthly} extra`} />
+              </LineChart>
+            </ResponsiveContainer>
+            <p className="text-gray-500 text-xs">Extra amounts are applied to principal after each month's interest.</p>
           </div>
         </Card>
       </div>
@@ -1454,6 +6415,42 @@ const Analytics = () => {
   );
 };
 
+const Analytics = () => {
+  const { currentUser } = useContext(AppContext);
+  const views = [
+    { id: 'lending', label: 'Investing', permission: 'fund_loans' },
+    { id: 'borrowing', label: 'Borrowing', permission: 'request_loans' }
+  ].filter(view => access.can(currentUser, view.permission));
+  const [activeView, setActiveView] = useState(views[0]?.id || 'lending');
+  
+  return (
+    <div className="space-y-6">
+      <h1 className="text-3xl font-bold text-white">Analytics Dashboard</h1>
+      
+      {views.length > 1 && (
+        <div className="flex gap-4 border-b border-gray-700">
+          {views.map(view => (
+            <button
+              type="button"
+              key={view.id}
+              onClick={() => setActiveView(view.id)}
+              className={`px-6 py-3 font-semibold transition ${
+                activeView === view.id
+                  ? 'text-indigo-400 border-b-2 border-indigo-400'
+                  : 'text-gray-400 hover:text-white'
+              }`}
+            >
+              {view.label}
+            </button>
+          ))}
+        </div>
+      )}
+      
+      {activeView === 'borrowing' ? <BorrowerAnalytics /> : <LenderAnalytics />}
+    </div>
+  );
+};
+
 // ============================================================================
 // UI COMPONENTS - CONTACT
 // ============================================================================
@@ -1561,108 +6558,760 @@ const Contact = () => {
 };
 
 // ============================================================================
-// UI COMPONENTS - DASHBOARD
+// UI COMPONENTS - DASHBOARD
+// ============================================================================
+
+const Dashboard = ({ setDepositModal, setWithdrawModal, setEditProfileModal, setCurrentModal }) => {
+  const { currentUser, fundedLoans, loanRequests } = useContext(AppContext);
+  const { getUserHistory } = useLoanHistory();
+  const { getUserStatement } = useLedger();
+  
+  const userFundedLoans = fundedLoans.filter(l => loanNotes.isHolder(l, currentUser.id));
+  const userBorrowedLoans = fundedLoans.filter(l => l.borrowerId === currentUser.id);
+  const activeLoans = [...userFundedLoans, ...userBorrowedLoans].filter(servicing.isOpen);
+  
+  const totalLent = userFundedLoans.reduce((sum, loan) => sum + loanNotes.holding(loan, currentUser.id), 0);
+  const totalBorrowed = userBorrowedLoans.reduce((sum, loan) => sum + loan.amount, 0);
+  const roi = calculations.calculateROI(currentUser.totalInvested, currentUser.totalReturns);
+  
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4">
+        <h1 className="text-2xl md:text-3xl font-bold text-white">Dashboard</h1>
+        <div className="flex flex-col sm:flex-row gap-3">
+          <Button onClick={() => setDepositModal(true)} variant="success" className="w-full sm:w-auto">
+            Deposit Funds
+          </Button>
+          <Button onClick={() => setWithdrawModal(true)} variant="secondary" className="w-full sm:w-auto">
+            Withdraw
+          </Button>
+          <Button onClick={() => setEditProfileModal(true)} variant="secondary" className="w-full sm:w-auto">
+            Edit Profile
+          </Button>
+        </div>
+      </div>
+      
+      <VerificationBanner action="fund loans, borrow and withdraw" onVerify={() => setCurrentModal('verification')} />
+      
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 md:gap-6">
+        <StatCard
+          title="Account Balance"
+          value={`$${currentUser.accountBalance.toLocaleString()}`}
+          icon={DollarSign}
+          trend="up"
+          trendValue="+5.2%"
+        />
+        <StatCard
+          title="Total Invested"
+          value={`$${currentUser.totalInvested.toLocaleString()}`}
+          icon={TrendingUp}
+        />
+        <StatCard
+          title="Total Returns"
+          value={`$${currentUser.totalReturns.toLocaleString()}`}
+          icon={CreditCard}
+        />
+        <StatCard
+          title="Active Loans"
+          value={activeLoans.length}
+          icon={FileText}
+        />
+      </div>
+      
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 md:gap-6">
+        <Card title="Portfolio Overview" icon={TrendingUp}>
+          <div className="space-y-3 md:space-y-4">
+            <div className="flex justify-between items-center p-3 bg-gray-700 rounded-lg">
+              <span className="text-gray-300 text-sm md:text-base">Total Lent</span>
+              <span className="text-white font-bold text-sm md:text-base">${totalLent.toLocaleString()}</span>
+            </div>
+            <div className="flex justify-between items-center p-3 bg-gray-700 rounded-lg">
+              <span className="text-gray-300 text-sm md:text-base">Total Borrowed</span>
+              <span className="text-white font-bold text-sm md:text-base">${totalBorrowed.toLocaleString()}</span>
+            </div>
+            <div className="flex justify-between items-center p-3 bg-gray-700 rounded-lg">
+              <span className="text-gray-300 text-sm md:text-base">ROI</span>
+              <span className="text-green-400 font-bold text-sm md:text-base">{roi}%</span>
+            </div>
+            <div className="flex justify-between items-center p-3 bg-gray-700 rounded-lg">
+              <span className="text-gray-300 text-sm md:text-base">Credit Score</span>
+              <span className="text-white font-bold text-sm md:text-base">{currentUser.creditScore}</span>
+            </div>
+          </div>
+        </Card>
+        
+        <Card title="Recent Activity" icon={Activity}>
+          <div className="space-y-3">
+            {getUserHistory.length === 0 ? (
+              <p className="text-gray-400 text-center py-8 text-sm md:text-base">No recent activity</p>
+            ) : (
+              getUserHistory.map(item => (
+                <div
+                  key={item.id}
+                  className={`p-3 rounded-lg ${styles.getActivityColor(item.action)}`}
+                >
+                  <div className="flex justify-between items-center">
+                    <span className="font-medium capitalize text-sm md:text-base">{item.action.replace('_', ' ')}</span>
+                    <span className="font-bold text-sm md:text-base">${item.amount?.toLocaleString()}</span>
+                  </div>
+                  <p className="text-xs mt-1 opacity-75">
+                    {new Date(item.timestamp).toLocaleString()}
+                  </p>
+                </div>
+              ))
+            )}
+          </div>
+        </Card>
+      </div>
+      
+      <Card title="Transaction Statement" icon={CreditCard}>
+        {getUserStatement.length === 0 ? (
+          <p className="text-gray-400 text-center py-8 text-sm md:text-base">No transactions yet</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-400 text-left border-b border-gray-700">
+                  <th className="py-2 pr-4 font-medium">Date</th>
+                  <th className="py-2 pr-4 font-medium">Description</th>
+                  <th className="py-2 pr-4 font-medium text-right">Amount</th>
+                  <th className="py-2 font-medium text-right">Balance</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-700">
+                {[...getUserStatement].reverse().map(line => (
+                  <tr key={line.id}>
+                    <td className="py-2 pr-4 text-gray-400 whitespace-nowrap">{new Date(line.timestamp).toLocaleDateString()}</td>
+                    <td className="py-2 pr-4 text-white">{line.description}</td>
+                    <td className={`py-2 pr-4 text-right font-semibold ${line.amount >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+                      {line.amount >= 0 ? '+' : '-'}${Math.abs(line.amount).toLocaleString(undefined, { minimumFractionDigits: 2 })}
+                    </td>
+                    <td className="py-2 text-right text-white">${line.balance.toLocaleString(undefined, { minimumFractionDigits: 2 })}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+// ============================================================================
+// UI COMPONENTS - DATA SHARING
+// ============================================================================
+
+const SharedCreditReport = ({ request }) => {
+  const visible = consents.visibleReport(request);
+  const fields = CONSENT_SCOPES[request.consent.scope].fields;
+  
+  return (
+    <div className="bg-green-900 border border-green-700 rounded-lg p-4">
+      <h4 className="text-green-200 font-semibold mb-1 flex items-center gap-2">
+        <CheckCircle className="w-5 h-5" />
+        Credit Report for {request.borrowerName}
+      </h4>
+      <p className="text-green-300 text-xs mb-3">
+        {CONSENT_SCOPES[request.consent.scope].label} · shared until {new Date(request.consent.expiresAt).toLocaleDateString()}
+      </p>
+      <div className="space-y-2 text-sm text-green-100">
+        {underwriting.formatReport(visible).filter(row => fields.includes(row.field)).map(row => (
+          <div key={row.field} className="flex justify-between">
+            <span>{row.label}:</span>
+            <span className="font-semibold">{row.value}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const DataSharing = ({ setCreditReportModal, setSelectedCreditRequest }) => {
+  const { currentUser, creditReportRequests, creditPulls } = useContext(AppContext);
+  const { addNotification } = useNotifications();
+  const { revoke } = useConsents();
+  const { pullReport, latestPull } = useCreditBureau();
+  const [isPulling, setIsPulling] = useState(false);
+  
+  const lastPull = latestPull(currentUser.id);
+  const myPulls = creditPulls.filter(p => p.userId === currentUser.id).slice(-10).reverse();
+  
+  const handleCheckCredit = async () => {
+    setIsPulling(true);
+    if (await pullReport(currentUser, 'soft', 'Personal credit check')) {
+      addNotification(currentUser.id, 'credit_request', 'Your credit report has been updated');
+    }
+    setIsPulling(false);
+  };
+  
+  const myRequests = creditReportRequests.filter(r => r.borrowerId === currentUser.id);
+  const pending = myRequests.filter(r => r.status === 'pending');
+  const active = myRequests.filter(r => consents.isActive(r));
+  const past = myRequests.filter(r => r.status !== 'pending' && !consents.isActive(r)).reverse();
+  
+  const handleRespond = (request) => {
+    setSelectedCreditRequest(request);
+    setCreditReportModal(true);
+  };
+  
+  const endedOn = (request) => {
+    const status = consents.status(request);
+    if (status === 'expired') return `Expired ${new Date(request.consent.expiresAt).toLocaleDateString()}`;
+    if (status === 'revoked') return `Revoked ${new Date(request.revokedAt).toLocaleDateString()}`;
+    if (status === 'denied') return 'Request denied';
+    return {
+      funded: 'Ended when the loan was funded',
+      cancelled: 'Ended when the loan request was withdrawn',
+      expired: 'Ended when the loan request expired'
+    }[request.closedReason] || 'Ended';
+  };
+  
+  return (
+    <div className="space-y-6">
+      <h1 className="text-3xl font-bold text-white">Data Sharing</h1>
+      
+      <Card title="Your Credit File" icon={FileText}>
+        <div className="space-y-4">
+          {lastPull ? (
+            <>
+              <p className="text-gray-400 text-sm">
+                From {creditBureaus[lastPull.report.bureau]?.name || 'the bureau'} on {new Date(lastPull.timestamp).toLocaleString()}
+              </p>
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                {underwriting.formatReport(lastPull.report).map(row => (
+                  <div key={row.field} className="bg-gray-700 rounded-lg p-3">
+                    <p className="text-gray-400 text-xs">{row.label}</p>
+                    <p className="text-white font-bold">{row.value}</p>
+                  </div>
+                ))}
+              </div>
+            </>
+          ) : (
+            <p className="text-gray-400">No report on file yet</p>
+          )}
+          <Button onClick={handleCheckCredit} variant="secondary" disabled={isPulling}>
+            {isPulling ? 'Checking...' : 'Check My Credit (soft inquiry)'}
+          </Button>
+          {myPulls.length > 0 && (
+            <div className="space-y-2">
+              <h4 className="text-white font-semibold text-sm">Recent Inquiries</h4>
+              {myPulls.map(pull => (
+                <div key={pull.id} className="flex justify-between text-sm bg-gray-700 rounded-lg px-3 py-2">
+                  <span className="text-gray-300">{pull.purpose}</span>
+                  <span className={pull.inquiryType === 'hard' ? 'text-orange-400' : 'text-gray-400'}>
+                    {pull.inquiryType} · {new Date(pull.timestamp).toLocaleDateString()}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </Card>
+      
+      <Card title="Requests Awaiting Your Response" icon={AlertCircle}>
+        {pending.length === 0 ? (
+          <p className="text-gray-400">No lenders are waiting on your credit report</p>
+        ) : (
+          <div className="space-y-3">
+            {pending.map(request => (
+              <div key={request.id} className="bg-gray-700 rounded-lg p-4 flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3">
+                <div>
+                  <p className="text-white font-semibold">{request.requesterName}</p>
+                  <p className="text-gray-400 text-sm">
+                    For your ${request.loanAmount.toLocaleString()} loan request · asked {new Date(request.timestamp).toLocaleDateString()}
+                  </p>
+                </div>
+                <Button onClick={() => handleRespond(request)} variant="primary">
+                  Respond
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+      </Card>
+      
+      <Card title="Active Access" icon={Lock}>
+        {active.length === 0 ? (
+          <p className="text-gray-400">No lender can currently see your credit report</p>
+        ) : (
+          <div className="space-y-3">
+            {active.map(request => (
+              <div key={request.id} className="bg-gray-700 rounded-lg p-4 flex flex-col sm:flex-row sm:justify-between sm:items-center gap-3">
+                <div>
+                  <p className="text-white font-semibold">{request.requesterName}</p>
+                  <p className="text-gray-400 text-sm">
+                    {CONSENT_SCOPES[request.consent.scope].label} for your ${request.loanAmount.toLocaleString()} loan request
+                  </p>
+                  <p className="text-gray-400 text-xs mt-1">
+                    Granted {new Date(request.consent.grantedAt).toLocaleDateString()} · expires {new Date(request.consent.expiresAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <Button onClick={() => revoke(request.id)} variant="danger">
+                  Revoke Access
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+      </Card>
+      
+      {past.length > 0 && (
+        <Card title="History" icon={FileText}>
+          <div className="space-y-3">
+            {past.map(request => (
+              <div key={request.id} className="bg-gray-700 rounded-lg p-4 flex justify-between items-center gap-3">
+                <div>
+                  <p className="text-white font-semibold">{request.requesterName}</p>
+                  <p className="text-gray-400 text-sm">{endedOn(request)}</p>
+                </div>
+                <span className={`capitalize font-semibold ${styles.getStatusColor(consents.status(request))}`}>
+                  {consents.status(request)}
+                </span>
+              </div>
+            ))}
+          </div>
+        </Card>
+      )}
+    </div>
+  );
+};
+
+// ============================================================================
+// UI COMPONENTS - VERIFICATION
+// ============================================================================
+
+const KycDocument = ({ submission }) => {
+  const { storage } = useContext(AppContext);
+  const [document, setDocument] = useState(submission.document.dataUrl ? submission.document : null);
+  const [loadFailed, setLoadFailed] = useState(false);
+  
+  useEffect(() => {
+    if (submission.document.dataUrl) return;
+    let cancelled = false;
+    storage.loadDocument(submission.id)
+      .then(stored => {
+        if (cancelled) return;
+        if (stored) setDocument(stored);
+        else setLoadFailed(true);
+      })
+      .catch(() => {
+        if (!cancelled) setLoadFailed(true);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [storage, submission]);
+  
+  if (loadFailed) return <p className="text-red-400 text-sm">{submission.document.name} could not be loaded</p>;
+  if (!document) return <p className="text-gray-400 text-sm">Loading {submission.document.name}...</p>;
+  
+  return document.type.startsWith('image/') ? (
+    <img src={document.dataUrl} alt={document.name} className="max-h-64 rounded-lg" />
+  ) : (
+    <a
+      href={document.dataUrl}
+      download={document.name}
+      className="text-indigo-400 hover:text-indigo-300 text-sm"
+    >
+      Download {document.name}
+    </a>
+  );
+};
+
+const Verification = () => {
+  const { currentUser } = useContext(AppContext);
+  const { addNotification } = useNotifications();
+  const { submit, latestSubmission } = useKyc();
+  const [legalName, setLegalName] = useState(currentUser.name);
+  const [dateOfBirth, setDateOfBirth] = useState('');
+  const [documentType, setDocumentType] = useState('passport');
+  const [upload, setUpload] = useState(null);
+  const [errors, setErrors] = useState({});
+  
+  const submission = latestSubmission(currentUser.id);
+  const canSubmit = !kyc.isVerified(currentUser) && currentUser.kycStatus !== 'pending';
+  
+  const handleFile = async (file) => {
+    if (!file) return;
+    try {
+      setUpload(await kyc.readDocument(file));
+      setErrors(prev => ({ ...prev, document: undefined }));
+    } catch {
+      addNotification(currentUser.id, 'error', 'Could not read that file');
+    }
+  };
+  
+  const handleSubmit = async () => {
+    const validationErrors = kyc.validateSubmission({ legalName, dateOfBirth, documentType, document: upload });
+    if (Object.keys(validationErrors).length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+    if (await submit(currentUser, { legalName, dateOfBirth, documentType, document: upload })) {
+      setUpload(null);
+      setErrors({});
+    }
+  };
+  
+  return (
+    <div className="space-y-6">
+      <h1 className="text-3xl font-bold text-white">Verify Identity</h1>
+      
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <Card title="Verification Status" icon={Shield}>
+          <div className="space-y-3">
+            <div className="flex justify-between p-3 bg-gray-700 rounded-lg">
+              <span className="text-gray-300">Status</span>
+              <span className={`font-bold ${kyc.statusColor(currentUser.kycStatus)}`}>{kyc.statusLabel(currentUser.kycStatus)}</span>
+            </div>
+            {submission && (
+              <div className="flex justify-between p-3 bg-gray-700 rounded-lg">
+                <span className="text-gray-300">Last Submitted</span>
+                <span className="text-white">{new Date(submission.submittedAt).toLocaleDateString()}</span>
+              </div>
+            )}
+            {submission?.status === 'rejected' && (
+              <div className="bg-red-900 border border-red-700 rounded-lg p-3">
+                <p className="text-red-200 text-sm">Rejected: {submission.rejectionReason}</p>
+                <p className="text-red-300 text-xs mt-1">Fix the issue and submit again.</p>
+              </div>
+            )}
+            <p className="text-gray-400 text-sm">
+              We verify every member before they can fund loans, request a loan or withdraw funds.
+              Documents are reviewed by our team, usually within one business day.
+            </p>
+          </div>
+        </Card>
+        
+        {canSubmit && (
+          <Card title="Submit Documents" icon={FileText}>
+            <div className="space-y-4">
+              <Input
+                label="Full Legal Name"
+                value={legalName}
+                onChange={(e) => setLegalName(e.target.value)}
+                error={errors.legalName}
+              />
+              <Input
+                label="Date of Birth"
+                type="date"
+                value={dateOfBirth}
+                onChange={(e) => setDateOfBirth(e.target.value)}
+                error={errors.dateOfBirth}
+              />
+              <div className="space-y-2">
+                <label className="block text-sm font-medium text-gray-300">Document Type</label>
+                <select
+                  value={documentType}
+                  onChange={(e) => setDocumentType(e.target.value)}
+                  className="w-full bg-gray-700 text-white rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                >
+                  {Object.entries(KYC_CONFIG.documentTypes).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="space-y-2">
+                <label className="block text-sm font-medium text-gray-300">Document (JPEG, PNG or PDF, up to 2 MB)</label>
+                <input
+                  type="file"
+                  accept={KYC_CONFIG.acceptedTypes.join(',')}
+                  onChange={(e) => handleFile(e.target.files[0])}
+                  className="w-full text-gray-300 text-sm file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-indigo-600 file:text-white"
+                />
+                {upload && <p className="text-gray-400 text-sm">{upload.name} ({(upload.size / 1024).toFixed(0)} KB)</p>}
+                {errors.document && <p className="text-red-400 text-sm">{errors.document}</p>}
+              </div>
+              <Button onClick={handleSubmit} variant="primary" className="w-full py-3">
+                Submit for Review
+              </Button>
+            </div>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ============================================================================
+// UI COMPONENTS - ADMIN
 // ============================================================================
 
-const Dashboard = ({ setDepositModal, setWithdrawModal, setEditProfileModal }) => {
-  const { currentUser, fundedLoans, loanRequests } = useContext(AppContext);
-  const { getUserHistory } = useLoanHistory();
+const AdminConsole = () => {
+  const { currentUser, users, loanRequests, fundedLoans, creditReportRequests, platformSettings, resetDemo } = useContext(AppContext);
+  const { setSuspended, toggleRole, cancelLoanRequest, updateSettings } = useAdmin();
+  const { review, pendingSubmissions } = useKyc();
+  const [activeTab, setActiveTab] = useState('users');
+  const [rejectionReasons, setRejectionReasons] = useState({});
+  const [confirmReset, setConfirmReset] = useState(false);
+  const [stepUpThreshold, setStepUpThreshold] = useState(String(platformSettings.stepUpThreshold));
+  const [pricingEnforcement, setPricingEnforcement] = useState(platformSettings.pricingEnforcement);
   
-  const userFundedLoans = fundedLoans.filter(l => l.lenderId === currentUser.id);
-  const userBorrowedLoans = fundedLoans.filter(l => l.borrowerId === currentUser.id);
-  const activeLoans = [...userFundedLoans, ...userBorrowedLoans].filter(l => l.status === 'active');
+  const tabs = [
+    { id: 'users', label: 'Users', count: users.length },
+    { id: 'kyc', label: 'KYC Review', count: pendingSubmissions.length },
+    { id: 'requests', label: 'Loan Requests', count: loanRequests.length },
+    { id: 'loans', label: 'Funded Loans', count: fundedLoans.length },
+    { id: 'credit', label: 'Credit Reports', count: creditReportRequests.length },
+    { id: 'settings', label: 'Settings' }
+  ];
   
-  const totalLent = userFundedLoans.reduce((sum, loan) => sum + loan.amount, 0);
-  const totalBorrowed = userBorrowedLoans.reduce((sum, loan) => sum + loan.amount, 0);
-  const roi = calculations.calculateROI(currentUser.totalInvested, currentUser.totalReturns);
+  const handleReset = () => {
+    if (!confirmReset) {
+      setConfirmReset(true);
+      return;
+    }
+    resetDemo();
+  };
   
   return (
     <div className="space-y-6">
       <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4">
-        <h1 className="text-2xl md:text-3xl font-bold text-white">Dashboard</h1>
-        <div className="flex flex-col sm:flex-row gap-3">
-          <Button onClick={() => setDepositModal(true)} variant="success" className="w-full sm:w-auto">
-            Deposit Funds
-          </Button>
-          <Button onClick={() => setWithdrawModal(true)} variant="secondary" className="w-full sm:w-auto">
-            Withdraw
-          </Button>
-          <Button onClick={() => setEditProfileModal(true)} variant="secondary" className="w-full sm:w-auto">
-            Edit Profile
+        <h1 className="text-3xl font-bold text-white">Admin Console</h1>
+        <div className="flex gap-2">
+          {confirmReset && (
+            <Button onClick={() => setConfirmReset(false)} variant="secondary">
+              Keep Data
+            </Button>
+          )}
+          <Button onClick={handleReset} variant="danger">
+            {confirmReset ? 'Confirm Reset - All Data Will Be Lost' : 'Reset Demo'}
           </Button>
         </div>
       </div>
       
-      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 md:gap-6">
-        <StatCard
-          title="Account Balance"
-          value={`$${currentUser.accountBalance.toLocaleString()}`}
-          icon={DollarSign}
-          trend="up"
-          trendValue="+5.2%"
-        />
-        <StatCard
-          title="Total Invested"
-          value={`$${currentUser.totalInvested.toLocaleString()}`}
-          icon={TrendingUp}
-        />
-        <StatCard
-          title="Total Returns"
-          value={`$${currentUser.totalReturns.toLocaleString()}`}
-          icon={CreditCard}
-        />
-        <StatCard
-          title="Active Loans"
-          value={activeLoans.length}
-          icon={FileText}
-        />
+      <div className="flex gap-2 overflow-x-auto">
+        {tabs.map(tab => (
+          <button
+            type="button"
+            key={tab.id}
+            onClick={() => setActiveTab(tab.id)}
+            className={`px-4 py-2 rounded-lg transition whitespace-nowrap ${
+              activeTab === tab.id ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'
+            }`}
+          >
+            {tab.label}{tab.count !== undefined && ` (${tab.count})`}
+          </button>
+        ))}
       </div>
       
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4 md:gap-6">
-        <Card title="Portfolio Overview" icon={TrendingUp}>
-          <div className="space-y-3 md:space-y-4">
-            <div className="flex justify-between items-center p-3 bg-gray-700 rounded-lg">
-              <span className="text-gray-300 text-sm md:text-base">Total Lent</span>
-              <span className="text-white font-bold text-sm md:text-base">${totalLent.toLocaleString()}</span>
-            </div>
-            <div className="flex justify-between items-center p-3 bg-gray-700 rounded-lg">
-              <span className="text-gray-300 text-sm md:text-base">Total Borrowed</span>
-              <span className="text-white font-bold text-sm md:text-base">${totalBorrowed.toLocaleString()}</span>
+      {activeTab === 'users' && (
+        <Card>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-400 text-left border-b border-gray-700">
+                  <th className="py-2 pr-4">User</th>
+                  <th className="py-2 pr-4">Balance</th>
+                  <th className="py-2 pr-4">Roles</th>
+                  <th className="py-2 pr-4">Status</th>
+                  <th className="py-2">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {users.map(user => (
+                  <tr key={user.id} className="border-b border-gray-700 text-gray-300">
+                    <td className="py-3 pr-4">
+                      <p className="text-white font-semibold">{user.name}</p>
+                      <p className="text-gray-400 text-xs">{user.email}</p>
+                    </td>
+                    <td className="py-3 pr-4">${user.accountBalance.toLocaleString()}</td>
+                    <td className="py-3 pr-4">
+                      <div className="flex gap-1 flex-wrap">
+                        {ROLES.map(role => (
+                          <button
+                            type="button"
+                            key={role}
+                            onClick={() => toggleRole(user, role)}
+                            className={`px-2 py-1 rounded text-xs capitalize transition ${
+                              access.hasRole(user, role) ? 'bg-indigo-600 text-white' : 'bg-gray-700 text-gray-500 hover:bg-gray-600'
+                            }`}
+                          >
+                            {role}
+                          </button>
+                        ))}
+                      </div>
+                    </td>
+                    <td className="py-3 pr-4">
+                      <p className={`font-semibold ${user.suspended ? 'text-red-400' : 'text-green-400'}`}>
+                        {user.suspended ? 'Suspended' : 'Active'}
+                      </p>
+                      <p className={`text-xs ${kyc.statusColor(user.kycStatus)}`}>{kyc.statusLabel(user.kycStatus)}</p>
+                    </td>
+                    <td className="py-3">
+                      {user.id !== currentUser.id && (
+                        <Button
+                          onClick={() => setSuspended(user, !user.suspended)}
+                          variant={user.suspended ? 'success' : 'danger'}
+                          className="text-xs"
+                        >
+                          {user.suspended ? 'Reinstate' : 'Suspend'}
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </Card>
+      )}
+      
+      {activeTab === 'kyc' && (
+        <Card>
+          {pendingSubmissions.length === 0 ? (
+            <p className="text-gray-400">No identity documents waiting for review</p>
+          ) : (
+            <div className="space-y-4">
+              {pendingSubmissions.map(submission => (
+                <div key={submission.id} className="bg-gray-700 rounded-lg p-4 space-y-3">
+                  <div className="flex flex-col md:flex-row md:justify-between gap-2">
+                    <div>
+                      <p className="text-white font-semibold">{submission.legalName}</p>
+                      <p className="text-gray-400 text-sm">
+                        Account: {submission.userName} · Born {submission.dateOfBirth} · {KYC_CONFIG.documentTypes[submission.documentType]}
+                      </p>
+                    </div>
+                    <p className="text-gray-400 text-sm">Submitted {new Date(submission.submittedAt).toLocaleDateString()}</p>
+                  </div>
+                  
+                  <KycDocument submission={submission} />
+                  
+                  <div className="flex flex-col md:flex-row gap-2 md:items-end">
+                    <div className="flex-1">
+                      <Input
+                        label="Rejection reason"
+                        value={rejectionReasons[submission.id] || ''}
+                        onChange={(e) => setRejectionReasons(prev => ({ ...prev, [submission.id]: e.target.value }))}
+                        placeholder="Required to reject, e.g. document is blurry"
+                      />
+                    </div>
+                    <Button onClick={() => review(submission.id, 'rejected', rejectionReasons[submission.id])} variant="danger">
+                      Reject
+                    </Button>
+                    <Button onClick={() => review(submission.id, 'approved')} variant="success">
+                      Approve
+                    </Button>
+                  </div>
+                </div>
+              ))}
             </div>
-            <div className="flex justify-between items-center p-3 bg-gray-700 rounded-lg">
-              <span className="text-gray-300 text-sm md:text-base">ROI</span>
-              <span className="text-green-400 font-bold text-sm md:text-base">{roi}%</span>
+          )}
+        </Card>
+      )}
+      
+      {activeTab === 'requests' && (
+        <Card>
+          {loanRequests.length === 0 ? (
+            <p className="text-gray-400">No loan requests</p>
+          ) : (
+            <div className="space-y-3">
+              {loanRequests.map(request => (
+                <div key={request.id} className="bg-gray-700 rounded-lg p-4 flex flex-col md:flex-row md:justify-between md:items-center gap-3">
+                  <div>
+                    <p className="text-white font-semibold">
+                      {request.borrowerName} · ${request.amount.toLocaleString()} at {request.interestRate}% for {request.duration} months
+                    </p>
+                    <p className="text-gray-400 text-sm">
+                      {request.purpose} · {request.riskRating} · {funding.fundedPercent(request).toFixed(0)}% committed ·{' '}
+                      <span className={`capitalize ${styles.getStatusColor(request.status)}`}>{styles.getStatusLabel(request.status)}</span>
+                    </p>
+                  </div>
+                  {['pending', 'reserved', 'awaiting_acknowledgment'].includes(request.status) && (
+                    <Button onClick={() => cancelLoanRequest(request)} variant="danger">
+                      Cancel Request
+                    </Button>
+                  )}
+                </div>
+              ))}
             </div>
-            <div className="flex justify-between items-center p-3 bg-gray-700 rounded-lg">
-              <span className="text-gray-300 text-sm md:text-base">Credit Score</span>
-              <span className="text-white font-bold text-sm md:text-base">{currentUser.creditScore}</span>
+          )}
+        </Card>
+      )}
+      
+      {activeTab === 'loans' && (
+        <Card>
+          {fundedLoans.length === 0 ? (
+            <p className="text-gray-400">No funded loans</p>
+          ) : (
+            <div className="space-y-3">
+              {fundedLoans.map(loan => (
+                <div key={loan.id} className="bg-gray-700 rounded-lg p-4 flex flex-col md:flex-row md:justify-between gap-2">
+                  <div>
+                    <p className="text-white font-semibold">{loan.borrowerName} · ${loan.amount.toLocaleString()}</p>
+                    <p className="text-gray-400 text-sm">
+                      Held by {loan.notes.map(n => n.holderName).join(', ')} · {loan.paymentsMade}/{loan.totalPayments} payments
+                    </p>
+                  </div>
+                  <div className="md:text-right">
+                    <p className={`font-semibold ${styles.getStatusColor(loan.status)}`}>{styles.getStatusLabel(loan.status)}</p>
+                    <p className="text-gray-400 text-sm">${loan.outstandingBalance.toLocaleString()} outstanding</p>
+                  </div>
+                </div>
+              ))}
             </div>
-          </div>
+          )}
         </Card>
-        
-        <Card title="Recent Activity" icon={Activity}>
-          <div className="space-y-3">
-            {getUserHistory.length === 0 ? (
-              <p className="text-gray-400 text-center py-8 text-sm md:text-base">No recent activity</p>
-            ) : (
-              getUserHistory.map(item => (
-                <div
-                  key={item.id}
-                  className={`p-3 rounded-lg ${styles.getActivityColor(item.action)}`}
-                >
-                  <div className="flex justify-between items-center">
-                    <span className="font-medium capitalize text-sm md:text-base">{item.action.replace('_', ' ')}</span>
-                    <span className="font-bold text-sm md:text-base">${item.amount?.toLocaleString()}</span>
+      )}
+      
+      {activeTab === 'credit' && (
+        <Card>
+          {creditReportRequests.length === 0 ? (
+            <p className="text-gray-400">No credit report requests</p>
+          ) : (
+            <div className="space-y-3">
+              {creditReportRequests.map(request => (
+                <div key={request.id} className="bg-gray-700 rounded-lg p-4 flex justify-between items-center">
+                  <div>
+                    <p className="text-white font-semibold">
+                      {request.requesterName} requested {request.borrowerName}'s report
+                    </p>
+                    <p className="text-gray-400 text-sm">
+                      ${request.loanAmount.toLocaleString()} loan · {new Date(request.timestamp).toLocaleDateString()}
+                      {request.consent && ` · ${CONSENT_SCOPES[request.consent.scope].label} until ${new Date(request.consent.expiresAt).toLocaleDateString()}`}
+                    </p>
                   </div>
-                  <p className="text-xs mt-1 opacity-75">
-                    {new Date(item.timestamp).toLocaleString()}
-                  </p>
+                  <span className={`capitalize font-semibold ${styles.getStatusColor(consents.status(request))}`}>{consents.status(request)}</span>
                 </div>
-              ))
-            )}
+              ))}
+            </div>
+          )}
+        </Card>
+      )}
+      
+      {activeTab === 'settings' && (
+        <Card title="Platform Settings" icon={Settings}>
+          <div className="space-y-4 max-w-md">
+            <Input
+              label="Two-factor step-up threshold ($)"
+              type="number"
+              value={stepUpThreshold}
+              onChange={(e) => setStepUpThreshold(e.target.value)}
+            />
+            <p className="text-gray-400 text-sm">
+              Users with two-factor enabled must enter a code to withdraw or commit more than this amount.
+            </p>
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-300">Requests priced outside their grade's rate band</label>
+              <select
+                value={pricingEnforcement}
+                onChange={(e) => setPricingEnforcement(e.target.value)}
+                className="w-full bg-gray-700 text-white rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              >
+                <option value="flag">Allow and flag in the marketplace</option>
+                <option value="block">Block until the rate is within the band</option>
+              </select>
+            </div>
+            <Button
+              onClick={() => updateSettings({ stepUpThreshold: parseFloat(stepUpThreshold), pricingEnforcement })}
+              variant="primary"
+            >
+              Save Settings
+            </Button>
           </div>
         </Card>
-      </div>
+      )}
     </div>
   );
 };
@@ -1672,18 +7321,44 @@ const Dashboard = ({ setDepositModal, setWithdrawModal, setEditProfileModal }) =
 // ============================================================================
 
 const LoanDetailsModal = ({ isOpen, onClose, loan, setCounterOfferModal, setCounterAmount, setCounterRate, setCounterDuration }) => {
-  const { currentUser, users, setUsers, fundedLoans, setFundedLoans, loanRequests, setLoanRequests, negotiations, setNegotiations, creditReportRequests, setCreditReportRequests } = useContext(AppContext);
+  const { currentUser, loanRequests, negotiations, creditReportRequests, setCreditReportRequests, platformSettings } = useContext(AppContext);
   const { addNotification } = useNotifications();
-  const { addHistory } = useLoanHistory();
+  const { commitFunds } = useFunding();
+  const { assess } = useUnderwriting();
+  const { requiresStepUp, confirmStepUp } = useMfa();
+  const [showSchedule, setShowSchedule] = useState(false);
+  const [commitmentAmount, setCommitmentAmount] = useState('');
+  const [mfaCode, setMfaCode] = useState('');
   
   if (!loan) return null;
   
-  const hasCreditRequest = creditReportRequests.some(r => r.loanId === loan.id && r.requesterId === currentUser.id);
-  const submittedReport = creditReportRequests.find(r => r.loanId === loan.id && r.requesterId === currentUser.id && r.status === 'approved');
+  // The selected loan is a snapshot; commitments may have changed since it was opened
+  const request = loanRequests.find(l => l.id === loan.id) || loan;
+  const committedAmount = funding.committedAmount(request);
+  const remainingAmount = funding.remainingAmount(request);
+  const myCommitment = funding.lenderCommitment(request, currentUser.id);
+  const hasCommitments = committedAmount > 0;
+  const hasOpenNegotiation = negotiations.some(t =>
+    t.loanId === loan.id && t.lenderId === currentUser.id && negotiationThreads.isOpen(t)
+  );
+  
+  // Expired, revoked or denied requests don't count, so the lender can ask again
+  const myCreditRequests = creditReportRequests.filter(r => r.loanId === loan.id && r.requesterId === currentUser.id);
+  const hasCreditRequest = myCreditRequests.some(r => r.status === 'pending');
+  const submittedReport = myCreditRequests.find(r => consents.isActive(r));
+  
+  // Factor values come from the borrower's report: borrowers see their own, lenders only what was shared with them
+  const sharedReport = submittedReport && consents.visibleReport(submittedReport);
+  const factorAssessment = loan.borrowerId === currentUser.id
+    ? assess(currentUser, request)
+    : sharedReport && assess({ id: loan.borrowerId, creditScore: loan.borrowerCredit }, request, sharedReport);
+  const underwritingShown = request.underwriting && factorAssessment
+    ? { ...request.underwriting, factors: factorAssessment.factors, missing: factorAssessment.missing }
+    : request.underwriting;
   
   const handleRequestCredit = () => {
     const newRequest = {
-      id: Date.now(),
+      id: generateId(),
       loanId: loan.id,
       requesterId: currentUser.id,
       requesterName: currentUser.name,
@@ -1691,7 +7366,7 @@ const LoanDetailsModal = ({ isOpen, onClose, loan, setCounterOfferModal, setCoun
       borrowerName: loan.borrowerName,
       loanAmount: loan.amount,
       status: 'pending',
-      timestamp: new Date()
+      timestamp: clock.now()
     };
     
     setCreditReportRequests(prev => [...prev, newRequest]);
@@ -1699,54 +7374,13 @@ const LoanDetailsModal = ({ isOpen, onClose, loan, setCounterOfferModal, setCoun
     addNotification(currentUser.id, 'credit_request', 'Credit report request sent');
   };
   
-  const handleFundLoan = () => {
-    if (currentUser.accountBalance < loan.amount) {
-      addNotification(currentUser.id, 'error', 'Insufficient funds');
-      return;
+  const handleFundLoan = async (amount) => {
+    if (!await confirmStepUp(currentUser, amount, mfaCode)) return;
+    if (commitFunds(loan.id, currentUser, roundCents(amount))) {
+      setCommitmentAmount('');
+      setMfaCode('');
+      onClose();
     }
-    
-    const fee = loan.amount * 0.015;
-    const net = loan.amount - fee;
-    
-    const fundedLoan = {
-      ...loan,
-      id: Date.now(),
-      lenderId: currentUser.id,
-      lenderName: currentUser.name,
-      status: 'active',
-      fundedDate: new Date(),
-      outstandingBalance: loan.amount,
-      totalPayments: loan.duration,
-      paymentsMade: 0
-    };
-    
-    setUsers(prev => prev.map(u => {
-      if (u.id === currentUser.id) {
-        return {
-          ...u,
-          accountBalance: u.accountBalance - loan.amount,
-          totalInvested: u.totalInvested + loan.amount,
-          loansFunded: [...u.loansFunded, fundedLoan.id]
-        };
-      }
-      if (u.id === loan.borrowerId) {
-        return {
-          ...u,
-          accountBalance: u.accountBalance + net,
-          loansBorrowed: [...u.loansBorrowed, fundedLoan.id]
-        };
-      }
-      return u;
-    }));
-    
-    setFundedLoans(prev => [...prev, fundedLoan]);
-    setLoanRequests(prev => prev.filter(l => l.id !== loan.id));
-    setNegotiations(prev => prev.filter(n => n.loanId !== loan.id));
-    setCreditReportRequests(prev => prev.filter(r => r.loanId !== loan.id));
-    addHistory(currentUser.id, 'funded', fundedLoan);
-    addNotification(loan.borrowerId, 'loan_funded', `Loan funded! $${net.toFixed(2)} deposited (after 1.5% fee)`);
-    addNotification(currentUser.id, 'loan_funded', `Successfully funded loan to ${loan.borrowerName}`);
-    onClose();
   };
   
   const handleCounterOffer = () => {
@@ -1782,6 +7416,10 @@ const LoanDetailsModal = ({ isOpen, onClose, loan, setCounterOfferModal, setCoun
               <p className="text-sm text-gray-400">Duration</p>
               <p className="text-white font-semibold">{loan.duration} months</p>
             </div>
+            <div>
+              <p className="text-sm text-gray-400">Prepayment</p>
+              <p className="text-white font-semibold">{prepayment.policyFor(loan).label}</p>
+            </div>
             <div>
               <p className="text-sm text-gray-400">Status</p>
               <p className="text-white font-semibold capitalize">{loan.status.replace('_', ' ')}</p>
@@ -1801,47 +7439,90 @@ const LoanDetailsModal = ({ isOpen, onClose, loan, setCounterOfferModal, setCoun
           </div>
         </div>
         
-        <LoanPreview amount={loan.amount} rate={loan.interestRate} duration={loan.duration} />
+        <LoanPreview
+          amount={loan.amount}
+          rate={loan.interestRate}
+          duration={loan.duration}
+          band={pricing.bandFor(loan.riskRating, loan.duration)}
+        />
         
-        {submittedReport && submittedReport.creditReport && (
-          <div className="bg-green-900 border border-green-700 rounded-lg p-4">
-            <h4 className="text-green-200 font-semibold mb-3 flex items-center gap-2">
-              <CheckCircle className="w-5 h-5" />
-              Credit Report
-            </h4>
-            <div className="space-y-2 text-sm text-green-100">
-              <div className="flex justify-between">
-                <span>Credit Score:</span>
-                <span className="font-semibold">{submittedReport.creditReport.score}</span>
-              </div>
-              <div className="flex justify-between">
-                <span>Payment History:</span>
-                <span className="font-semibold">{submittedReport.creditReport.paymentHistory}</span>
-              </div>
-              <div className="flex justify-between">
-                <span>Credit Utilization:</span>
-                <span className="font-semibold">{submittedReport.creditReport.creditUtilization}</span>
-              </div>
-              <div className="flex justify-between">
-                <span>Account Age:</span>
-                <span className="font-semibold">{submittedReport.creditReport.accountAge}</span>
-              </div>
-              <div className="flex justify-between">
-                <span>Recent Inquiries:</span>
-                <span className="font-semibold">{submittedReport.creditReport.recentInquiries}</span>
-              </div>
-            </div>
+        <button
+          type="button"
+          onClick={() => setShowSchedule(!showSchedule)}
+          className="text-sm text-indigo-400 hover:text-indigo-300 flex items-center gap-2"
+        >
+          <Calendar className="w-4 h-4" />
+          {showSchedule ? 'Hide Amortization Schedule' : 'Show Amortization Schedule'}
+        </button>
+        {showSchedule && <AmortizationSchedule loan={loan} />}
+        
+        <UnderwritingSummary assessment={underwritingShown} />
+        
+        {submittedReport && <SharedCreditReport request={submittedReport} />}
+        
+        {request.status === 'pending' && (
+          <FundingProgress request={request} />
+        )}
+        
+        {loan.borrowerId !== currentUser.id && request.status === 'pending' && access.can(currentUser, 'fund_loans') && (
+          <VerificationBanner action="fund this loan" />
+        )}
+        
+        {request.status === 'reserved' && (
+          <div className="bg-indigo-900 border border-indigo-700 rounded-lg p-3 text-center">
+            <p className="text-indigo-200 text-sm">
+              {request.reservation.lenderId === currentUser.id
+                ? 'Your cash is reserved for this loan; confirm funding from Negotiations'
+                : `Reserved for ${request.reservation.lenderName} until ${new Date(request.reservation.expiresAt).toLocaleString()}`}
+            </p>
           </div>
         )}
         
-        {loan.borrowerId !== currentUser.id && (
+        {loan.borrowerId !== currentUser.id && request.status === 'pending' && access.can(currentUser, 'fund_loans') && kyc.isVerified(currentUser) && (
           <div className="space-y-3">
-            <Button onClick={handleFundLoan} variant="success" className="w-full py-3">
-              Fund This Loan
-            </Button>
-            <Button onClick={handleCounterOffer} variant="primary" className="w-full py-3">
-              Make Counter Offer
-            </Button>
+            {myCommitment > 0 && (
+              <div className="bg-indigo-900 border border-indigo-700 rounded-lg p-3 text-center">
+                <p className="text-indigo-200 text-sm">You have committed ${myCommitment.toLocaleString()} to this loan</p>
+              </div>
+            )}
+            <Input
+              label={`Commitment Amount (min $${Math.min(FUNDING_CONFIG.minCommitment, remainingAmount).toLocaleString()})`}
+              type="number"
+              value={commitmentAmount}
+              onChange={(e) => setCommitmentAmount(e.target.value)}
+              placeholder={`Up to $${remainingAmount.toLocaleString()}`}
+            />
+            {requiresStepUp(currentUser, Math.max(parseFloat(commitmentAmount) || 0, remainingAmount)) && (
+              <Input
+                label={`Authentication Code (required above $${platformSettings.stepUpThreshold.toLocaleString()})`}
+                value={mfaCode}
+                onChange={(e) => setMfaCode(e.target.value)}
+                placeholder="123456"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+              />
+            )}
+            <div className="grid grid-cols-2 gap-3">
+              <Button
+                onClick={() => handleFundLoan(parseFloat(commitmentAmount))}
+                variant="success"
+                className="w-full py-3"
+                disabled={!commitmentAmount}
+              >
+                Fund ${(parseFloat(commitmentAmount) || 0).toLocaleString()}
+              </Button>
+              <Button onClick={() => handleFundLoan(remainingAmount)} variant="success" className="w-full py-3">
+                Fund Remaining ${remainingAmount.toLocaleString()}
+              </Button>
+            </div>
+            {!hasCommitments && !hasOpenNegotiation && (
+              <Button onClick={handleCounterOffer} variant="primary" className="w-full py-3">
+                Make Counter Offer
+              </Button>
+            )}
+            {hasOpenNegotiation && (
+              <p className="text-gray-400 text-sm text-center">You have an open negotiation on this loan; continue it from Negotiations</p>
+            )}
             {!submittedReport && !hasCreditRequest && (
               <Button onClick={handleRequestCredit} variant="warning" className="w-full py-3">
                 Request Credit Report
@@ -1859,14 +7540,16 @@ const LoanDetailsModal = ({ isOpen, onClose, loan, setCounterOfferModal, setCoun
   );
 };
 
-const CounterOfferModal = ({ isOpen, onClose, loan, counterAmount, setCounterAmount, counterRate, setCounterRate, counterDuration, setCounterDuration }) => {
-  const { currentUser, negotiations, setNegotiations } = useContext(AppContext);
-  const { addNotification } = useNotifications();
-  const { addHistory } = useLoanHistory();
+const CounterOfferModal = ({ isOpen, onClose, loan, negotiation, counterAmount, setCounterAmount, counterRate, setCounterRate, counterDuration, setCounterDuration }) => {
+  const { openThread, counter } = useNegotiations();
+  const [message, setMessage] = useState('');
   const [errors, setErrors] = useState({});
   
   if (!loan) return null;
   
+  // Countering an existing thread responds to its latest proposal; otherwise a lender opens a new thread
+  const current = negotiation ? negotiationThreads.latest(negotiation) : loan;
+  
   const handleSubmit = () => {
     const validationErrors = validators.validateLoanRequest(counterAmount, counterRate, counterDuration);
     if (Object.keys(validationErrors).length > 0) {
@@ -1874,46 +7557,37 @@ const CounterOfferModal = ({ isOpen, onClose, loan, counterAmount, setCounterAmo
       return;
     }
     
-    const newNegotiation = {
-      id: Date.now(),
-      loanId: loan.id,
-      lenderId: currentUser.id,
-      lenderName: currentUser.name,
-      borrowerId: loan.borrowerId,
-      borrowerName: loan.borrowerName,
-      originalAmount: loan.amount,
-      originalRate: loan.interestRate,
-      originalDuration: loan.duration,
-      counterAmount: parseFloat(counterAmount),
-      counterRate: parseFloat(counterRate),
-      counterDuration: parseInt(counterDuration),
-      timestamp: new Date()
+    const offer = {
+      amount: parseFloat(counterAmount),
+      interestRate: parseFloat(counterRate),
+      duration: parseInt(counterDuration),
+      message
     };
     
-    setNegotiations(prev => [...prev, newNegotiation]);
-    addNotification(loan.borrowerId, 'counter_offer', `${currentUser.name} made a counter offer on your loan request`);
-    addNotification(currentUser.id, 'counter_offer', 'Counter offer submitted successfully');
-    addHistory(currentUser.id, 'counter_offered', loan);
-    onClose();
+    if (negotiation ? counter(negotiation.id, offer) : openThread(loan, offer)) {
+      setMessage('');
+      setErrors({});
+      onClose();
+    }
   };
   
   return (
-    <ModalWrapper isOpen={isOpen} onClose={onClose} title="Make Counter Offer">
+    <ModalWrapper isOpen={isOpen} onClose={onClose} title={negotiation ? 'Counter Proposal' : 'Make Counter Offer'}>
       <div className="space-y-4">
         <div className="bg-gray-700 rounded-lg p-4">
-          <h4 className="text-white font-semibold mb-3">Original Terms</h4>
+          <h4 className="text-white font-semibold mb-3">{negotiation ? 'Latest Proposal' : 'Original Terms'}</h4>
           <div className="grid grid-cols-3 gap-3 text-sm">
             <div>
               <p className="text-gray-400">Amount</p>
-              <p className="text-white font-bold">${loan.amount.toLocaleString()}</p>
+              <p className="text-white font-bold">${current.amount.toLocaleString()}</p>
             </div>
             <div>
               <p className="text-gray-400">Rate</p>
-              <p className="text-white font-bold">{loan.interestRate}%</p>
+              <p className="text-white font-bold">{current.interestRate}%</p>
             </div>
             <div>
               <p className="text-gray-400">Duration</p>
-              <p className="text-white font-bold">{loan.duration}mo</p>
+              <p className="text-white font-bold">{current.duration}mo</p>
             </div>
           </div>
         </div>
@@ -1943,15 +7617,26 @@ const CounterOfferModal = ({ isOpen, onClose, loan, counterAmount, setCounterAmo
             onChange={(e) => setCounterDuration(e.target.value)}
             error={errors.duration}
           />
+          
+          <Input
+            label="Message (optional)"
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            placeholder="Explain your proposal"
+          />
         </div>
         
         {counterAmount && counterRate && counterDuration && (
           <LoanPreview amount={counterAmount} rate={counterRate} duration={counterDuration} />
         )}
         
+        <p className="text-gray-400 text-xs">
+          The other side has {NEGOTIATION_CONFIG.offerExpiryHours} hours to respond before this proposal expires.
+        </p>
+        
         <div className="flex gap-3">
           <Button onClick={handleSubmit} variant="primary" className="flex-1">
-            Submit Counter Offer
+            {negotiation ? 'Send Counter Proposal' : 'Submit Counter Offer'}
           </Button>
           <Button onClick={onClose} variant="secondary" className="flex-1">
             Cancel
@@ -1963,126 +7648,94 @@ const CounterOfferModal = ({ isOpen, onClose, loan, counterAmount, setCounterAmo
 };
 
 const CreditReportModal = ({ isOpen, onClose, request }) => {
-  const { currentUser, creditReportRequests, setCreditReportRequests } = useContext(AppContext);
-  const { addNotification } = useNotifications();
-  const [reportData, setReportData] = useState({
-    score: '',
-    paymentHistory: '',
-    creditUtilization: '',
-    accountAge: '',
-    recentInquiries: ''
-  });
+  const { currentUser, creditReportRequests } = useContext(AppContext);
+  const { grant, deny } = useConsents();
+  const { pullReport } = useCreditBureau();
+  const [isSharing, setIsSharing] = useState(false);
+  const [scope, setScope] = useState(CONSENT_CONFIG.defaultScope);
+  const [durationDays, setDurationDays] = useState(CONSENT_CONFIG.defaultDurationDays);
   
   if (!request) return null;
   
-  const isRequester = request.requesterId === currentUser.id;
-  const isBorrower = request.borrowerId === currentUser.id;
+  // The selected request is a snapshot; access may have been revoked or expired since it was opened
+  const current = creditReportRequests.find(r => r.id === request.id) || request;
+  const isRequester = current.requesterId === currentUser.id;
+  const isBorrower = current.borrowerId === currentUser.id;
   
-  const handleSubmitReport = () => {
-    setCreditReportRequests(prev => prev.map(r => 
-      r.id === request.id
-        ? { ...r, status: 'approved', creditReport: reportData }
-        : r
-    ));
-    
-    addNotification(request.requesterId, 'credit_request', `${currentUser.name} submitted their credit report`);
-    addNotification(currentUser.id, 'credit_request', 'Credit report submitted successfully');
-    onClose();
+  // Lenders get a fresh bureau report; a soft pull doesn't affect the borrower's score
+  const handleSubmitReport = async () => {
+    setIsSharing(true);
+    const creditReport = await pullReport(currentUser, 'soft', `Shared with ${current.requesterName}`);
+    setIsSharing(false);
+    if (creditReport && grant(current.id, creditReport, scope, durationDays)) onClose();
   };
   
   const handleDenyReport = () => {
-    setCreditReportRequests(prev => prev.filter(r => r.id !== request.id));
-    addNotification(request.requesterId, 'credit_request', `${currentUser.name} denied your credit report request`);
-    addNotification(currentUser.id, 'credit_request', 'Credit report request denied');
-    onClose();
+    if (deny(current.id)) onClose();
   };
   
-  if (isRequester && request.status === 'approved') {
+  if (isRequester) {
     return (
       <ModalWrapper isOpen={isOpen} onClose={onClose} title="Credit Report">
-        <div className="bg-green-900 border border-green-700 rounded-lg p-4">
-          <h4 className="text-green-200 font-semibold mb-4 flex items-center gap-2">
-            <CheckCircle className="w-5 h-5" />
-            Credit Report for {request.borrowerName}
-          </h4>
-          <div className="space-y-3 text-green-100">
-            <div className="flex justify-between p-3 bg-green-800 rounded-lg">
-              <span>Credit Score:</span>
-              <span className="font-bold">{request.creditReport.score}</span>
-            </div>
-            <div className="flex justify-between p-3 bg-green-800 rounded-lg">
-              <span>Payment History:</span>
-              <span className="font-bold">{request.creditReport.paymentHistory}</span>
-            </div>
-            <div className="flex justify-between p-3 bg-green-800 rounded-lg">
-              <span>Credit Utilization:</span>
-              <span className="font-bold">{request.creditReport.creditUtilization}</span>
-            </div>
-            <div className="flex justify-between p-3 bg-green-800 rounded-lg">
-              <span>Account Age:</span>
-              <span className="font-bold">{request.creditReport.accountAge}</span>
-            </div>
-            <div className="flex justify-between p-3 bg-green-800 rounded-lg">
-              <span>Recent Inquiries:</span>
-              <span className="font-bold">{request.creditReport.recentInquiries}</span>
-            </div>
-          </div>
-        </div>
+        {consents.isActive(current) ? (
+          <SharedCreditReport request={current} />
+        ) : (
+          <p className="text-gray-400">
+            Your access to {current.borrowerName}'s credit report has ended.
+          </p>
+        )}
       </ModalWrapper>
     );
   }
   
-  if (isBorrower && request.status === 'pending') {
+  if (isBorrower && current.status === 'pending') {
     return (
       <ModalWrapper isOpen={isOpen} onClose={onClose} title="Submit Credit Report">
         <div className="space-y-4">
           <div className="bg-yellow-900 border border-yellow-700 rounded-lg p-4">
             <p className="text-yellow-200">
-              {request.requesterName} has requested your credit report for a loan of ${request.loanAmount.toLocaleString()}
+              {current.requesterName} has requested your credit report for a loan of ${current.loanAmount.toLocaleString()}
             </p>
           </div>
           
-          <div className="space-y-4">
-            <Input
-              label="Credit Score"
-              type="number"
-              value={reportData.score}
-              onChange={(e) => setReportData({ ...reportData, score: e.target.value })}
-              placeholder="e.g., 720"
-            />
-            
-            <Input
-              label="Payment History"
-              value={reportData.paymentHistory}
-              onChange={(e) => setReportData({ ...reportData, paymentHistory: e.target.value })}
-              placeholder="e.g., Excellent - No missed payments"
-            />
-            
-            <Input
-              label="Credit Utilization"
-              value={reportData.creditUtilization}
-              onChange={(e) => setReportData({ ...reportData, creditUtilization: e.target.value })}
-              placeholder="e.g., 25%"
-            />
-            
-            <Input
-              label="Account Age"
-              value={reportData.accountAge}
-              onChange={(e) => setReportData({ ...reportData, accountAge: e.target.value })}
-              placeholder="e.g., 5 years"
-            />
-            
-            <Input
-              label="Recent Inquiries"
-              value={reportData.recentInquiries}
-              onChange={(e) => setReportData({ ...reportData, recentInquiries: e.target.value })}
-              placeholder="e.g., 2 in last 6 months"
-            />
+          <p className="text-gray-300 text-sm">
+            Your report is pulled from the credit bureau as a soft inquiry, which does not affect your score.
+          </p>
+          
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-300">Share</label>
+              <select
+                value={scope}
+                onChange={(e) => setScope(e.target.value)}
+                className="w-full bg-gray-700 text-white rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              >
+                {Object.entries(CONSENT_SCOPES).map(([value, option]) => (
+                  <option key={value} value={value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="space-y-2">
+              <label className="block text-sm font-medium text-gray-300">For</label>
+              <select
+                value={durationDays}
+                onChange={(e) => setDurationDays(parseInt(e.target.value))}
+                className="w-full bg-gray-700 text-white rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              >
+                {CONSENT_CONFIG.durationOptionsDays.map(days => (
+                  <option key={days} value={days}>{days} days</option>
+                ))}
+              </select>
+            </div>
           </div>
+          <p className="text-gray-400 text-sm">
+            {current.requesterName} can see the shared fields until access expires, you revoke it from Data Sharing,
+            or this loan request is funded or withdrawn.
+          </p>
           
           <div className="flex gap-3">
-            <Button onClick={handleSubmitReport} variant="success" className="flex-1">
-              Submit Report
+            <Button onClick={handleSubmitReport} variant="success" className="flex-1" disabled={isSharing}>
+              {isSharing ? 'Pulling Report...' : 'Share Report'}
             </Button>
             <Button onClick={handleDenyReport} variant="danger" className="flex-1">
               Deny Request
@@ -2097,73 +7750,44 @@ const CreditReportModal = ({ isOpen, onClose, request }) => {
 };
 
 const PaymentModal = ({ isOpen, onClose, loan }) => {
-  const { currentUser, users, setUsers, fundedLoans, setFundedLoans } = useContext(AppContext);
+  const { currentUser } = useContext(AppContext);
   const { addNotification } = useNotifications();
-  const { addHistory } = useLoanHistory();
+  const { previewPayment, makePayment } = usePayments();
   const [paymentAmount, setPaymentAmount] = useState('');
+  const [reamortize, setReamortize] = useState(PREPAYMENT_CONFIG.reamortizeOptions[0].id);
+  const [quoteDate, setQuoteDate] = useState('');
   
   if (!loan) return null;
   
-  const minimumPayment = parseFloat(calculations.calculateMinimumPayment(loan));
+  const toDateInput = (date) => {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 10);
+  };
+  const today = clock.now();
+  const latestQuoteDate = new Date(today.getTime() + PREPAYMENT_CONFIG.maxQuoteDays * MS_PER_DAY);
+  const goodThroughInput = quoteDate || toDateInput(new Date(today.getTime() + PREPAYMENT_CONFIG.defaultQuoteDays * MS_PER_DAY));
+  // A quote holds through the end of its good-through day
+  const goodThrough = new Date(`${goodThroughInput}T23:59:59`);
+  const quote = goodThrough >= today && goodThrough <= latestQuoteDate ? prepayment.quote(loan, goodThrough) : null;
+  
+  const accruedInterest = calculations.calculateAccruedInterest(loan);
+  const payoffAmount = calculations.calculatePayoffAmount(loan);
+  const minimumPayment = Math.min(parseFloat(calculations.calculateMinimumPayment(loan)), payoffAmount);
+  const policy = prepayment.policyFor(loan);
+  const amount = parseFloat(paymentAmount);
+  const preview = amount > 0 ? previewPayment(loan, amount) : null;
+  const isPrepaying = preview && preview.prepaidPrincipal > 0 && !preview.isPaidOff;
   
   const handlePayment = () => {
-    const amount = parseFloat(paymentAmount);
-    
-    if (!amount || amount <= 0) {
-      addNotification(currentUser.id, 'error', 'Invalid payment amount');
-      return;
-    }
-    
-    if (amount < minimumPayment) {
-      addNotification(currentUser.id, 'error', `Minimum payment is $${minimumPayment}`);
-      return;
-    }
-    
-    if (amount > currentUser.accountBalance) {
-      addNotification(currentUser.id, 'error', 'Insufficient funds');
+    const error = makePayment(loan, currentUser, amount, { reamortize });
+    if (error) {
+      addNotification(currentUser.id, 'error', error);
       return;
     }
     
-    const newBalance = Math.max(0, loan.outstandingBalance - amount);
-    const newPaymentsMade = loan.paymentsMade + 1;
-    const isPaidOff = newBalance === 0;
-    
-    setUsers(prev => prev.map(u => {
-      if (u.id === currentUser.id) {
-        return { ...u, accountBalance: u.accountBalance - amount };
-      }
-      if (u.id === loan.lenderId) {
-        return {
-          ...u,
-          accountBalance: u.accountBalance + amount,
-          totalReturns: u.totalReturns + (amount - loan.amount / loan.totalPayments)
-        };
-      }
-      return u;
-    }));
-    
-    setFundedLoans(prev => prev.map(l => 
-      l.id === loan.id
-        ? {
-            ...l,
-            outstandingBalance: newBalance,
-            paymentsMade: newPaymentsMade,
-            status: isPaidOff ? 'paid_off' : 'active'
-          }
-        : l
-    ));
-    
-    addHistory(currentUser.id, 'payment_made', loan);
-    addNotification(loan.lenderId, 'payment_received', `Received $${amount} payment from ${currentUser.name}`);
-    addNotification(currentUser.id, 'payment_made', `Payment of $${amount} processed successfully`);
-    
-    if (isPaidOff) {
-      addNotification(currentUser.id, 'loan_funded', 'Congratulations! Loan paid off in full');
-      addNotification(loan.lenderId, 'loan_funded', `${currentUser.name} paid off their loan in full`);
-    }
-    
     onClose();
     setPaymentAmount('');
+    setQuoteDate('');
   };
   
   return (
@@ -2179,6 +7803,20 @@ const PaymentModal = ({ isOpen, onClose, loan }) => {
               <p className="text-gray-400 text-sm">Minimum Payment</p>
               <p className="text-white font-bold text-xl">${minimumPayment.toFixed(2)}</p>
             </div>
+            <div>
+              <p className="text-gray-400 text-sm">Accrued Interest</p>
+              <p className="text-white font-semibold">${accruedInterest.toFixed(2)}</p>
+            </div>
+            {loan.lateFeesDue > 0 && (
+              <div>
+                <p className="text-gray-400 text-sm">Late Fees Due</p>
+                <p className="text-orange-400 font-semibold">${loan.lateFeesDue.toFixed(2)}</p>
+              </div>
+            )}
+            <div>
+              <p className="text-gray-400 text-sm">Payoff Amount</p>
+              <p className="text-white font-semibold">${payoffAmount.toFixed(2)}</p>
+            </div>
             <div>
               <p className="text-gray-400 text-sm">Payments Made</p>
               <p className="text-white font-semibold">{loan.paymentsMade} / {loan.totalPayments}</p>
@@ -2187,9 +7825,56 @@ const PaymentModal = ({ isOpen, onClose, loan }) => {
               <p className="text-gray-400 text-sm">Your Balance</p>
               <p className="text-white font-semibold">${currentUser.accountBalance.toLocaleString()}</p>
             </div>
+            <div>
+              <p className="text-gray-400 text-sm">Prepayment</p>
+              <p className="text-white font-semibold">{policy.label}</p>
+            </div>
           </div>
         </div>
         
+        <div className="bg-gray-700 rounded-lg p-4 space-y-3">
+          <h4 className="text-white font-semibold">Payoff Quote</h4>
+          <Input
+            label="Good through"
+            type="date"
+            value={goodThroughInput}
+            min={toDateInput(today)}
+            max={toDateInput(latestQuoteDate)}
+            onChange={(e) => setQuoteDate(e.target.value)}
+            error={quote ? null : `Choose a date within the next ${PREPAYMENT_CONFIG.maxQuoteDays} days`}
+          />
+          {quote && (
+            <>
+              <div className="grid grid-cols-2 gap-2 text-sm">
+                <span className="text-gray-400">Principal</span>
+                <span className="text-white text-right">${quote.principal.toFixed(2)}</span>
+                <span className="text-gray-400">Interest through {goodThrough.toLocaleDateString()}</span>
+                <span className="text-white text-right">${quote.accruedInterest.toFixed(2)}</span>
+                {quote.lateFees > 0 && (
+                  <>
+                    <span className="text-gray-400">Late fees</span>
+                    <span className="text-orange-400 text-right">${quote.lateFees.toFixed(2)}</span>
+                  </>
+                )}
+                {quote.prepaymentPenalty > 0 && (
+                  <>
+                    <span className="text-gray-400">Prepayment penalty</span>
+                    <span className="text-orange-400 text-right">${quote.prepaymentPenalty.toFixed(2)}</span>
+                  </>
+                )}
+                <span className="text-gray-300 font-semibold">Amount to close</span>
+                <span className="text-white font-bold text-right">${quote.total.toFixed(2)}</span>
+              </div>
+              <p className="text-gray-400 text-xs">
+                Good through {goodThrough.toLocaleDateString()}. Interest accrues at ${quote.perDiem.toFixed(2)} per day; paying sooner costs less and only what is owed on the day is collected.
+              </p>
+              <Button onClick={() => setPaymentAmount(quote.total.toString())} variant="secondary" className="w-full">
+                Pay Quote Amount
+              </Button>
+            </>
+          )}
+        </div>
+        
         <Input
           label="Payment Amount"
           type="number"
@@ -2202,11 +7887,39 @@ const PaymentModal = ({ isOpen, onClose, loan }) => {
           <Button onClick={() => setPaymentAmount(minimumPayment.toString())} variant="secondary" className="flex-1">
             Min Payment
           </Button>
-          <Button onClick={() => setPaymentAmount(loan.outstandingBalance?.toString())} variant="secondary" className="flex-1">
+          <Button onClick={() => setPaymentAmount(payoffAmount.toString())} variant="secondary" className="flex-1">
             Pay in Full
           </Button>
         </div>
         
+        {preview && preview.prepaymentPenalty > 0 && (
+          <div className="bg-yellow-900 border border-yellow-700 rounded-lg p-3 text-sm text-yellow-200">
+            ${preview.prepaidPrincipal.toFixed(2)} of this payment is ahead of schedule, so a ${preview.prepaymentPenalty.toFixed(2)} prepayment penalty applies. You will be charged ${preview.totalCharged.toFixed(2)} in total.
+          </div>
+        )}
+        
+        {isPrepaying && (
+          <div className="space-y-2">
+            <label className="block text-sm font-medium text-gray-300">
+              Apply the extra ${preview.prepaidPrincipal.toFixed(2)} to
+            </label>
+            <select
+              value={reamortize}
+              onChange={(e) => setReamortize(e.target.value)}
+              className="w-full bg-gray-700 text-white rounded-lg px-4 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            >
+              {PREPAYMENT_CONFIG.reamortizeOptions.map(option => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+            {reamortize === 'reduce_payment' && (
+              <p className="text-gray-400 text-xs">
+                New monthly payment: ${prepayment.reamortize(loan, preview.allocation.outstandingBalance, preview.paymentsMade).toFixed(2)}
+              </p>
+            )}
+          </div>
+        )}
+        
         <Button onClick={handlePayment} variant="success" className="w-full py-3">
           Process Payment
         </Button>
@@ -2216,8 +7929,9 @@ const PaymentModal = ({ isOpen, onClose, loan }) => {
 };
 
 const DepositModal = ({ isOpen, onClose }) => {
-  const { currentUser, users, setUsers } = useContext(AppContext);
+  const { currentUser } = useContext(AppContext);
   const { addNotification } = useNotifications();
+  const { postEntry } = useLedger();
   const [amount, setAmount] = useState('');
   
   const handleDeposit = () => {
@@ -2228,11 +7942,7 @@ const DepositModal = ({ isOpen, onClose }) => {
       return;
     }
     
-    setUsers(prev => prev.map(u => 
-      u.id === currentUser.id
-        ? { ...u, accountBalance: u.accountBalance + depositAmount }
-        : u
-    ));
+    postEntry(ledger.deposit(currentUser.id, depositAmount));
     
     addNotification(currentUser.id, 'deposit', `Successfully deposited $${depositAmount.toLocaleString()}`);
     onClose();
@@ -2272,11 +7982,15 @@ const DepositModal = ({ isOpen, onClose }) => {
 };
 
 const WithdrawModal = ({ isOpen, onClose }) => {
-  const { currentUser, users, setUsers } = useContext(AppContext);
+  const { currentUser } = useContext(AppContext);
   const { addNotification } = useNotifications();
+  const { postEntry } = useLedger();
+  const { requiresStepUp, confirmStepUp } = useMfa();
   const [amount, setAmount] = useState('');
+  const [mfaCode, setMfaCode] = useState('');
+  const needsCode = requiresStepUp(currentUser, parseFloat(amount) || 0);
   
-  const handleWithdraw = () => {
+  const handleWithdraw = async () => {
     const withdrawAmount = parseFloat(amount);
     
     if (!withdrawAmount || withdrawAmount <= 0) {
@@ -2289,15 +8003,19 @@ const WithdrawModal = ({ isOpen, onClose }) => {
       return;
     }
     
-    setUsers(prev => prev.map(u => 
-      u.id === currentUser.id
-        ? { ...u, accountBalance: u.accountBalance - withdrawAmount }
-        : u
-    ));
+    if (!kyc.isVerified(currentUser)) {
+      addNotification(currentUser.id, 'error', 'Verify your identity before withdrawing funds');
+      return;
+    }
+    
+    if (!await confirmStepUp(currentUser, withdrawAmount, mfaCode)) return;
+    
+    postEntry(ledger.withdrawal(currentUser.id, withdrawAmount));
     
     addNotification(currentUser.id, 'withdraw', `Successfully withdrew $${withdrawAmount.toLocaleString()}`);
     onClose();
     setAmount('');
+    setMfaCode('');
   };
   
   return (
@@ -2316,6 +8034,17 @@ const WithdrawModal = ({ isOpen, onClose }) => {
           placeholder="Enter amount to withdraw"
         />
         
+        {needsCode && (
+          <Input
+            label="Authentication Code"
+            value={mfaCode}
+            onChange={(e) => setMfaCode(e.target.value)}
+            placeholder="Required for large withdrawals"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+          />
+        )}
+        
         <Button onClick={handleWithdraw} variant="warning" className="w-full py-3">
           Withdraw
         </Button>
@@ -2324,8 +8053,120 @@ const WithdrawModal = ({ isOpen, onClose }) => {
   );
 };
 
+const TwoFactorSettings = () => {
+  const { currentUser } = useContext(AppContext);
+  const { enroll, disable } = useMfa();
+  const [pendingSecret, setPendingSecret] = useState(null);
+  const [code, setCode] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  
+  const submit = async (action) => {
+    setIsSubmitting(true);
+    const succeeded = await action();
+    setIsSubmitting(false);
+    if (succeeded) {
+      setPendingSecret(null);
+      setCode('');
+    }
+  };
+  
+  const cancelSetup = () => {
+    setPendingSecret(null);
+    setCode('');
+  };
+  
+  return (
+    <div className="bg-gray-700 rounded-lg p-4 space-y-3">
+      <div className="flex justify-between items-center">
+        <h4 className="text-white font-semibold">Two-Factor Authentication</h4>
+        <span className={`text-sm font-semibold ${currentUser.mfa ? 'text-green-400' : 'text-gray-400'}`}>
+          {currentUser.mfa ? 'On' : 'Off'}
+        </span>
+      </div>
+      
+      {!currentUser.mfa && !pendingSecret && (
+        <>
+          <p className="text-gray-400 text-sm">
+            Require a code from an authenticator app when signing in and for large withdrawals or fundings.
+          </p>
+          <Button onClick={() => setPendingSecret(totp.generateSecret())} variant="primary" className="w-full">
+            Set Up Authenticator
+          </Button>
+        </>
+      )}
+      
+      {!currentUser.mfa && pendingSecret && (
+        <>
+          <p className="text-gray-400 text-sm">
+            Scan this code with your authenticator app, or add the key by hand, then enter the code it shows.
+          </p>
+          <div className="bg-gray-800 rounded-lg p-3 text-center space-y-2">
+            <div className="flex justify-center">
+              <QrCode value={totp.otpauthUri(pendingSecret, currentUser.email)} />
+            </div>
+            <p className="text-white font-mono text-lg tracking-wider">{totp.formatSecret(pendingSecret)}</p>
+            <a
+              href={totp.otpauthUri(pendingSecret, currentUser.email)}
+              className="text-indigo-400 hover:text-indigo-300 text-xs break-all"
+            >
+              {totp.otpauthUri(pendingSecret, currentUser.email)}
+            </a>
+          </div>
+          <Input
+            label="Code from your app"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="123456"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+          />
+          <div className="flex gap-2">
+            <Button onClick={cancelSetup} variant="secondary" className="flex-1">
+              Cancel
+            </Button>
+            <Button
+              onClick={() => submit(() => enroll(currentUser, pendingSecret, code))}
+              variant="success"
+              className="flex-1"
+              disabled={!code || isSubmitting}
+            >
+              Verify & Enable
+            </Button>
+          </div>
+        </>
+      )}
+      
+      {currentUser.mfa && (
+        <>
+          <p className="text-gray-400 text-sm">
+            Enabled {new Date(currentUser.mfa.enabledAt).toLocaleDateString()}. Enter a current code to turn it off.
+          </p>
+          <div className="flex gap-2 items-end">
+            <div className="flex-1">
+              <Input
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="123456"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+              />
+            </div>
+            <Button
+              onClick={() => submit(() => disable(currentUser, code))}
+              variant="danger"
+              disabled={!code || isSubmitting}
+            >
+              Disable
+            </Button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
 const EditProfileModal = ({ isOpen, onClose }) => {
-  const { currentUser, users, setUsers } = useContext(AppContext);
+  const { currentUser, setUsers } = useContext(AppContext);
   const { addNotification } = useNotifications();
   const [name, setName] = useState(currentUser?.name || '');
   const [email, setEmail] = useState(currentUser?.email || '');
@@ -2386,8 +8227,8 @@ const EditProfileModal = ({ isOpen, onClose }) => {
               <span className="text-white font-semibold">{currentUser?.creditScore}</span>
             </div>
             <div className="flex justify-between">
-              <span className="text-gray-400">Verified</span>
-              <span className="text-green-400 font-semibold">{currentUser?.verified ? 'Yes' : 'No'}</span>
+              <span className="text-gray-400">Identity</span>
+              <span className={`font-semibold ${kyc.statusColor(currentUser?.kycStatus)}`}>{kyc.statusLabel(currentUser?.kycStatus)}</span>
             </div>
             <div className="flex justify-between">
               <span className="text-gray-400">Member Since</span>
@@ -2398,6 +8239,8 @@ const EditProfileModal = ({ isOpen, onClose }) => {
           </div>
         </div>
         
+        <TwoFactorSettings />
+        
         <Button onClick={handleSave} variant="primary" className="w-full py-3">
           Save Changes
         </Button>
@@ -2406,11 +8249,80 @@ const EditProfileModal = ({ isOpen, onClose }) => {
   );
 };
 
+const ClockModal = ({ isOpen, onClose }) => {
+  const { clockOffset, clockTarget, advanceClock } = useContext(AppContext);
+  const [days, setDays] = useState('');
+  const [months, setMonths] = useState('');
+  
+  const handleAdvance = (advance) => {
+    advanceClock(advance);
+    setDays('');
+    setMonths('');
+  };
+  
+  const offsetDays = Math.round(clockOffset / MS_PER_DAY);
+  const isAdvancing = clockTarget !== null;
+  
+  return (
+    <ModalWrapper isOpen={isOpen} onClose={onClose} title="Demo Clock" maxWidth="max-w-md">
+      <div className="space-y-4">
+        <div className="bg-gray-700 rounded-lg p-4">
+          <p className="text-gray-400 text-sm">Simulated Date</p>
+          <p className="text-white font-bold text-2xl">{clock.now().toLocaleDateString()}</p>
+          <p className="text-gray-400 text-xs mt-1">
+            {isAdvancing
+              ? `Advancing... ${Math.max(0, Math.round((clockTarget - clockOffset) / MS_PER_DAY))} days to go`
+              : offsetDays === 0 ? 'Running on real time' : `${Math.abs(offsetDays)} days ${offsetDays > 0 ? 'ahead of' : 'behind'} real time`}
+          </p>
+        </div>
+        
+        <div className="grid grid-cols-2 gap-2">
+          <Button onClick={() => handleAdvance({ days: 1 })} variant="secondary">+1 Day</Button>
+          <Button onClick={() => handleAdvance({ days: 7 })} variant="secondary">+1 Week</Button>
+          <Button onClick={() => handleAdvance({ months: 1 })} variant="secondary">+1 Month</Button>
+          <Button onClick={() => handleAdvance({ months: 6 })} variant="secondary">+6 Months</Button>
+        </div>
+        
+        <div className="grid grid-cols-2 gap-3">
+          <Input
+            label="Days"
+            type="number"
+            value={days}
+            onChange={(e) => setDays(e.target.value)}
+            placeholder="0"
+          />
+          <Input
+            label="Months"
+            type="number"
+            value={months}
+            onChange={(e) => setMonths(e.target.value)}
+            placeholder="0"
+          />
+        </div>
+        
+        <Button
+          onClick={() => handleAdvance({ days: parseInt(days) || 0, months: parseInt(months) || 0 })}
+          variant="primary"
+          className="w-full"
+          disabled={!(parseInt(days) > 0) && !(parseInt(months) > 0)}
+        >
+          Advance Time
+        </Button>
+        
+        <p className="text-gray-400 text-xs">
+          The clock steps through each day in turn, running the jobs that come due along the way. It can't be
+          turned back; reset the demo from the admin console to return to real time.
+        </p>
+      </div>
+    </ModalWrapper>
+  );
+};
+
 // ============================================================================
 // APPLICATION PROVIDER & MAIN COMPONENT
 // ============================================================================
 
-const AppProvider = ({ children }) => {
+const AppProvider = ({ children, storage = defaultStorage }) => {
   const [currentUser, setCurrentUser] = useState(null);
   const [users, setUsers] = useState(initialUsers);
   const [loanRequests, setLoanRequests] = useState(initialLoanRequests);
@@ -2419,15 +8331,148 @@ const AppProvider = ({ children }) => {
   const [creditReportRequests, setCreditReportRequests] = useState([]);
   const [notifications, setNotifications] = useState([]);
   const [loanHistory, setLoanHistory] = useState([]);
+  const [ledgerEntries, setLedgerEntries] = useState(initialLedgerEntries);
+  const [clockOffset, setClockOffsetState] = useState(0);
+  const [clockTarget, setClockTarget] = useState(null);
+  const [autoInvestLog, setAutoInvestLog] = useState([]);
+  const [noteListings, setNoteListings] = useState([]);
+  const [session, setSession] = useState(null);
+  const [platformSettings, setPlatformSettings] = useState(initialPlatformSettings);
+  const [kycSubmissions, setKycSubmissions] = useState([]);
+  const [creditPulls, setCreditPulls] = useState([]);
+  const [isHydrated, setIsHydrated] = useState(false);
+  const [canPersist, setCanPersist] = useState(false);
+  const [storageError, setStorageError] = useState(null);
+  
+  // The module clock is updated synchronously so jobs triggered by the change read the new time
+  const setClockOffset = (offsetMs) => {
+    clock.setOffset(offsetMs);
+    setClockOffsetState(offsetMs);
+  };
+  
+  // Time only moves forward, and a day at a time, so each day's jobs see the results of the day before
+  const advanceClock = ({ days = 0, months = 0 }) => {
+    setClockTarget(prev => clock.offsetAfterAdvance({ days, months }, prev ?? clock.offsetMs));
+  };
+  
+  const stepClock = () => {
+    if (clockTarget === null) return;
+    if (clock.offsetMs >= clockTarget) {
+      setClockTarget(null);
+      return;
+    }
+    setClockOffset(Math.min(clock.offsetMs + MS_PER_DAY, clockTarget));
+  };
+  
+  const usersWithBalances = useMemo(() => ledger.withBalances(users, ledgerEntries), [users, ledgerEntries]);
   
   useEffect(() => {
     if (currentUser) {
-      const updatedUser = users.find(u => u.id === currentUser.id);
+      const updatedUser = usersWithBalances.find(u => u.id === currentUser.id);
       if (updatedUser) setCurrentUser(updatedUser);
     }
-  }, [users]);
+  }, [usersWithBalances]);
+  
+  
+  // Restore the last saved snapshot before rendering the app
+  useEffect(() => {
+    let cancelled = false;
+    
+    storage.load()
+      .then(snapshot => {
+        const data = persistence.migrate(snapshot);
+        if (snapshot && !data) return { error: 'newerVersion' };
+        return data && persistence.moveInlineDocuments(storage, data);
+      })
+      .then(data => {
+        if (cancelled) return;
+        if (data?.error) {
+          setStorageError(data.error);
+          return;
+        }
+        setCanPersist(true);
+        if (!data) return;
+        setUsers(data.users);
+        setLoanRequests(data.loanRequests);
+        setFundedLoans(data.fundedLoans);
+        setNegotiations(data.negotiations);
+        setCreditReportRequests(data.creditReportRequests);
+        setNotifications(data.notifications);
+        setLoanHistory(data.loanHistory);
+        setLedgerEntries(data.ledgerEntries);
+        setClockOffset(data.clockOffset);
+        setAutoInvestLog(data.autoInvestLog);
+        setNoteListings(data.noteListings);
+        setPlatformSettings(data.platformSettings);
+        setKycSubmissions(data.kycSubmissions);
+        setCreditPulls(data.creditPulls);
+        
+        // Sign the user back in if their session is still valid
+        if (sessions.isValid(data.session)) {
+          setSession(data.session);
+          setCurrentUser(ledger.withBalances(data.users, data.ledgerEntries).find(u => u.id === data.session.userId) || null);
+        }
+      })
+      .catch(() => {
+        if (!cancelled) setStorageError('restore');
+      })
+      .finally(() => {
+        if (!cancelled) setIsHydrated(true);
+      });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [storage]);
+  
+  useEffect(() => {
+    if (!isHydrated || !canPersist) return;
+    storage.save(persistence.createSnapshot({
+      users,
+      loanRequests,
+      fundedLoans,
+      negotiations,
+      creditReportRequests,
+      notifications,
+      loanHistory,
+      ledgerEntries,
+      clockOffset,
+      autoInvestLog,
+      noteListings,
+      session,
+      platformSettings,
+      kycSubmissions,
+      creditPulls
+    }))
+      .then(() => setStorageError(current => (current === 'save' ? null : current)))
+      .catch(() => setStorageError('save'));
+  }, [isHydrated, canPersist, storage, users, loanRequests, fundedLoans, negotiations, creditReportRequests, notifications, loanHistory, ledgerEntries, clockOffset, autoInvestLog, noteListings, session, platformSettings, kycSubmissions, creditPulls]);
+  
+  const startSession = (user) => {
+    setSession(sessions.create(user.id));
+    setCurrentUser(user);
+  };
+  
+  const endSession = () => {
+    setSession(null);
+    setCurrentUser(null);
+  };
+  
+  useEffect(() => {
+    if (!session) return;
+    const timer = setTimeout(endSession, Math.max(0, session.expiresAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [session]);
+  
+  // A suspension takes effect immediately, even for a user who is already signed in
+  useEffect(() => {
+    if (currentUser?.suspended) endSession();
+  }, [currentUser]);
   
   const resetDemo = () => {
+    setStorageError(null);
+    setCanPersist(true);
+    storage.clear().catch(() => setStorageError('clear'));
     setUsers(initialUsers);
     setLoanRequests(initialLoanRequests);
     setFundedLoans([]);
@@ -2435,14 +8480,22 @@ const AppProvider = ({ children }) => {
     setCreditReportRequests([]);
     setNotifications([]);
     setLoanHistory([]);
-    setCurrentUser(null);
+    setLedgerEntries(initialLedgerEntries);
+    setClockOffset(0);
+    setClockTarget(null);
+    setAutoInvestLog([]);
+    setNoteListings([]);
+    setPlatformSettings(initialPlatformSettings);
+    setKycSubmissions([]);
+    setCreditPulls([]);
+    endSession();
   };
   
   return (
     <AppContext.Provider value={{
       currentUser,
       setCurrentUser,
-      users,
+      users: usersWithBalances,
       setUsers,
       loanRequests,
       setLoanRequests,
@@ -2456,15 +8509,41 @@ const AppProvider = ({ children }) => {
       setNotifications,
       loanHistory,
       setLoanHistory,
+      ledgerEntries,
+      setLedgerEntries,
+      clockOffset,
+      advanceClock,
+      clockTarget,
+      stepClock,
+      autoInvestLog,
+      setAutoInvestLog,
+      noteListings,
+      setNoteListings,
+      session,
+      startSession,
+      platformSettings,
+      setPlatformSettings,
+      kycSubmissions,
+      setKycSubmissions,
+      creditPulls,
+      setCreditPulls,
+      storage,
+      storageError,
+      canPersist,
+      endSession,
       resetDemo
     }}>
-      {children}
+      {isHydrated ? children : (
+        <div className="min-h-screen bg-gray-900 flex items-center justify-center">
+          <p className="text-gray-400">Loading...</p>
+        </div>
+      )}
     </AppContext.Provider>
   );
 };
 
 const AmericanP2P = () => {
-  const [currentModal, setCurrentModal] = useState('signin');
+  const [currentModal, setCurrentModal] = useState('dashboard');
   const [detailsModal, setDetailsModal] = useState(false);
   const [counterOfferModal, setCounterOfferModal] = useState(false);
   const [creditReportModal, setCreditReportModal] = useState(false);
@@ -2473,23 +8552,40 @@ const AmericanP2P = () => {
   const [withdrawModal, setWithdrawModal] = useState(false);
   const [editProfileModal, setEditProfileModal] = useState(false);
   const [selectedLoan, setSelectedLoan] = useState(null);
+  const [selectedNegotiation, setSelectedNegotiation] = useState(null);
   const [selectedCreditRequest, setSelectedCreditRequest] = useState(null);
   const [counterAmount, setCounterAmount] = useState('');
   const [counterRate, setCounterRate] = useState('');
   const [counterDuration, setCounterDuration] = useState('');
-  const { currentUser } = useContext(AppContext);
+  const [clockModal, setClockModal] = useState(false);
+  const { currentUser, fundedLoans, loanRequests, clockOffset, clockTarget, stepClock } = useContext(AppContext);
+  const { runDueJobs } = useScheduler();
+  
+  // Run due jobs whenever loans change or the clock moves, and periodically while the app is open
+  useEffect(() => {
+    runDueJobs();
+    const timer = setInterval(() => runDueJobs(), SERVICING_CONFIG.checkIntervalMs);
+    return () => clearInterval(timer);
+  }, [fundedLoans, loanRequests, clockOffset]);
   
-  if (currentModal === 'signin') return <SignIn setCurrentModal={setCurrentModal} />;
+  // Declared after the jobs so a day's job updates are committed along with the next step
+  useEffect(() => {
+    stepClock();
+  }, [clockOffset, clockTarget]);
+  
+  if (!currentUser) return <SignIn setCurrentModal={setCurrentModal} />;
   
   return (
     <div className="min-h-screen bg-gray-900">
-      <Navbar currentModal={currentModal} setCurrentModal={setCurrentModal} />
+      <Navbar currentModal={currentModal} setCurrentModal={setCurrentModal} setClockModal={setClockModal} />
+      <StorageErrorBanner />
       <div className="max-w-7xl mx-auto px-4 py-8">
         {currentModal === 'dashboard' && (
           <Dashboard
             setDepositModal={setDepositModal}
             setWithdrawModal={setWithdrawModal}
             setEditProfileModal={setEditProfileModal}
+            setCurrentModal={setCurrentModal}
           />
         )}
         {currentModal === 'marketplace' && (
@@ -2506,17 +8602,28 @@ const AmericanP2P = () => {
             setSelectedLoan={setSelectedLoan}
           />
         )}
-        {currentModal === 'request_loan' && <RequestLoan />}
+        {currentModal === 'request_loan' && access.can(currentUser, 'request_loans') && <RequestLoan setCurrentModal={setCurrentModal} />}
+        {currentModal === 'verification' && <Verification />}
+        {currentModal === 'data_sharing' && access.can(currentUser, 'request_loans') && (
+          <DataSharing
+            setCreditReportModal={setCreditReportModal}
+            setSelectedCreditRequest={setSelectedCreditRequest}
+          />
+        )}
         {currentModal === 'negotiations' && (
           <Negotiations
             setCounterOfferModal={setCounterOfferModal}
             setSelectedLoan={setSelectedLoan}
+            setSelectedNegotiation={setSelectedNegotiation}
             setCounterAmount={setCounterAmount}
             setCounterRate={setCounterRate}
             setCounterDuration={setCounterDuration}
           />
         )}
+        {currentModal === 'auto_invest' && access.can(currentUser, 'auto_invest') && <AutoInvest />}
+        {currentModal === 'secondary_market' && access.can(currentUser, 'trade_notes') && <SecondaryMarket />}
         {currentModal === 'analytics' && <Analytics />}
+        {currentModal === 'admin' && access.can(currentUser, 'admin_console') && <AdminConsole />}
         {currentModal === 'contact' && <Contact />}
       </div>
       
@@ -2532,8 +8639,12 @@ const AmericanP2P = () => {
       />
       <CounterOfferModal
         isOpen={counterOfferModal}
-        onClose={() => setCounterOfferModal(false)}
+        onClose={() => {
+          setCounterOfferModal(false);
+          setSelectedNegotiation(null);
+        }}
         loan={selectedLoan}
+        negotiation={selectedNegotiation}
         counterAmount={counterAmount}
         setCounterAmount={setCounterAmount}
         counterRate={counterRate}
@@ -2563,6 +8674,10 @@ const AmericanP2P = () => {
         isOpen={editProfileModal}
         onClose={() => setEditProfileModal(false)}
       />
+      <ClockModal
+        isOpen={clockModal && access.can(currentUser, 'manage_clock')}
+        onClose={() => setClockModal(false)}
+      />
     </div>
   );
 };
@@ -2573,4 +8688,6 @@ export default function App() {
       <AmericanP2P />
     </AppProvider>
   );
-}
\ No newline at end of file
+}
+
+export { AppProvider, SCHEMA_VERSION, base32, calculations, migrations, persistence, prepayment, qrCode, storageAdapters, totp };
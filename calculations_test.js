@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { calculations, prepayment } from './App.jsx';
+
+const at = (iso) => new Date(iso);
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-12, `${actual} != ${expected}`);
+
+Deno.test('dayCountFraction counts partial days under actual conventions', () => {
+  close(calculations.dayCountFraction(at('2024-01-01T00:00:00Z'), at('2024-01-01T12:00:00Z'), 'actual/365'), 0.5 / 365);
+  close(calculations.dayCountFraction(at('2024-01-01T00:00:00Z'), at('2024-01-31T00:00:00Z'), 'actual/360'), 30 / 360);
+  assert.equal(calculations.dayCountFraction(at('2024-01-02T00:00:00Z'), at('2024-01-01T00:00:00Z')), 0);
+});
+
+Deno.test('dayCountFraction counts partial days under 30/360', () => {
+  close(calculations.dayCountFraction(new Date(2024, 0, 15), new Date(2024, 1, 15), '30/360'), 30 / 360);
+  close(calculations.dayCountFraction(new Date(2024, 0, 15, 6), new Date(2024, 0, 16, 18), '30/360'), 1.5 / 360);
+});
+
+Deno.test('dayCountFraction is additive across accrual periods that end mid-day', () => {
+  for (const convention of ['actual/365', 'actual/360', '30/360']) {
+    const start = new Date(2024, 0, 10, 9);
+    const payment = new Date(2024, 1, 3, 15, 30);
+    const end = new Date(2024, 2, 1, 8);
+    close(
+      calculations.dayCountFraction(start, payment, convention) + calculations.dayCountFraction(payment, end, convention),
+      calculations.dayCountFraction(start, end, convention)
+    );
+  }
+});
+
+Deno.test('accrued interest does not drop the part of a day before a payment', () => {
+  const loan = { outstandingBalance: 10000, interestRate: 10, dayCountConvention: 'actual/365', fundedDate: at('2024-01-01T00:00:00Z') };
+  const interest = calculations.calculateAccruedInterest(loan, at('2024-01-01T18:00:00Z'));
+  assert.equal(interest, Math.round(10000 * 0.1 * 0.75 / 365 * 100) / 100);
+});
+
+Deno.test('payoff quote charges the penalty on the principal a payoff payment would prepay', () => {
+  const loan = {
+    id: 'l1', amount: 10000, outstandingBalance: 10000, interestRate: 10, totalPayments: 12, scheduledPayment: 879.16,
+    prepaymentPolicy: 'two_percent_12', dayCountConvention: 'actual/365', fundedDate: at('2024-01-01T00:00:00Z')
+  };
+  const goodThrough = at('2024-01-20T00:00:00Z');
+  const quote = prepayment.quote(loan, goodThrough, at('2024-01-10T00:00:00Z'));
+  const allocation = calculations.allocatePayment(loan, quote.principal + quote.accruedInterest + quote.lateFees, goodThrough);
+  assert.equal(allocation.principal, 10000);
+  assert.equal(quote.prepaymentPenalty, Math.round((10000 + quote.accruedInterest - 879.16) * 0.02 * 100) / 100);
+  assert.equal(quote.total, Math.round((10000 + quote.accruedInterest + quote.prepaymentPenalty) * 100) / 100);
+});
+
+Deno.test('a catch-up payment covers each missed installment without counting as a prepayment', () => {
+  const loan = {
+    id: 'l1', amount: 10000, outstandingBalance: 10000, interestRate: 10, totalPayments: 12, scheduledPayment: 879.16, paymentsMade: 0,
+    prepaymentPolicy: 'two_percent_12', dayCountConvention: 'actual/365', fundedDate: at('2024-01-01T00:00:00Z')
+  };
+  // The installments due February 1 and March 1 are both unpaid
+  const asOf = at('2024-03-05T00:00:00Z');
+  
+  const catchUp = calculations.allocatePayment(loan, 2 * 879.16, asOf);
+  assert.equal(prepayment.prepaidPrincipal(loan, catchUp, asOf), 0);
+  assert.equal(prepayment.installmentsCovered(loan, catchUp, asOf), 2);
+  
+  const beyond = calculations.allocatePayment(loan, 3 * 879.16, asOf);
+  assert.equal(prepayment.prepaidPrincipal(loan, beyond, asOf), 879.16);
+  assert.equal(prepayment.installmentsCovered(loan, beyond, asOf), 2);
+  
+  const partial = calculations.allocatePayment(loan, 879.16, asOf);
+  assert.equal(prepayment.prepaidPrincipal(loan, partial, asOf), 0);
+  assert.equal(prepayment.installmentsCovered(loan, partial, asOf), 1);
+});
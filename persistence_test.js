@@ -0,0 +1,213 @@
+import assert from 'node:assert/strict';
+import { createElement } from 'react';
+import TestRenderer from 'react-test-renderer';
+import { AppProvider, SCHEMA_VERSION, migrations, persistence, storageAdapters } from './App.jsx';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+const day = (iso) => new Date(`${iso}T00:00:00.000Z`);
+
+// A snapshot as written by the first build, before any migrations existed
+const v1Snapshot = () => ({
+  version: 1,
+  savedAt: day('2024-01-01'),
+  data: {
+    users: [
+      { id: 1, email: 'lender@demo.com', password: 'demo123', name: 'John Lender', accountBalance: 50000, accountCreated: day('2023-07-01'), verified: true },
+      { id: 2, email: 'borrower@demo.com', password: 'demo123', name: 'Jane Borrower', accountBalance: 5000, accountCreated: day('2023-09-01'), verified: false }
+    ],
+    loanRequests: [
+      {
+        id: 'r1', borrowerId: 2, borrowerName: 'Jane Borrower', amount: 5000, interestRate: 8, duration: 12, status: 'pending', lockedTo: 1,
+        underwriting: {
+          grade: 'B', probabilityOfDefault: 0.04, score: 71.2, modelVersion: '1.0', assessedAt: day('2023-12-10'),
+          factors: [{ key: 'creditUtilization', label: 'Credit utilization', value: '35%', score: 0.7, weight: 0.15, impact: 3 }],
+          missing: []
+        }
+      }
+    ],
+    fundedLoans: [
+      { id: 'l1', lenderId: 1, lenderName: 'John Lender', borrowerId: 2, borrowerName: 'Jane Borrower', amount: 1000, interestRate: 8, duration: 12, status: 'active', fundedDate: day('2023-12-01') }
+    ],
+    negotiations: [
+      { id: 'n1', loanId: 'r1', lenderId: 1, lenderName: 'John Lender', borrowerId: 2, borrowerName: 'Jane Borrower', originalAmount: 5000, originalRate: 8, originalDuration: 12, counterAmount: 4000, counterRate: 9, counterDuration: 12, timestamp: day('2023-12-20') }
+    ],
+    creditReportRequests: [
+      { id: 'c1', borrowerId: 2, lenderId: 1, status: 'approved', timestamp: day('2023-12-15') }
+    ],
+    notifications: [],
+    loanHistory: []
+  }
+});
+
+Deno.test('memory adapter round-trips a snapshot and revives dates', async () => {
+  const storage = storageAdapters.memory();
+  assert.equal(await storage.load(), null);
+
+  const snapshot = persistence.createSnapshot({ users: [{ id: 1, accountCreated: day('2023-07-01') }], clockOffset: 0 });
+  await storage.save(snapshot);
+  const restored = await storage.load();
+  assert.deepEqual(restored, snapshot);
+  assert.ok(restored.data.users[0].accountCreated instanceof Date);
+
+  await storage.clear();
+  assert.equal(await storage.load(), null);
+});
+
+Deno.test('memory adapter returns copies rather than the saved object', async () => {
+  const storage = storageAdapters.memory();
+  const snapshot = persistence.createSnapshot({ users: [] });
+  await storage.save(snapshot);
+  snapshot.data.users.push({ id: 9 });
+  assert.deepEqual((await storage.load()).data.users, []);
+});
+
+Deno.test('memory adapter keeps documents apart from the snapshot and clears both', async () => {
+  const storage = storageAdapters.memory();
+  const document = { name: 'passport.png', type: 'image/png', size: 4, dataUrl: 'data:image/png;base64,AAAA' };
+  await storage.save(persistence.createSnapshot({ kycSubmissions: [{ id: 's1', document: { name: 'passport.png' } }] }));
+  await storage.saveDocument('s1', document);
+
+  assert.deepEqual(await storage.loadDocument('s1'), document);
+  assert.equal(await storage.loadDocument('missing'), null);
+  assert.ok(!JSON.stringify(await storage.load()).includes('base64'));
+
+  await storage.clear();
+  assert.equal(await storage.loadDocument('s1'), null);
+});
+
+Deno.test('moveInlineDocuments moves inline document data into document storage', async () => {
+  const storage = storageAdapters.memory();
+  const document = { name: 'id.pdf', type: 'application/pdf', size: 4, dataUrl: 'data:application/pdf;base64,AAAA' };
+  const data = { kycSubmissions: [{ id: 's1', document }, { id: 's2', document: { name: 'later.png' } }] };
+
+  const moved = await persistence.moveInlineDocuments(storage, data);
+  assert.deepEqual(moved.kycSubmissions, [
+    { id: 's1', document: { name: 'id.pdf', type: 'application/pdf', size: 4 } },
+    { id: 's2', document: { name: 'later.png' } }
+  ]);
+  assert.deepEqual(await storage.loadDocument('s1'), document);
+});
+
+Deno.test('moveInlineDocuments keeps documents inline when they cannot be stored', async () => {
+  const storage = { ...storageAdapters.memory(), saveDocument: () => Promise.reject(new Error('quota exceeded')) };
+  const data = { kycSubmissions: [{ id: 's1', document: { name: 'id.pdf', dataUrl: 'data:,' } }] };
+  assert.equal(await persistence.moveInlineDocuments(storage, data), data);
+});
+
+Deno.test('migrate ignores empty snapshots and snapshots from a newer build', () => {
+  assert.equal(persistence.migrate(null), null);
+  assert.equal(persistence.migrate({ version: SCHEMA_VERSION + 1, data: {} }), null);
+});
+
+Deno.test('migrate leaves a current snapshot untouched', () => {
+  const data = { users: [] };
+  assert.equal(persistence.migrate({ version: SCHEMA_VERSION, data }), data);
+});
+
+Deno.test('migrate upgrades a v1 snapshot to the current schema', () => {
+  const data = persistence.migrate(v1Snapshot());
+
+  // v2: balances move into the ledger as opening entries
+  assert.ok(data.users.every(u => !('accountBalance' in u)));
+  assert.deepEqual(data.ledgerEntries.map(e => [e.type, e.postings[0].account, e.postings[0].amount]), [
+    ['opening_balance', 'cash:1', 50000],
+    ['opening_balance', 'cash:2', 5000]
+  ]);
+  // v3, v5, v6, v13: new collections start empty
+  assert.equal(data.clockOffset, 0);
+  assert.deepEqual(data.autoInvestLog, []);
+  assert.deepEqual(data.noteListings, []);
+  assert.deepEqual(data.creditPulls, []);
+  // v4: the single lender becomes the holder of one note
+  assert.deepEqual(data.fundedLoans[0].notes, [{ holderId: 1, holderName: 'John Lender', amount: 1000 }]);
+  assert.ok(!('lenderId' in data.fundedLoans[0]));
+  assert.deepEqual(data.loanRequests[0].commitments, []);
+  // v7, v8: plaintext passwords are dropped, seeded users take their seeded roles and the admin is added
+  assert.ok(data.users.every(u => !('password' in u)));
+  assert.ok(data.users.find(u => u.id === 1).passwordHash);
+  assert.deepEqual(data.users.find(u => u.id === 1).roles, ['lender']);
+  assert.ok(data.users.some(u => u.roles.includes('admin')));
+  assert.equal(data.session, null);
+  // v9, v10: no TOTP enrollment, and only verified accounts count as KYC approved
+  assert.equal(data.users.find(u => u.id === 2).mfa, null);
+  assert.equal(data.users.find(u => u.id === 1).kycStatus, 'approved');
+  assert.equal(data.users.find(u => u.id === 2).kycStatus, 'unverified');
+  assert.deepEqual(data.kycSubmissions, []);
+  assert.ok(data.platformSettings.pricingEnforcement);
+  // v12: shared reports get a full-scope consent from the day they were shared
+  assert.equal(data.creditReportRequests[0].consent.scope, 'full');
+  assert.deepEqual(data.creditReportRequests[0].consent.grantedAt, day('2023-12-15'));
+  // v14: the counter offer becomes a thread with one lender round
+  const [thread] = data.negotiations;
+  assert.deepEqual(thread.original, { amount: 5000, interestRate: 8, duration: 12 });
+  assert.equal(thread.rounds.length, 1);
+  assert.equal(thread.rounds[0].amount, 4000);
+  // v15: terms locks are released
+  assert.ok(!('lockedTo' in data.loanRequests[0]));
+  // v17: listings keep the grade and probability of default but not the factor values from the report
+  assert.deepEqual(data.loanRequests[0].underwriting, {
+    grade: 'B', probabilityOfDefault: 0.04, modelVersion: '1.0', assessedAt: day('2023-12-10')
+  });
+});
+
+Deno.test('v16 charges off outstanding receivables as of the default date', () => {
+  const loan = { id: 'l2', status: 'defaulted', fundedDate: day('2023-01-15'), paymentsMade: 2, notes: [{ holderId: 1 }, { holderId: 3 }] };
+  const ledgerEntries = [
+    { id: 'e1', type: 'loan_funding', timestamp: day('2023-01-15'), loanId: 'l2', postings: [
+      { account: 'receivable:l2:1', amount: 600 }, { account: 'receivable:l2:3', amount: 400 }, { account: 'cash:2', amount: -1000 }
+    ] },
+    { id: 'e2', type: 'repayment', timestamp: day('2023-02-15'), loanId: 'l2', postings: [
+      { account: 'receivable:l2:1', amount: -50.25 }, { account: 'receivable:l2:3', amount: -400 }, { account: 'cash:1', amount: 450.25 }
+    ] }
+  ];
+  
+  const migrate = () => migrations[16]({ fundedLoans: [loan], ledgerEntries }).ledgerEntries.slice(2);
+  const [chargeOff] = migrate();
+  assert.deepEqual(chargeOff, {
+    id: 'migration-16-l2',
+    type: 'charge_off',
+    timestamp: new Date(day('2023-04-15').getTime() + 121 * 24 * 60 * 60 * 1000),
+    postings: [{ account: 'receivable:l2:1', amount: -549.75 }, { account: 'charge_offs', amount: 549.75 }],
+    loanId: 'l2',
+    principal: 549.75,
+    losses: [{ holderId: 1, principal: 549.75 }]
+  });
+  assert.deepEqual(migrate(), [chargeOff]);
+  assert.equal(migrations[16]({ fundedLoans: [loan], ledgerEntries: [...ledgerEntries, chargeOff] }).ledgerEntries.length, 3);
+});
+
+Deno.test('migrated data survives a save and reload through storage', async () => {
+  const storage = storageAdapters.memory();
+  const data = persistence.migrate(v1Snapshot());
+  await storage.save(persistence.createSnapshot(data));
+  assert.deepEqual(persistence.migrate(await storage.load()), data);
+});
+
+const mount = async (storage) => {
+  let renderer;
+  // Returning a promise makes act wait for the restore to settle
+  await TestRenderer.act(() => {
+    renderer = TestRenderer.create(createElement(AppProvider, { storage }, 'ready'));
+    return Promise.resolve();
+  });
+  return renderer;
+};
+
+Deno.test('a snapshot from a newer build survives a mount and is not overwritten', async () => {
+  const storage = storageAdapters.memory();
+  const snapshot = { version: SCHEMA_VERSION + 1, savedAt: day('2024-06-01'), data: { users: [{ id: 1 }] } };
+  await storage.save(snapshot);
+  
+  const renderer = await mount(storage);
+  assert.equal(renderer.toJSON().includes('ready'), true);
+  assert.deepEqual(await storage.load(), snapshot);
+  renderer.unmount();
+});
+
+Deno.test('a mount with nothing saved starts persisting the seed state', async () => {
+  const storage = storageAdapters.memory();
+  const renderer = await mount(storage);
+  assert.equal((await storage.load()).version, SCHEMA_VERSION);
+  renderer.unmount();
+});
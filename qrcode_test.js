@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import { qrCode } from './App.jsx';
+
+// ISO/IEC 18004 Table C.1: format information for error correction level M, masks 0 to 7
+const levelMFormatBits = [
+  '101010000010010', '101000100100101', '101111001111100', '101101101001011',
+  '100010111111001', '100000011001110', '100111110010111', '100101010100000'
+];
+
+// ISO/IEC 18004 Table D.1: version information
+const versionInformation = {
+  7: '000111110010010100',
+  8: '001000010110111100',
+  9: '001001101010011001',
+  10: '001010010011010011'
+};
+
+Deno.test('reed-solomon matches the worked 1-M example for HELLO WORLD', () => {
+  const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+  const ecc = qrCode.reedSolomonRemainder(data, qrCode.reedSolomonDivisor(10));
+  assert.deepEqual(ecc, [196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+});
+
+Deno.test('byte mode data is terminated and padded to the version capacity', () => {
+  const codewords = qrCode.encodeData([0x68, 0x69], 1);
+  assert.deepEqual(codewords, [0x40, 0x26, 0x86, 0x90, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11]);
+});
+
+Deno.test('error correction is appended per block and interleaved with short blocks first', () => {
+  // Version 8-M has two blocks of 38 data codewords followed by two of 39, each with 22 ECC codewords
+  const data = Array.from({ length: qrCode.dataCodewords(8) }, (_, i) => i % 256);
+  const blocks = [data.slice(0, 38), data.slice(38, 76), data.slice(76, 115), data.slice(115, 154)];
+  const result = qrCode.addErrorCorrection(data, 8);
+  
+  assert.equal(data.length, 154);
+  assert.equal(result.length, 154 + 4 * 22);
+  assert.deepEqual(result.slice(0, 4), [0, 38, 76, 115]);
+  assert.deepEqual(result.slice(4 * 38, 4 * 38 + 2), [blocks[2][38], blocks[3][38]]);
+  
+  const divisor = qrCode.reedSolomonDivisor(22);
+  const eccStart = 154;
+  blocks.forEach((block, j) => {
+    const ecc = Array.from({ length: 22 }, (_, i) => result[eccStart + i * 4 + j]);
+    assert.deepEqual(ecc, qrCode.reedSolomonRemainder(block, divisor), `block ${j}`);
+  });
+});
+
+Deno.test('format bits match the level M table for every mask', () => {
+  levelMFormatBits.forEach((expected, mask) => {
+    assert.equal(qrCode.formatBits(mask).toString(2).padStart(15, '0'), expected, `mask ${mask}`);
+  });
+});
+
+Deno.test('version bits match the version information table', () => {
+  for (const [version, expected] of Object.entries(versionInformation)) {
+    assert.equal(qrCode.versionBits(Number(version)).toString(2).padStart(18, '0'), expected, `version ${version}`);
+  }
+});
+
+Deno.test('encoded symbols carry both copies of the chosen mask\'s format bits', () => {
+  const uri = 'otpauth://totp/P2P%20Lending:jane@example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DP&issuer=P2P%20Lending';
+  const modules = qrCode.encode(uri);
+  const size = modules.length;
+  const dark = (x, y) => (modules[y][x] ? '1' : '0');
+  
+  // Bit 14 first, read from the positions each copy is drawn at
+  const nearFinders = [
+    ...[0, 1, 2, 3, 4, 5].map(x => dark(x, 8)), dark(7, 8), dark(8, 8), dark(8, 7),
+    ...[5, 4, 3, 2, 1, 0].map(y => dark(8, y))
+  ].join('');
+  const split = [
+    ...[0, 1, 2, 3, 4, 5, 6].map(i => dark(8, size - 1 - i)),
+    ...[7, 6, 5, 4, 3, 2, 1, 0].map(i => dark(size - 1 - i, 8))
+  ].join('');
+  
+  assert.equal((size - 17) % 4, 0);
+  assert.ok(levelMFormatBits.includes(nearFinders), nearFinders);
+  assert.equal(split, nearFinders);
+  assert.equal(modules[size - 8][8], true);
+  assert.equal(qrCode.encode('x'.repeat(300)), null);
+});
@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { base32, totp } from './App.jsx';
+
+// RFC 6238 Appendix B: the seed is the ASCII digits repeated to the hash's key length
+const seed = (length) => base32.encode(new TextEncoder().encode('1234567890'.repeat(7).slice(0, length)));
+const secrets = {
+  'SHA-1': seed(20),
+  'SHA-256': seed(32),
+  'SHA-512': seed(64)
+};
+
+const vectors = [
+  { time: 59, 'SHA-1': '94287082', 'SHA-256': '46119246', 'SHA-512': '90693936' },
+  { time: 1111111109, 'SHA-1': '07081804', 'SHA-256': '68084774', 'SHA-512': '25091201' },
+  { time: 1111111111, 'SHA-1': '14050471', 'SHA-256': '67062674', 'SHA-512': '99943326' },
+  { time: 1234567890, 'SHA-1': '89005924', 'SHA-256': '91819424', 'SHA-512': '93441116' },
+  { time: 2000000000, 'SHA-1': '69279037', 'SHA-256': '90698825', 'SHA-512': '38618901' },
+  { time: 20000000000, 'SHA-1': '65353130', 'SHA-256': '77737706', 'SHA-512': '47863826' }
+];
+
+for (const algorithm of Object.keys(secrets)) {
+  Deno.test(`totp matches the RFC 6238 ${algorithm} vectors`, async () => {
+    for (const vector of vectors) {
+      const code = await totp.generate(secrets[algorithm], vector.time * 1000, { digits: 8, algorithm });
+      assert.equal(code, vector[algorithm], `T = ${vector.time}`);
+    }
+  });
+}
+
+Deno.test('totp verify accepts codes within the window and rejects replays', async () => {
+  const secret = secrets['SHA-1'];
+  const timeMs = 1111111111 * 1000;
+  const code = await totp.generate(secret, timeMs);
+  const step = totp.timeStep(timeMs);
+
+  assert.equal(await totp.verify(secret, code, { timeMs }), step);
+  assert.equal(await totp.verify(secret, code, { timeMs: timeMs + 30000 }), step);
+  assert.equal(await totp.verify(secret, code, { timeMs: timeMs + 90000 }), null);
+  assert.equal(await totp.verify(secret, code, { timeMs, lastUsedStep: step }), null);
+  assert.equal(await totp.verify(secret, 'abc', { timeMs }), null);
+});